@@ -1,51 +1,74 @@
 // analysis.js
-// Physics Momentum analyzer + multi-source candle loader + helper check for TP/SL
-// Trả về object signal khi detect (entry, tp, sl, rr, side, confidence)
-// Cũng export checkSignalHit để monitor signal (kiểm tra nếu TP/SL đã bị chạm trong nến 1m)
+// Strategy runner + multi-source candle loader + helper check for TP/SL
+// Trả về object signal khi detect (entry, tp, sl, rr, side, confidence, strategy)
+// Cũng export loadMonitorCandles / findHitInCandles / drillDownAmbiguousCandle cho monitor signal (TP/SL chạm trong nến 1m)
 
 const axios = require('axios');
+const strategies = require('./strategies');
+const trendFilter = require('./trendFilter');
+const futuresContext = require('./futuresContext');
+const sourceHealth = require('./sourceHealth');
+const symbolRegistry = require('./symbolRegistry');
+const appConfig = require('./config');
 
 const DATA_SOURCES = [
     {
         name: 'Binance Main',
-        klines: (symbol, interval, limit = 500) =>
-            `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`,
-        priority: 1
+        klines: (symbol, interval, limit = 500, range) =>
+            `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}` +
+            (range ? `&startTime=${range.startTime}&endTime=${range.endTime}` : ''),
+        priority: 1,
+        weightLimit: 6000 // REQUEST_WEIGHT per minute (spot)
     },
     {
         name: 'Binance Futures (fapi) fallback',
-        klines: (symbol, interval, limit = 500) =>
-            `https://fapi.binance.com/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`,
-        priority: 2
+        klines: (symbol, interval, limit = 500, range) =>
+            `https://fapi.binance.com/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}` +
+            (range ? `&startTime=${range.startTime}&endTime=${range.endTime}` : ''),
+        priority: 2,
+        weightLimit: 2400 // REQUEST_WEIGHT per minute (USDⓈ-M futures)
     },
     {
         name: 'Bybit Backup',
-        klines: (symbol, interval, limit = 500) => {
+        klines: (symbol, interval, limit = 500, range) => {
             // Bybit v5 mapping
-            const mapping = { '1m': '1', '15m': '15', '1h': '60', '4h': '240', '1d': 'D' };
+            const mapping = { '1m': '1', '5m': '5', '15m': '15', '1h': '60', '4h': '240', '1d': 'D' };
             const intv = mapping[interval] || mapping['1m'];
-            return `https://api.bybit.com/v5/market/kline?category=linear&symbol=${symbol}&interval=${intv}&limit=${limit}`;
+            return `https://api.bybit.com/v5/market/kline?category=linear&symbol=${symbol}&interval=${intv}&limit=${limit}` +
+                (range ? `&start=${range.startTime}&end=${range.endTime}` : '');
         },
         priority: 3
     }
 ];
 
-// Physics Momentum parameters
-const RSI_LENGTH = 14;
-const BB_LENGTH = 20;
-const BB_STD = 2;
-const V_SMA = 3; // velocity SMA length
-const ATR_LENGTH = 14;
-
 const fetchTimeout = 10000; // ms
 
-async function loadCandles(symbol, interval = '5m', limit = 120) {
+DATA_SOURCES.forEach(source => sourceHealth.getState(source.name));
+
+const TIMEFRAME_MS = { '1m': 60e3, '5m': 5 * 60e3, '15m': 15 * 60e3, '1h': 60 * 60e3, '4h': 4 * 60 * 60e3, '1d': 24 * 60 * 60e3 };
+const RANGE_PAGE_LIMIT = 1000; // max klines per request accepted by every source
+
+// range: optional { startTime, endTime } in ms (inclusive open times)
+async function loadCandles(symbol, interval = '5m', limit = 120, range = null) {
+    return (await loadCandlesWithSource(symbol, interval, limit, range)).candles;
+}
+
+// Same as loadCandles but also tells which source answered: { source, candles }
+// Sources cooling down (sourceHealth.js) are skipped; skipSources excludes sources by name
+async function loadCandlesWithSource(symbol, interval = '5m', limit = 120, range = null, skipSources = []) {
     // Try sources in order of priority; shuffle only if you want random rotation.
     const sources = DATA_SOURCES.slice().sort((a, b) => a.priority - b.priority);
+    let coolingDown = 0;
 
     for (const source of sources) {
+        if (skipSources.includes(source.name)) continue;
+        if (!sourceHealth.isAvailable(source.name)) {
+            coolingDown++;
+            continue;
+        }
+        const started = Date.now();
         try {
-            const url = source.klines(symbol, interval, limit);
+            const url = source.klines(symbol, interval, limit, range);
             const res = await axios.get(url, {
                 timeout: fetchTimeout,
                 headers: {
@@ -55,6 +78,7 @@ async function loadCandles(symbol, interval = '5m', limit = 120) {
             });
 
             if (res.status !== 200 || !res.data) {
+                sourceHealth.recordFailure(source.name, new Error(`empty response (HTTP ${res.status})`), Date.now() - started);
                 continue;
             }
 
@@ -106,231 +130,342 @@ async function loadCandles(symbol, interval = '5m', limit = 120) {
                 }));
             }
 
-            if (candles.length === 0) continue;
-            return candles;
+            sourceHealth.recordSuccess(source.name, Date.now() - started, res.headers, source.weightLimit);
+
+            // some sources ignore the range or pad it: keep only candles inside it
+            if (range) candles = candles.filter(c => c.t >= range.startTime && c.t <= range.endTime);
+
+            if (candles.length === 0 && !range) continue;
+            return { source: source.name, candles };
         } catch (err) {
-            // Log and continue to next source
+            // Log and continue to next source; repeated failures / 418 / 429 put the source on cool-down
+            // (a 4xx for a symbol the venue does not list is not held against the source)
             console.log(`❌ ${source.name} failed for ${symbol} ${interval}: ${err?.response?.status || err.code || err.message}`);
-            // If rate-limited, small backoff
-            if (err?.response?.status === 418 || err?.response?.status === 429) {
-                await new Promise(r => setTimeout(r, 3000));
-            }
+            if (sourceHealth.isSourceFailure(err)) sourceHealth.recordFailure(source.name, err, Date.now() - started);
             continue;
         }
     }
 
-    throw new Error(`All data sources failed for ${symbol} ${interval}`);
+    throw new Error(`All data sources failed for ${symbol} ${interval}` + (coolingDown ? ` (${coolingDown} cooling down)` : ''));
 }
 
-// Helpers: simple RSI, SMA, ATR implementations on arrays
-function rsiFromCloses(closes, length = 14) {
-    // returns array of RSI values aligned with closes (NaN for first)
-    const res = new Array(closes.length).fill(NaN);
-    if (closes.length < length + 1) return res;
-    // compute deltas
-    const deltas = [];
-    for (let i = 1; i < closes.length; i++) deltas.push(closes[i] - closes[i - 1]);
-    // initial avg gain/loss
-    let gains = 0, losses = 0;
-    for (let i = 0; i < length; i++) {
-        const d = deltas[i];
-        if (d > 0) gains += d; else losses += Math.abs(d);
+// Load every candle with open time in [startTime, endTime], paging by RANGE_PAGE_LIMIT bars
+// so gaps after downtime are fully covered. Returns ascending, de-duplicated candles.
+async function loadCandlesRange(symbol, interval, startTime, endTime) {
+    const ms = TIMEFRAME_MS[interval];
+    if (!ms) throw new Error(`Unsupported interval for range load: ${interval}`);
+
+    const byTime = new Map();
+    for (let pageStart = startTime; pageStart <= endTime; pageStart += RANGE_PAGE_LIMIT * ms) {
+        const pageEnd = Math.min(endTime, pageStart + RANGE_PAGE_LIMIT * ms - 1);
+        const page = await loadCandles(symbol, interval, RANGE_PAGE_LIMIT, { startTime: pageStart, endTime: pageEnd });
+        page.forEach(c => byTime.set(c.t, c));
     }
-    let avgGain = gains / length;
-    let avgLoss = losses / length;
-    let rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-    res[length] = 100 - (100 / (1 + rs));
-    for (let i = length + 1; i < closes.length; i++) {
-        const d = deltas[i - 1];
-        const gain = d > 0 ? d : 0;
-        const loss = d < 0 ? Math.abs(d) : 0;
-        avgGain = (avgGain * (length - 1) + gain) / length;
-        avgLoss = (avgLoss * (length - 1) + loss) / length;
-        rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-        res[i] = 100 - (100 / (1 + rs));
+    return Array.from(byTime.values()).sort((a, b) => a.t - b.t);
+}
+
+// Latest traded price (close of the current 1m candle)
+async function getLastPrice(symbol) {
+    const candles = await loadCandles(symbol, '1m', 1);
+    return candles[candles.length - 1].close;
+}
+
+// Run one strategy on already-loaded candles and tag the result with the strategy identity
+// Entry / SL / TP are rounded to the exchange tick size when the symbol registry is loaded
+// The candles the strategy saw ride along as res._candles (not persisted) for the signal chart
+// params default to config.json (strategy block + overrides of the symbol)
+function applyStrategy(strategy, symbol, ohlcv, params = appConfig.getStrategySettings(strategy, symbol).params) {
+    const res = strategy.evaluate(symbol, ohlcv, params);
+    if (!res) return null;
+    return symbolRegistry.roundSignalToTick(Object.assign(res, { strategy: strategy.id, strategyName: strategy.name, _candles: ohlcv }));
+}
+
+// Drop the candle that is still forming (open time + timeframe in the future)
+function closedCandles(candles, interval, now = Date.now()) {
+    const ms = TIMEFRAME_MS[interval];
+    if (!ms || !candles) return candles;
+    return candles.filter(c => c.t + ms <= now);
+}
+
+// Higher-timeframe confirmation (trendFilter.js); HTF candles are only loaded when a strategy fired
+// htfCache: optional Map shared across strategies of the same symbol
+async function confirmWithHigherTimeframes(signal, htfCache = new Map()) {
+    const mode = trendFilter.getFilterMode();
+    if (!signal || mode === 'off') return signal;
+
+    const candlesByTimeframe = {};
+    for (const tf of trendFilter.getFilterTimeframes()) {
+        try {
+            if (!htfCache.has(tf)) {
+                const candles = await loadCandles(signal.symbol, tf, trendFilter.HTF_CANDLE_LIMIT);
+                htfCache.set(tf, closedCandles(candles, tf));
+            }
+            candlesByTimeframe[tf] = htfCache.get(tf);
+        } catch (err) {
+            console.error(`analysis.confirmWithHigherTimeframes ${signal.symbol} ${tf}:`, err.message || err);
+        }
     }
+    return trendFilter.applyTrendFilter(signal, candlesByTimeframe, mode);
+}
+
+// Perpetual futures context (futuresContext.js): funding, OI change and long/short ratio re-weight or veto the signal
+// Without futures data (spot-only pair, both sources down) the signal is kept unchanged with meta.futures.skipped
+async function confirmWithFuturesContext(signal) {
+    const config = futuresContext.getConfig();
+    if (!signal || config.mode === 'off') return signal;
+    let context;
+    try {
+        context = await futuresContext.loadContext(signal.symbol, config);
+    } catch (err) {
+        signal.meta = Object.assign({}, signal.meta, { futures: { skipped: true, reason: err.message || String(err) } });
+        return signal;
+    }
+    const res = futuresContext.applyFuturesContext(signal, context, config);
+    if (!res) console.log(`⚠️ ${signal.symbol} ${signal.side} dropped: crowded side (funding ${(context.fundingRate * 100).toFixed(4)}%, L/S ${context.longShortRatio})`);
     return res;
 }
 
-function sma(values, period) {
-    const out = new Array(values.length).fill(NaN);
-    let sum = 0;
-    for (let i = 0; i < values.length; i++) {
-        sum += values[i] || 0;
-        if (i >= period) sum -= values[i - period] || 0;
-        if (i >= period - 1) out[i] = sum / period;
+// Cross-source validation (env CROSS_SOURCE_CHECK=on): before a signal is emitted, the last closed candles of
+// its timeframe from two different sources must agree within CROSS_SOURCE_TOLERANCE_PCT (close vs close)
+const CROSS_CHECK_CANDLES = 20;
+
+function getCrossCheckConfig() {
+    const tolerancePct = parseFloat(process.env.CROSS_SOURCE_TOLERANCE_PCT);
+    return {
+        enabled: (process.env.CROSS_SOURCE_CHECK || 'off').trim().toLowerCase() === 'on',
+        tolerancePct: isNaN(tolerancePct) ? 0.5 : tolerancePct
+    };
+}
+
+// Max close deviation (%) over the candles present in both series
+function compareCandles(a, b) {
+    const byTime = new Map(b.map(c => [c.t, c]));
+    let compared = 0;
+    let maxDeviationPct = 0;
+    for (const c of a) {
+        const other = byTime.get(c.t);
+        if (!other || !other.close) continue;
+        compared++;
+        maxDeviationPct = Math.max(maxDeviationPct, (Math.abs(c.close - other.close) / other.close) * 100);
     }
-    return out;
+    return { compared, maxDeviationPct: parseFloat(maxDeviationPct.toFixed(4)) };
 }
 
-function atrFromCandles(candles, period = 14) {
-    const trs = [];
-    for (let i = 1; i < candles.length; i++) {
-        const cur = candles[i];
-        const prev = candles[i - 1];
-        const tr = Math.max(
-            cur.high - cur.low,
-            Math.abs(cur.high - prev.close),
-            Math.abs(cur.low - prev.close)
-        );
-        trs.push(tr);
+// returns the signal (with meta.crossCheck) or null when the sources disagree
+async function crossCheckSignal(signal, interval, config = getCrossCheckConfig()) {
+    if (!signal || !config.enabled) return signal;
+    let crossCheck;
+    try {
+        const primary = await loadCandlesWithSource(signal.symbol, interval, CROSS_CHECK_CANDLES);
+        const secondary = await loadCandlesWithSource(signal.symbol, interval, CROSS_CHECK_CANDLES, null, [primary.source]);
+        const now = Date.now();
+        const result = compareCandles(closedCandles(primary.candles, interval, now), closedCandles(secondary.candles, interval, now));
+        crossCheck = Object.assign({ sources: [primary.source, secondary.source], tolerancePct: config.tolerancePct }, result);
+    } catch (err) {
+        // only one source reachable: nothing to compare against, keep the signal but record it
+        crossCheck = { skipped: true, reason: err.message || String(err) };
     }
-    if (trs.length < period) return new Array(candles.length).fill(NaN);
-    const out = new Array(candles.length).fill(NaN);
-    let atr = trs.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    out[period] = atr;
-    for (let i = period; i < trs.length; i++) {
-        atr = (atr * (period - 1) + trs[i]) / period;
-        out[i + 1] = atr; // offset by 1 due to trs indexing
+    signal.meta = Object.assign({}, signal.meta, { crossCheck });
+    if (crossCheck.compared && crossCheck.maxDeviationPct > config.tolerancePct) {
+        console.log(`⚠️ ${signal.symbol} ${signal.side} dropped: ${crossCheck.sources.join(' vs ')} differ by ${crossCheck.maxDeviationPct}% (> ${config.tolerancePct}%)`);
+        return null;
     }
-    return out;
+    return signal;
 }
 
-// Main Physics Momentum analyzer
-async function analyzeSymbol(symbol) {
-    try {
-        const ohlcv = await loadCandles(symbol, '5m', 200);
-        if (!ohlcv || ohlcv.length < 30) {
-            return null;
+// Analyze one symbol with several strategies; candles are loaded once per timeframe
+// preloaded: optional Map timeframe -> candles (e.g. the WebSocket buffers of marketData.js); REST fills the rest
+// returns array of signal objects (only strategies that fired)
+async function analyzeSymbolAll(symbol, strategyList = strategies.getEnabledStrategies(), preloaded = new Map()) {
+    const candlesByTimeframe = new Map(preloaded);
+    const htfCache = new Map();
+    const results = [];
+    for (const strategy of strategyList) {
+        try {
+            let ohlcv = candlesByTimeframe.get(strategy.timeframe);
+            if (!ohlcv || ohlcv.length < strategy.candleLimit) {
+                ohlcv = await loadCandles(symbol, strategy.timeframe, strategy.candleLimit);
+                candlesByTimeframe.set(strategy.timeframe, ohlcv);
+            }
+            let res = await confirmWithHigherTimeframes(applyStrategy(strategy, symbol, ohlcv.slice(-strategy.candleLimit)), htfCache);
+            res = await confirmWithFuturesContext(res);
+            res = await crossCheckSignal(res, strategy.timeframe);
+            if (res) results.push(res);
+        } catch (err) {
+            console.error(`analysis.analyzeSymbolAll error for ${symbol} (${strategy.id}):`, err.message || err);
         }
+    }
+    return results;
+}
 
-        const closes = ohlcv.map(c => c.close);
-        const highs = ohlcv.map(c => c.high);
-        const lows = ohlcv.map(c => c.low);
-
-        // RSI
-        const rsiArr = rsiFromCloses(closes, RSI_LENGTH);
-
-        // Bollinger Bands - simple implementation using SMA & stdDev
-        const sma20 = sma(closes, BB_LENGTH);
-        const bb_upper = new Array(closes.length).fill(NaN);
-        const bb_lower = new Array(closes.length).fill(NaN);
-        for (let i = BB_LENGTH - 1; i < closes.length; i++) {
-            const slice = closes.slice(i - BB_LENGTH + 1, i + 1);
-            const mean = sma20[i];
-            let variance = 0;
-            for (const v of slice) variance += Math.pow(v - mean, 2);
-            variance /= BB_LENGTH;
-            const std = Math.sqrt(variance);
-            bb_upper[i] = mean + BB_STD * std;
-            bb_lower[i] = mean - BB_STD * std;
-        }
+// Policy when TP and SL are both inside one candle (env AMBIGUITY_POLICY):
+//   conservative -> always SL
+//   optimistic   -> always TP
+//   close        -> legacy guess from the close price
+//   drilldown    -> look at Binance 1s klines / aggTrades to see which level traded first
+//                   (live monitor only; falls back to conservative when no data)
+const AMBIGUITY_POLICIES = ['conservative', 'optimistic', 'close', 'drilldown'];
+const DRILLDOWN_MAX_PAGES = 20; // aggTrades pages (1000 trades each) per ambiguous window
+
+function getAmbiguityPolicy() {
+    const policy = (process.env.AMBIGUITY_POLICY || 'drilldown').trim().toLowerCase();
+    return AMBIGUITY_POLICIES.includes(policy) ? policy : 'drilldown';
+}
 
-        // Velocity v = SMA(3) of price change
-        const priceChange = new Array(closes.length).fill(0);
-        for (let i = 1; i < closes.length; i++) priceChange[i] = closes[i] - closes[i - 1];
-        const vArr = sma(priceChange, V_SMA);
+// which levels a price range [low, high] touches
+function touchedLevels(side, sl, tp, high, low) {
+    if (side === 'LONG') return { tpTouched: high >= tp, slTouched: low <= sl };
+    return { tpTouched: low <= tp, slTouched: high >= sl };
+}
 
-        // Acceleration a = v_t - v_{t-1}
-        const aArr = new Array(vArr.length).fill(NaN);
-        for (let i = 1; i < vArr.length; i++) {
-            if (!isNaN(vArr[i]) && !isNaN(vArr[i - 1])) aArr[i] = vArr[i] - vArr[i - 1];
+// Scan ascending 1m candles for the earliest candle where TP or SL was touched.
+// Pure (no network) so the live monitor and the backtester resolve trades the same way.
+// returns { status: 'TP'|'SL' | null, idx (0..n-1), candle, ambiguous?, method?, note? }
+function findHitInCandles(candles, side, sl, tp, policy = getAmbiguityPolicy()) {
+    if (!candles || candles.length === 0) return { status: null };
+    if (side !== 'LONG' && side !== 'SHORT') return { status: null };
+
+    // iterate from old to new, find the earliest candle where SL or TP touched
+    for (let idx = 0; idx < candles.length; idx++) {
+        const c = candles[idx];
+        const { tpTouched, slTouched } = touchedLevels(side, sl, tp, c.high, c.low);
+
+        if (tpTouched && !slTouched) return { status: 'TP', idx, candle: c };
+        if (slTouched && !tpTouched) return { status: 'SL', idx, candle: c };
+        if (tpTouched && slTouched) {
+            // both touched in same candle - decide by policy (drilldown is refined later by the monitor via drillDownAmbiguousCandle)
+            if (policy === 'optimistic') {
+                return { status: 'TP', idx, candle: c, ambiguous: true, method: 'optimistic', note: 'both_in_same_candle => TP' };
+            }
+            if (policy === 'close') {
+                const closeTP = side === 'LONG' ? c.close >= tp : c.close <= tp;
+                return {
+                    status: closeTP ? 'TP' : 'SL', idx, candle: c, ambiguous: true, method: 'close',
+                    note: `both_in_same_candle, close ${closeTP ? 'beyond' : 'before'} tp => ${closeTP ? 'TP' : 'SL'}`
+                };
+            }
+            return { status: 'SL', idx, candle: c, ambiguous: true, method: 'conservative', note: 'both_in_same_candle => SL' };
         }
+    }
 
-        // ATR
-        const atrArr = atrFromCandles(ohlcv, ATR_LENGTH);
-
-        const i = closes.length - 1;
-        const rsi = rsiArr[i];
-        const close = closes[i];
-        const lowerBB = bb_lower[i];
-        const upperBB = bb_upper[i];
-        const acc = aArr[i];
-        const atr = atrArr[i];
-
-        if ([rsi, lowerBB, upperBB, acc, atr].some(v => v === undefined || v === null || isNaN(v))) {
-            return null;
-        }
+    return { status: null };
+}
 
-        // Entry rules
-        let side = null;
-        if (rsi < 30 && close < lowerBB && acc > 0) side = 'LONG';
-        else if (rsi > 70 && close > upperBB && acc < 0) side = 'SHORT';
-        else return null;
-
-        const entry = close;
-        let sl, tp;
-        if (side === 'LONG') {
-            sl = entry - 1.5 * atr;
-            tp = entry + 3.0 * atr;
-        } else {
-            sl = entry + 1.5 * atr;
-            tp = entry - 3.0 * atr;
+async function getJSON(url) {
+    const res = await axios.get(url, {
+        timeout: fetchTimeout,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; NemesisBot/1.0)',
+            'Accept': 'application/json'
         }
+    });
+    return res.data;
+}
 
-        const rr = Math.abs(tp - entry) / Math.abs(entry - sl);
-        const confidence = 60 + Math.min(35, Math.max(0, (Math.abs(acc) / (Math.abs(atr) || 1)) * 10)); // heuristic
-
-        return {
-            symbol,
-            side,
-            entry: parseFloat(entry.toFixed(8)),
-            sl: parseFloat(sl.toFixed(8)),
-            tp: parseFloat(tp.toFixed(8)),
-            rr: parseFloat(rr.toFixed(2)),
-            confidence: Math.round(Math.min(100, confidence)),
-            meta: {
-                rsi: parseFloat(rsi.toFixed(2)),
-                acc: parseFloat(acc.toFixed(8)),
-                atr: parseFloat(atr.toFixed(8)),
-                lowerBB: parseFloat(lowerBB.toFixed(8)),
-                upperBB: parseFloat(upperBB.toFixed(8)),
-                timeframe: '5m'
+// first aggTrade in [startTime, endTime] that touches TP or SL; tries spot then futures
+async function firstTouchInAggTrades(symbol, side, sl, tp, startTime, endTime) {
+    const bases = ['https://api.binance.com/api/v3', 'https://fapi.binance.com/fapi/v1'];
+    for (const base of bases) {
+        try {
+            let url = `${base}/aggTrades?symbol=${symbol}&startTime=${startTime}&endTime=${endTime}&limit=1000`;
+            for (let page = 0; page < DRILLDOWN_MAX_PAGES; page++) {
+                const trades = await getJSON(url);
+                if (!Array.isArray(trades) || trades.length === 0) break;
+                for (const tr of trades) {
+                    if (tr.T > endTime) return null;
+                    const price = parseFloat(tr.p);
+                    const { tpTouched, slTouched } = touchedLevels(side, sl, tp, price, price);
+                    if (tpTouched || slTouched) {
+                        return {
+                            status: tpTouched ? 'TP' : 'SL',
+                            method: 'drilldown_aggtrades',
+                            evidence: { source: base, tradeId: tr.a, price, time: tr.T }
+                        };
+                    }
+                }
+                if (trades.length < 1000) break;
+                url = `${base}/aggTrades?symbol=${symbol}&fromId=${trades[trades.length - 1].a + 1}&limit=1000`;
             }
-        };
-    } catch (err) {
-        console.error(`analysis.analyzeSymbol error for ${symbol}:`, err.message || err);
-        return null;
+        } catch (err) {
+            console.log(`❌ aggTrades drill-down failed on ${base} for ${symbol}: ${err?.response?.status || err.code || err.message}`);
+        }
     }
+    return null;
 }
 
-// Function for monitor: check if TP/SL hit using 1m candles
-// returns { status: 'TP'|'SL' | null, whichCandleIndex: idx (0..n-1), detail: {...} }
-async function checkSignalHit(symbol, side, entry, sl, tp, lookbackMinutes = 120) {
+// Resolve a 1m candle where both TP and SL were touched by looking at finer data:
+// Binance spot 1s klines first, then aggTrades for the second (or minute) that is still ambiguous.
+// returns { status, method, evidence } or null when no finer data is available
+async function drillDownAmbiguousCandle(symbol, side, sl, tp, candle) {
+    const minuteEnd = candle.t + TIMEFRAME_MS['1m'] - 1;
+    let window = { startTime: candle.t, endTime: minuteEnd };
+
     try {
-        // load last lookbackMinutes of 1m candles (limit = lookbackMinutes)
-        const limit = Math.min(Math.max(lookbackMinutes, 10), 1440); // 10..1440
-        const candles = await loadCandles(symbol, '1m', limit);
-        if (!candles || candles.length === 0) return { status: null };
-
-        // iterate from old to new, find the earliest candle where SL or TP touched
-        for (let idx = 0; idx < candles.length; idx++) {
-            const c = candles[idx];
-            const high = c.high;
-            const low = c.low;
-            const open = c.open;
-            const close = c.close;
-
-            if (side === 'LONG') {
-                const tpTouched = high >= tp;
-                const slTouched = low <= sl;
-                if (tpTouched && !slTouched) return { status: 'TP', idx, candle: c };
-                if (slTouched && !tpTouched) return { status: 'SL', idx, candle: c };
+        const raw = await getJSON(`https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=1s&startTime=${candle.t}&endTime=${minuteEnd}&limit=60`);
+        if (Array.isArray(raw) && raw.length) {
+            for (const k of raw) {
+                const high = parseFloat(k[2]);
+                const low = parseFloat(k[3]);
+                const { tpTouched, slTouched } = touchedLevels(side, sl, tp, high, low);
                 if (tpTouched && slTouched) {
-                    // both touched in same candle - best-effort decide by close price:
-                    if (close >= tp) return { status: 'TP', idx, candle: c, note: 'both_in_same_candle, close>=tp => TP' };
-                    else return { status: 'SL', idx, candle: c, note: 'both_in_same_candle, close<tp => SL' };
+                    window = { startTime: parseInt(k[0]), endTime: parseInt(k[0]) + 999 };
+                    break;
                 }
-            } else if (side === 'SHORT') {
-                const tpTouched = low <= tp;
-                const slTouched = high >= sl;
-                if (tpTouched && !slTouched) return { status: 'TP', idx, candle: c };
-                if (slTouched && !tpTouched) return { status: 'SL', idx, candle: c };
-                if (tpTouched && slTouched) {
-                    if (close <= tp) return { status: 'TP', idx, candle: c, note: 'both_in_same_candle, close<=tp => TP' };
-                    else return { status: 'SL', idx, candle: c, note: 'both_in_same_candle, close>tp => SL' };
+                if (tpTouched || slTouched) {
+                    return {
+                        status: tpTouched ? 'TP' : 'SL',
+                        method: 'drilldown_1s',
+                        evidence: { source: 'binance_spot_1s', time: parseInt(k[0]), high, low }
+                    };
                 }
             }
         }
-
-        return { status: null };
     } catch (err) {
-        console.error(`analysis.checkSignalHit error for ${symbol}:`, err.message || err);
-        return { status: null };
+        console.log(`❌ 1s drill-down failed for ${symbol}: ${err?.response?.status || err.code || err.message}`);
     }
+
+    return firstTouchInAggTrades(symbol, side, sl, tp, window.startTime, window.endTime);
+}
+
+// Slice of already-loaded 1m candles for one signal: opened in [since, until)
+// returns { candles, checkedUntil, lastPrice }
+//   checkedUntil: close time of the last fully closed candle in the slice; pass it as the next `since`
+//   lastPrice: close of the newest candle in the slice (mark price for signals that expire)
+function monitorWindow(candles, since, until = Infinity, now = Date.now()) {
+    const inWindow = candles.filter(c => c.t >= since && c.t < until);
+    const closed = closedCandles(inWindow, '1m', now);
+    return {
+        candles: inWindow,
+        checkedUntil: closed.length ? closed[closed.length - 1].t + TIMEFRAME_MS['1m'] : since,
+        lastPrice: inWindow.length ? inWindow[inWindow.length - 1].close : null
+    };
+}
+
+// 1m candles opened from `since` (ms) up to `until` (ms, default now) for the monitor, see monitorWindow
+async function loadMonitorCandles(symbol, since, until = Date.now()) {
+    const now = Date.now();
+    const end = Math.min(until, now);
+    if (since > end) return { candles: [], checkedUntil: since, lastPrice: null };
+
+    const candles = await loadCandlesRange(symbol, '1m', since, end);
+    return monitorWindow(candles, since, until, now);
 }
 
 module.exports = {
-    analyzeSymbol,
-    checkSignalHit
+    TIMEFRAME_MS,
+    AMBIGUITY_POLICIES,
+    analyzeSymbolAll,
+    applyStrategy,
+    compareCandles,
+    confirmWithFuturesContext,
+    crossCheckSignal,
+    drillDownAmbiguousCandle,
+    findHitInCandles,
+    getAmbiguityPolicy,
+    getLastPrice,
+    loadCandles,
+    loadCandlesRange,
+    loadCandlesWithSource,
+    loadMonitorCandles,
+    monitorWindow
 };
@@ -0,0 +1,204 @@
+// api.js
+// REST API chỉ-đọc + live event stream (Server-Sent Events) cho dashboard / spreadsheet riêng, mount vào Express app của bot:
+//   GET /api/signals?status=OPEN,TP&symbol=BTC&side=LONG&strategy=physics_momentum&from=2026-10-01&to=2026-10-18&limit=100&offset=0
+//   GET /api/signals/:id   -> tín hiệu + monitor history (các lần check)
+//   GET /api/stats?period=today|7d|30d|all&symbol=BTC&side=LONG
+//   GET /api/health
+//   GET /api/events        -> SSE: signal_created, signal_updated, signal_resolved, scan_progress (hỗ trợ Last-Event-ID)
+// Bảo vệ bằng API key: header X-API-Key (hoặc ?api_key= cho EventSource của trình duyệt, không gửi được header).
+// Config qua env: API_KEYS (nhiều key cách nhau dấu phẩy); để trống = API tắt (503)
+
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const stats = require('./stats');
+
+const VN_TZ = 'Asia/Ho_Chi_Minh';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const REPLAY_BUFFER = 200; // recent events kept for clients reconnecting with Last-Event-ID
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+const clients = new Set(); // open SSE responses
+const recentEvents = []; // { id, event, data }
+let lastEventId = 0;
+let heartbeat = null;
+
+function getConfig() {
+    return {
+        keys: (process.env.API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean)
+    };
+}
+
+// constant-time comparison against every configured key
+function isValidKey(given, keys) {
+    if (!given) return false;
+    const a = crypto.createHash('sha256').update(String(given)).digest();
+    return keys.some(k => crypto.timingSafeEqual(a, crypto.createHash('sha256').update(k).digest()));
+}
+
+function requireApiKey(req, res, next) {
+    const { keys } = getConfig();
+    if (keys.length === 0) return res.status(503).json({ error: 'API disabled, set API_KEYS to enable it' });
+    if (!isValidKey(req.get('x-api-key') || req.query.api_key, keys)) return res.status(401).json({ error: 'invalid or missing API key' });
+    next();
+}
+
+// Public view of a signal: runtime fields (_...) and subscriber chat ids are left out
+function serializeSignal(signal) {
+    return JSON.parse(JSON.stringify(signal, (key, value) => {
+        if (key.startsWith('_') || key === 'deliveries' || key === 'trackedBy' || key === 'announcedStop') return undefined;
+        return value;
+    }));
+}
+
+// "BTC" / "btcusdt" -> "BTCUSDT"
+function normalizeSymbol(text) {
+    const tok = String(text).trim().toUpperCase();
+    return tok.endsWith('USDT') ? tok : `${tok}USDT`;
+}
+
+// ISO time or date-only (whole VN day: `to` includes the day) or epoch ms
+function parseTime(text, endOfDay = false) {
+    if (text === undefined || text === '') return null;
+    if (/^\d{10,}$/.test(text)) return parseInt(text);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const day = moment.tz(text, 'YYYY-MM-DD', VN_TZ);
+        return day.isValid() ? (endOfDay ? day.add(1, 'day').valueOf() - 1 : day.valueOf()) : NaN;
+    }
+    const t = new Date(text).getTime();
+    return isNaN(t) ? NaN : t;
+}
+
+function parseSignalQuery(query) {
+    const filters = {
+        statuses: query.status ? String(query.status).toUpperCase().split(',').map(s => s.trim()).filter(Boolean) : null,
+        symbol: query.symbol ? normalizeSymbol(query.symbol) : null,
+        side: query.side ? String(query.side).toUpperCase() : null,
+        strategy: query.strategy || null,
+        from: parseTime(query.from),
+        to: parseTime(query.to, true),
+        limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT)),
+        offset: Math.max(0, parseInt(query.offset) || 0)
+    };
+    if (Number.isNaN(filters.from) || Number.isNaN(filters.to)) throw new Error('invalid from / to, use YYYY-MM-DD, an ISO time or epoch ms');
+    if (filters.side && filters.side !== 'LONG' && filters.side !== 'SHORT') throw new Error('side must be LONG or SHORT');
+    return filters;
+}
+
+function filterSignals(signals, f) {
+    return signals.filter(s => {
+        const created = new Date(s.createdAt).getTime();
+        if (f.statuses && !f.statuses.includes(s.status)) return false;
+        if (f.symbol && s.symbol !== f.symbol) return false;
+        if (f.side && s.side !== f.side) return false;
+        if (f.strategy && s.strategy !== f.strategy) return false;
+        if (f.from !== null && created < f.from) return false;
+        if (f.to !== null && created > f.to) return false;
+        return true;
+    }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// ----- Server-Sent Events -----
+function writeEvent(res, e) {
+    res.write(`id: ${e.id}\nevent: ${e.event}\ndata: ${JSON.stringify(e.data)}\n\n`);
+}
+
+function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => {
+        for (const res of clients) res.write(`: ping ${Date.now()}\n\n`);
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+}
+
+// Push one event to every connected stream (no-op without clients besides the replay buffer)
+function publish(event, data) {
+    const e = { id: ++lastEventId, event, data: Object.assign({ time: new Date().toISOString() }, data) };
+    recentEvents.push(e);
+    if (recentEvents.length > REPLAY_BUFFER) recentEvents.shift();
+    for (const res of clients) writeEvent(res, e);
+}
+
+function openStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    const since = parseInt(req.get('last-event-id'));
+    if (since > 0) recentEvents.filter(e => e.id > since).forEach(e => writeEvent(res, e));
+    clients.add(res);
+    startHeartbeat();
+    req.on('close', () => clients.delete(res));
+}
+
+// provider: {
+//   getSignals() -> { open, closed },  getChecks(id) -> monitor history,
+//   getStrategyStats() -> per strategy counters,  getHealth() -> object merged into /api/health
+// }
+function createRouter(provider) {
+    const router = express.Router();
+    router.use(requireApiKey);
+
+    router.get('/signals', (req, res) => {
+        let filters;
+        try {
+            filters = parseSignalQuery(req.query);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        const { open, closed } = provider.getSignals();
+        const matched = filterSignals(open.concat(closed), filters);
+        res.json({
+            total: matched.length,
+            limit: filters.limit,
+            offset: filters.offset,
+            signals: matched.slice(filters.offset, filters.offset + filters.limit).map(serializeSignal)
+        });
+    });
+
+    router.get('/signals/:id', (req, res) => {
+        const { open, closed } = provider.getSignals();
+        const signal = open.concat(closed).find(s => s.id === req.params.id);
+        if (!signal) return res.status(404).json({ error: `signal ${req.params.id} not found` });
+        res.json(Object.assign(serializeSignal(signal), { monitorHistory: provider.getChecks(signal.id) }));
+    });
+
+    router.get('/stats', (req, res) => {
+        const period = (req.query.period || 'all').toLowerCase();
+        if (period !== 'all' && !stats.PERIODS.hasOwnProperty(period)) {
+            return res.status(400).json({ error: `period must be one of all, ${Object.keys(stats.PERIODS).join(', ')}` });
+        }
+        const filters = {
+            period,
+            symbol: req.query.symbol ? normalizeSymbol(req.query.symbol) : null,
+            side: req.query.side ? String(req.query.side).toUpperCase() : null
+        };
+        const { open, closed } = provider.getSignals();
+        const records = stats.filterRecords(closed, filters, moment().tz(VN_TZ));
+        res.json(Object.assign({ filters, open: open.length }, stats.computeStats(records), { strategies: provider.getStrategyStats() }));
+    });
+
+    router.get('/health', (req, res) => {
+        res.json(Object.assign({ status: 'ok', uptimeSeconds: Math.round(process.uptime()), streamClients: clients.size }, provider.getHealth()));
+    });
+
+    router.get('/events', openStream);
+
+    return router;
+}
+
+function getStatus() {
+    return { enabled: getConfig().keys.length > 0, streamClients: clients.size, lastEventId };
+}
+
+module.exports = {
+    getConfig,
+    createRouter,
+    publish,
+    serializeSignal,
+    getStatus
+};
@@ -0,0 +1,403 @@
+// backtest.js
+// Offline backtester for the registered strategies (default: Physics Momentum)
+// Replay các nến đã lưu (CSV hoặc JSON) qua đúng rule vào lệnh của strategy (analysis.applyStrategy),
+// rồi chốt TP1/TP2/TP3, SL hoà vốn / trailing trên nến 1m bằng tradeManager.processCandles (giống hệt monitor live).
+//
+// Usage:
+//   node backtest.js --data ./data [--strategy physics_momentum] [--symbols BTCUSDT,ETHUSDT]
+//                    [--min-confidence 60] [--dedupe-minutes 60] [--max-hours 48] [--json report.json]
+//                    [--htf off|weight|veto] [--htf-timeframes 1h,4h] [--ambiguity conservative|optimistic|close]
+//                    [--targets 0.5:40,1:30,1.5:30|off] [--break-even on|off] [--trailing off|atr] [--trailing-mult 1.5]
+//
+// Data files (trong thư mục --data), mỗi symbol một cặp:
+//   BTCUSDT_5m.json | BTCUSDT_5m.csv   -> nến theo timeframe của strategy dùng để tìm tín hiệu
+//   BTCUSDT_1m.json | BTCUSDT_1m.csv   -> nến 1m dùng để chốt TP/SL (nếu thiếu sẽ dùng nến của strategy)
+// JSON: array of { t, open, high, low, close, vol } (same shape loadCandles returns) or raw Binance kline arrays.
+// CSV: columns t,open,high,low,close,vol (header optional, extra columns ignored).
+// Higher-timeframe candles for --htf are resampled from the strategy candles (no extra files needed).
+// The futures context filter (funding / OI / long-short, FUTURES_FILTER) needs live data and is not replayed.
+// TP+SL in the same 1m candle: --ambiguity policy (drilldown needs the network, so offline it counts as conservative).
+// Trade management defaults to the env settings of the live bot (TP_TARGETS, BREAK_EVEN, TRAILING_STOP, TRAILING_ATR_MULT).
+// Strategy params, min confidence (per symbol overrides included), dedupe and max hours default to config.json like the live bot.
+
+const fs = require('fs');
+const path = require('path');
+const analysis = require('./analysis');
+const strategies = require('./strategies');
+const trendFilter = require('./trendFilter');
+const tradeManager = require('./tradeManager');
+const stats = require('./stats');
+const appConfig = require('./config');
+
+const { TIMEFRAME_MS } = analysis;
+
+const DEFAULT_OPTIONS = {
+    strategy: strategies.DEFAULT_STRATEGY_ID,
+    minConfidence: null, // null = config.json cutoff of the symbol, same as runAutoAnalysis
+    dedupeMinutes: null, // null = config.json scan.dedupeWindowMinutes
+    maxHours: null, // null = config.json scan.maxMonitorHours
+    htf: 'off', // higher-timeframe filter mode, same values as HTF_FILTER
+    htfTimeframes: ['1h', '4h'],
+    ambiguity: 'conservative', // AMBIGUITY_POLICY used when TP and SL hit in the same candle
+    management: null // tradeManager config, null = tradeManager.getConfig() (env)
+};
+
+// ----- Data loading -----
+function normalizeRow(item) {
+    if (Array.isArray(item)) {
+        return {
+            t: parseInt(item[0]),
+            open: parseFloat(item[1]),
+            high: parseFloat(item[2]),
+            low: parseFloat(item[3]),
+            close: parseFloat(item[4]),
+            vol: parseFloat(item[5] || 0)
+        };
+    }
+    return {
+        t: parseInt(item.t),
+        open: parseFloat(item.open),
+        high: parseFloat(item.high),
+        low: parseFloat(item.low),
+        close: parseFloat(item.close),
+        vol: parseFloat(item.vol || 0)
+    };
+}
+
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return [];
+    const first = lines[0].split(',');
+    let columns = null;
+    if (isNaN(parseFloat(first[0]))) {
+        // header row: map by name so column order does not matter
+        columns = first.map(h => h.trim().toLowerCase());
+        lines.shift();
+    }
+    return lines.map(line => {
+        const cells = line.split(',');
+        if (!columns) return normalizeRow(cells);
+        const obj = {};
+        columns.forEach((name, i) => { obj[name] = cells[i]; });
+        return normalizeRow({
+            t: obj.t || obj.time || obj.timestamp || obj.opentime || obj.open_time,
+            open: obj.open,
+            high: obj.high,
+            low: obj.low,
+            close: obj.close,
+            vol: obj.vol || obj.volume
+        });
+    });
+}
+
+function loadCandleFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const rows = filePath.toLowerCase().endsWith('.csv') ? parseCSV(raw) : JSON.parse(raw).map(normalizeRow);
+    return rows
+        .filter(c => [c.t, c.open, c.high, c.low, c.close].every(v => !isNaN(v)))
+        .sort((a, b) => a.t - b.t);
+}
+
+function findDataFile(dataDir, symbol, interval) {
+    for (const ext of ['.json', '.csv']) {
+        const file = path.join(dataDir, `${symbol}_${interval}${ext}`);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+function listSymbols(dataDir, timeframe) {
+    const symbols = new Set();
+    for (const file of fs.readdirSync(dataDir)) {
+        const m = file.match(/^([A-Z0-9]+)_([0-9]+[mhd])\.(json|csv)$/i);
+        if (m && m[2] === timeframe) symbols.add(m[1].toUpperCase());
+    }
+    return Array.from(symbols).sort();
+}
+
+// ----- Simulation -----
+// first index with candle.t >= time (candles ascending)
+function lowerBound(candles, time) {
+    let lo = 0, hi = candles.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (candles[mid].t < time) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Aggregate ascending candles into a higher timeframe (bucketed by open time)
+function resample(candles, interval) {
+    const ms = TIMEFRAME_MS[interval];
+    const out = [];
+    let cur = null;
+    for (const c of candles) {
+        const bucket = Math.floor(c.t / ms) * ms;
+        if (!cur || cur.t !== bucket) {
+            cur = { t: bucket, open: c.open, high: c.high, low: c.low, close: c.close, vol: c.vol };
+            out.push(cur);
+        } else {
+            cur.high = Math.max(cur.high, c.high);
+            cur.low = Math.min(cur.low, c.low);
+            cur.close = c.close;
+            cur.vol += c.vol;
+        }
+    }
+    return out;
+}
+
+// HTF candles fully closed at `time`, same window size the live filter loads
+function htfWindowAt(htfCandles, interval, time) {
+    const end = lowerBound(htfCandles, time - TIMEFRAME_MS[interval] + 1);
+    return htfCandles.slice(Math.max(0, end - trendFilter.HTF_CANDLE_LIMIT), end);
+}
+
+function resolveTrade(signal, resolveCandles, entryTime, maxHours, ambiguity, management) {
+    const start = lowerBound(resolveCandles, entryTime);
+    const end = lowerBound(resolveCandles, entryTime + maxHours * 60 * 60 * 1000);
+    const window = resolveCandles.slice(start, end);
+    const trade = tradeManager.initManagement(Object.assign({}, signal), management);
+    const risk = Math.abs(trade.entry - trade.sl);
+
+    // every replayed candle is closed, so trailing applies on all of them
+    const { closed } = tradeManager.processCandles(trade, window, { policy: ambiguity, now: Infinity });
+    let status, exitPrice, exitTime, note;
+    let ambiguous = false;
+    if (closed) {
+        status = closed.status;
+        exitPrice = closed.exitPrice;
+        exitTime = closed.hitTime;
+        ambiguous = closed.resolution.ambiguous;
+        note = closed.resolution.note || undefined;
+    } else if (end < resolveCandles.length || window.length === 0) {
+        // monitor window elapsed without TP/SL: mark to market at the last candle close
+        status = 'EXPIRED';
+        const last = window.length ? window[window.length - 1] : null;
+        exitPrice = last ? last.close : trade.entry;
+        exitTime = last ? last.t : entryTime;
+    } else {
+        // data ends before the monitor window does
+        status = 'OPEN';
+        const last = window[window.length - 1];
+        exitPrice = last.close;
+        exitTime = last.t;
+    }
+
+    // weighted over the partial fills at TP1 / TP2
+    const direction = trade.side === 'LONG' ? 1 : -1;
+    const move = (stats.averageExitPrice(trade, exitPrice) - trade.entry) * direction;
+    const r = risk > 0 ? move / risk : 0;
+    const pnlPct = (move / trade.entry) * 100;
+
+    return { status, tp: trade.tp, targets: trade.targets, fills: trade.fills, exitPrice, exitTime, r, pnlPct, ambiguous, note };
+}
+
+function backtestSymbol(symbol, candles, candles1m, options = {}) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const scan = appConfig.get().scan;
+    if (opts.dedupeMinutes === null || opts.dedupeMinutes === undefined) opts.dedupeMinutes = scan.dedupeWindowMinutes;
+    if (opts.maxHours === null || opts.maxHours === undefined) opts.maxHours = scan.maxMonitorHours;
+    const management = opts.management || tradeManager.getConfig();
+    const strategy = strategies.getStrategy(opts.strategy);
+    if (!strategy) throw new Error(`Unknown strategy: ${opts.strategy}`);
+    const minConfidence = opts.minConfidence !== null && opts.minConfidence !== undefined ? opts.minConfidence : appConfig.getStrategySettings(strategy, symbol).minConfidence;
+    const barMs = TIMEFRAME_MS[strategy.timeframe] || TIMEFRAME_MS['5m'];
+    const resolveCandles = candles1m && candles1m.length ? candles1m : candles;
+    const trades = [];
+    const dedupeMs = opts.dedupeMinutes * 60 * 1000;
+    const htfSeries = {};
+    if (opts.htf !== 'off') {
+        for (const tf of opts.htfTimeframes) htfSeries[tf] = resample(candles, tf);
+    }
+
+    for (let i = 0; i < candles.length; i++) {
+        // analyzeSymbolAll loads strategy.candleLimit candles, replay the same window
+        const windowCandles = candles.slice(Math.max(0, i - strategy.candleLimit + 1), i + 1);
+        let signal = analysis.applyStrategy(strategy, symbol, windowCandles);
+        if (!signal) continue;
+
+        // signal is emitted when the bar closes
+        const entryTime = candles[i].t + barMs;
+
+        if (opts.htf !== 'off') {
+            const htfCandles = {};
+            for (const tf of Object.keys(htfSeries)) htfCandles[tf] = htfWindowAt(htfSeries[tf], tf, entryTime);
+            signal = trendFilter.applyTrendFilter(signal, htfCandles, opts.htf);
+        }
+        if (!signal || !signal.side || signal.confidence < minConfidence) continue;
+
+        // same dedupe as isDuplicateSignal: same side, created within the window and still open
+        const duplicate = trades.some(tr =>
+            tr.side === signal.side &&
+            (entryTime - tr.entryTime) <= dedupeMs &&
+            tr.exitTime >= entryTime
+        );
+        if (duplicate) continue;
+
+        const result = resolveTrade(signal, resolveCandles, entryTime, opts.maxHours, opts.ambiguity, management);
+        trades.push({
+            symbol,
+            side: signal.side,
+            entry: signal.entry,
+            sl: signal.sl,
+            tp: signal.tp,
+            rr: signal.rr,
+            confidence: signal.confidence,
+            strategy: strategy.id,
+            htf: signal.meta && signal.meta.htf ? { agreed: signal.meta.htf.agreed, against: signal.meta.htf.against } : undefined,
+            entryTime,
+            ...result
+        });
+    }
+
+    return trades;
+}
+
+// ----- Reporting -----
+function summarize(trades) {
+    const closed = trades.filter(t => t.status !== 'OPEN');
+    // PARTIAL counts as a win or a loss by its weighted R (same as stats.computeStats)
+    const wins = closed.filter(t => stats.isWin({ status: t.status, realizedR: t.r }));
+    const losses = closed.filter(t => stats.isLoss({ status: t.status, realizedR: t.r }));
+    const expired = closed.filter(t => t.status === 'EXPIRED');
+    const decided = wins.length + losses.length;
+
+    const totalR = closed.reduce((a, t) => a + t.r, 0);
+    const avg = (arr, key) => arr.length ? arr.reduce((a, t) => a + t[key], 0) / arr.length : 0;
+
+    // max drawdown of the cumulative R curve, trades ordered by exit time
+    let equity = 0, peak = 0, maxDrawdownR = 0;
+    for (const t of closed.slice().sort((a, b) => a.exitTime - b.exitTime)) {
+        equity += t.r;
+        peak = Math.max(peak, equity);
+        maxDrawdownR = Math.max(maxDrawdownR, peak - equity);
+    }
+
+    return {
+        trades: closed.length,
+        open: trades.length - closed.length,
+        wins: wins.length,
+        losses: losses.length,
+        partial: closed.filter(t => t.status === 'PARTIAL').length,
+        expired: expired.length,
+        ambiguous: closed.filter(t => t.ambiguous).length,
+        winRate: decided ? (wins.length / decided) * 100 : 0,
+        totalR,
+        avgR: avg(closed, 'r'),
+        avgWinR: avg(wins, 'r'),
+        avgLossR: avg(losses, 'r'),
+        expectancyPct: avg(closed, 'pnlPct'),
+        maxDrawdownR
+    };
+}
+
+function runBacktest(dataDir, options = {}) {
+    const strategy = strategies.getStrategy(options.strategy);
+    if (!strategy) throw new Error(`Unknown strategy: ${options.strategy}`);
+    const timeframe = strategy.timeframe;
+    const symbols = options.symbols && options.symbols.length ? options.symbols : listSymbols(dataDir, timeframe);
+    const allTrades = [];
+    const perSymbol = {};
+
+    for (const symbol of symbols) {
+        const fileMain = findDataFile(dataDir, symbol, timeframe);
+        if (!fileMain) {
+            console.warn(`No ${timeframe} data for ${symbol} in ${dataDir}, skipping`);
+            continue;
+        }
+        const file1m = timeframe === '1m' ? fileMain : findDataFile(dataDir, symbol, '1m');
+        if (!file1m) console.warn(`No 1m data for ${symbol}, resolving TP/SL on ${timeframe} candles`);
+
+        const candles = loadCandleFile(fileMain);
+        const candles1m = file1m ? loadCandleFile(file1m) : null;
+        const trades = backtestSymbol(symbol, candles, candles1m, Object.assign({}, options, { strategy: strategy.id }));
+        perSymbol[symbol] = summarize(trades);
+        allTrades.push(...trades);
+    }
+
+    return { strategy: strategy.id, strategyName: strategy.name, htf: options.htf || 'off', ambiguity: options.ambiguity || DEFAULT_OPTIONS.ambiguity, overall: summarize(allTrades), perSymbol, trades: allTrades };
+}
+
+function printReport(report) {
+    const fmt = (n, d = 2) => Number(n).toFixed(d);
+    const o = report.overall;
+    console.log(`===== ${report.strategyName} backtest (HTF filter: ${report.htf}) =====`);
+    console.log(`Trades: ${o.trades} (wins ${o.wins} / losses ${o.losses} / EXPIRED ${o.expired}, partial ${o.partial}, still open ${o.open})`);
+    console.log(`Win rate: ${fmt(o.winRate)}%`);
+    console.log(`Ambiguous (TP+SL same candle, resolved ${report.ambiguity}): ${o.ambiguous}`);
+    console.log(`Total R: ${fmt(o.totalR)} | Avg R: ${fmt(o.avgR)} | Avg win R: ${fmt(o.avgWinR)} | Avg loss R: ${fmt(o.avgLossR)}`);
+    console.log(`Expectancy: ${fmt(o.avgR)} R / ${fmt(o.expectancyPct)}% per trade`);
+    console.log(`Max drawdown: ${fmt(o.maxDrawdownR)} R`);
+    console.log('');
+    console.log('Symbol        Trades  Win%    TotalR   AvgR    MaxDD(R)');
+    for (const [symbol, s] of Object.entries(report.perSymbol)) {
+        console.log(
+            `${symbol.padEnd(13)} ${String(s.trades).padStart(6)}  ${fmt(s.winRate).padStart(6)}  ` +
+            `${fmt(s.totalR).padStart(7)}  ${fmt(s.avgR).padStart(6)}  ${fmt(s.maxDrawdownR).padStart(8)}`
+        );
+    }
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (!a.startsWith('--')) continue;
+        const key = a.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[key] = true;
+        else { args[key] = next; i++; }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const dataDir = path.resolve(args.data || path.join(__dirname, 'data'));
+    if (!fs.existsSync(dataDir)) {
+        console.error(`Data directory not found: ${dataDir}`);
+        process.exit(1);
+    }
+
+    const options = {
+        strategy: args.strategy ? String(args.strategy) : DEFAULT_OPTIONS.strategy,
+        symbols: args.symbols ? String(args.symbols).split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : [],
+        minConfidence: args['min-confidence'] !== undefined ? parseFloat(args['min-confidence']) : null,
+        dedupeMinutes: args['dedupe-minutes'] !== undefined ? parseFloat(args['dedupe-minutes']) : null,
+        maxHours: args['max-hours'] !== undefined ? parseFloat(args['max-hours']) : null,
+        htf: args.htf ? String(args.htf).toLowerCase() : DEFAULT_OPTIONS.htf,
+        htfTimeframes: args['htf-timeframes'] ? String(args['htf-timeframes']).split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_OPTIONS.htfTimeframes,
+        ambiguity: args.ambiguity ? String(args.ambiguity).toLowerCase() : DEFAULT_OPTIONS.ambiguity,
+        management: tradeManager.getConfig()
+    };
+    if (args.targets !== undefined) options.management.targets = tradeManager.parseTargets(String(args.targets));
+    if (args['break-even'] !== undefined) options.management.breakEven = String(args['break-even']).toLowerCase() !== 'off';
+    if (args.trailing !== undefined) options.management.trailing = String(args.trailing).toLowerCase() === 'atr';
+    if (args['trailing-mult'] !== undefined) options.management.trailingAtrMult = parseFloat(args['trailing-mult']) || options.management.trailingAtrMult;
+
+    if (!['off', 'weight', 'veto'].includes(options.htf)) {
+        console.error(`Invalid --htf mode: ${options.htf} (expected off, weight or veto)`);
+        process.exit(1);
+    }
+
+    if (!analysis.AMBIGUITY_POLICIES.includes(options.ambiguity)) {
+        console.error(`Invalid --ambiguity policy: ${options.ambiguity} (expected ${analysis.AMBIGUITY_POLICIES.join(', ')})`);
+        process.exit(1);
+    }
+
+    const report = runBacktest(dataDir, options);
+    printReport(report);
+
+    if (args.json) {
+        fs.writeFileSync(path.resolve(String(args.json)), JSON.stringify(report, null, 2), 'utf8');
+        console.log(`\nReport written to ${args.json}`);
+    }
+}
+
+module.exports = {
+    runBacktest,
+    backtestSymbol,
+    summarize,
+    loadCandleFile
+};
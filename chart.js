@@ -0,0 +1,332 @@
+// chart.js
+// Ảnh chart PNG cho tín hiệu, vẽ hoàn toàn bằng Node (raster RGB + zlib built-in, không cần browser / canvas / dịch vụ ngoài):
+// ~100 nến 5m cuối, Bollinger Bands, khung RSI bên dưới, các đường Entry / TP / SL và nến chạm TP/SL khi có.
+// Config qua env: SIGNAL_CHARTS=on|off (mặc định on), CHART_CANDLES (số nến hiển thị, mặc định 100)
+
+const zlib = require('zlib');
+const { rsiFromCloses, sma } = require('./indicators');
+const symbolRegistry = require('./symbolRegistry');
+
+const WIDTH = 960;
+const HEIGHT = 600;
+const PLOT_LEFT = 10;
+const PLOT_RIGHT = WIDTH - 100; // price axis labels on the right
+const PRICE_TOP = 40;
+const PRICE_BOTTOM = 430;
+const RSI_TOP = 450;
+const RSI_BOTTOM = HEIGHT - 14;
+const BB_LENGTH = 20;
+const BB_STD = 2;
+const RSI_LENGTH = 14;
+const DEFAULT_TIMEFRAME_MS = 5 * 60 * 1000;
+
+const COLORS = {
+    background: [19, 23, 34],
+    grid: [42, 46, 57],
+    axis: [120, 123, 134],
+    text: [209, 212, 220],
+    up: [38, 166, 154],
+    down: [239, 83, 80],
+    band: [41, 98, 255],
+    bandMid: [255, 152, 0],
+    rsi: [126, 87, 194],
+    entry: [66, 165, 245],
+    target: [0, 200, 83],
+    stop: [255, 82, 82],
+    mark: [255, 235, 59]
+};
+
+// 5x7 bitmap font, one number per row (bit 4 = leftmost pixel); lowercase is drawn as uppercase
+const FONT = {
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E], '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F], '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02], '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E], '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E], '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    A: [0x0E, 0x11, 0x11, 0x11, 0x1F, 0x11, 0x11], B: [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    C: [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E], D: [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    E: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F], F: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    G: [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F], H: [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    I: [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E], J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    M: [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11], N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    O: [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], P: [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    Q: [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D], R: [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    S: [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E], T: [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A], X: [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    Y: [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04], Z: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    '.': [0, 0, 0, 0, 0, 0x0C, 0x0C], '-': [0, 0, 0, 0x1F, 0, 0, 0], '+': [0, 0x04, 0x04, 0x1F, 0x04, 0x04, 0],
+    ':': [0, 0x0C, 0x0C, 0, 0x0C, 0x0C, 0], '/': [0, 0x01, 0x02, 0x04, 0x08, 0x10, 0],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03], '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08]
+};
+
+function getConfig() {
+    const bars = parseInt(process.env.CHART_CANDLES);
+    return {
+        enabled: (process.env.SIGNAL_CHARTS || 'on').trim().toLowerCase() !== 'off',
+        bars: bars >= 20 ? Math.min(bars, 300) : 100
+    };
+}
+
+// ----- Raster canvas (RGB, 8 bit) -----
+function createCanvas(width, height, background) {
+    const data = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < data.length; i += 3) {
+        data[i] = background[0];
+        data[i + 1] = background[1];
+        data[i + 2] = background[2];
+    }
+    return { width, height, data };
+}
+
+// alpha 0..1 blends over what is already drawn
+function setPixel(cv, x, y, color, alpha = 1) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= cv.width || y >= cv.height) return;
+    const i = (y * cv.width + x) * 3;
+    for (let k = 0; k < 3; k++) cv.data[i + k] = Math.round(cv.data[i + k] * (1 - alpha) + color[k] * alpha);
+}
+
+function fillRect(cv, x, y, w, h, color, alpha = 1) {
+    const x0 = Math.round(x), y0 = Math.round(y);
+    for (let yy = y0; yy < y0 + Math.round(h); yy++) {
+        for (let xx = x0; xx < x0 + Math.round(w); xx++) setPixel(cv, xx, yy, color, alpha);
+    }
+}
+
+// Bresenham
+function line(cv, x0, y0, x1, y1, color) {
+    x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    for (;;) {
+        setPixel(cv, x0, y0, color);
+        if (x0 === x1 && y0 === y1) return;
+        const e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x0 += sx; }
+        if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+}
+
+function dashedHLine(cv, x0, x1, y, color, dash = 6, gap = 4) {
+    for (let x = Math.round(x0); x <= x1; x += dash + gap) {
+        for (let k = 0; k < dash && x + k <= x1; k++) setPixel(cv, x + k, y, color);
+    }
+}
+
+// NaN points break the polyline
+function polyline(cv, points, color) {
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        if (isNaN(a[1]) || isNaN(b[1])) continue;
+        line(cv, a[0], a[1], b[0], b[1], color);
+    }
+}
+
+function textWidth(text, scale = 1) {
+    return text.length * 6 * scale;
+}
+
+function drawText(cv, x, y, text, color, scale = 1) {
+    let cx = Math.round(x);
+    for (const ch of String(text).toUpperCase()) {
+        const glyph = FONT[ch];
+        if (glyph) {
+            glyph.forEach((row, ry) => {
+                for (let rx = 0; rx < 5; rx++) {
+                    if (row & (0x10 >> rx)) fillRect(cv, cx + rx * scale, y + ry * scale, scale, scale, color);
+                }
+            });
+        }
+        cx += 6 * scale;
+    }
+}
+
+// ----- PNG encoding -----
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = -1;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePNG(cv) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(cv.width, 0);
+    header.writeUInt32BE(cv.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type RGB
+    const stride = cv.width * 3;
+    const raw = Buffer.alloc((stride + 1) * cv.height);
+    for (let y = 0; y < cv.height; y++) {
+        raw[y * (stride + 1)] = 0; // filter: none
+        cv.data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// ----- Chart -----
+function bollinger(closes) {
+    const mid = sma(closes, BB_LENGTH);
+    const upper = new Array(closes.length).fill(NaN);
+    const lower = new Array(closes.length).fill(NaN);
+    for (let i = BB_LENGTH - 1; i < closes.length; i++) {
+        let variance = 0;
+        for (let j = i - BB_LENGTH + 1; j <= i; j++) variance += Math.pow(closes[j] - mid[i], 2);
+        const std = Math.sqrt(variance / BB_LENGTH);
+        upper[i] = mid[i] + BB_STD * std;
+        lower[i] = mid[i] - BB_STD * std;
+    }
+    return { mid, upper, lower };
+}
+
+function formatPrice(p, symbol) {
+    const decimals = symbolRegistry.priceDecimals(symbol);
+    if (decimals !== null) return Number(p).toFixed(decimals);
+    if (p >= 1000) return Number(p).toFixed(2);
+    if (p >= 1) return Number(p).toFixed(4);
+    return Number(p).toFixed(6);
+}
+
+// Horizontal level lines of the signal: entry, every target (or the TP) and the current / initial stop
+function signalLevels(signal) {
+    const levels = [{ label: 'ENTRY', price: signal.entry, color: COLORS.entry }];
+    if (signal.targets && signal.targets.length) {
+        signal.targets.forEach(t => levels.push({ label: t.level, price: t.price, color: COLORS.target, hit: !!t.hitTime }));
+    } else if (signal.tp !== undefined) {
+        levels.push({ label: 'TP', price: signal.tp, color: COLORS.target });
+    }
+    levels.push({ label: 'SL', price: signal.sl, color: COLORS.stop });
+    if (signal.stop !== undefined && signal.stop !== signal.sl && signal.stop !== signal.entry) levels.push({ label: 'STOP', price: signal.stop, color: COLORS.stop });
+    return levels.filter(l => l.price !== undefined && l.price !== null && !isNaN(l.price));
+}
+
+// candles: ascending candles of the signal timeframe (extra older candles warm up BB / RSI)
+// signal: { symbol, side, entry, sl, tp, targets?, stop?, strategyName? } or null for a plain chart
+// options: { bars, timeframeMs, marks: [{ time, label, color }], title }
+// returns a PNG Buffer
+function renderSignalChart(candles, signal, options = {}) {
+    if (!candles || candles.length < 2) throw new Error('not enough candles for a chart');
+    const bars = options.bars || getConfig().bars;
+    const timeframeMs = options.timeframeMs || DEFAULT_TIMEFRAME_MS;
+    const closes = candles.map(c => c.close);
+    const bb = bollinger(closes);
+    const rsi = rsiFromCloses(closes, RSI_LENGTH);
+    const from = Math.max(0, candles.length - bars);
+    const shown = candles.slice(from);
+    const levels = signal ? signalLevels(signal) : [];
+
+    // price scale over candles, bands and levels
+    let hi = -Infinity, lo = Infinity;
+    shown.forEach((c, i) => {
+        hi = Math.max(hi, c.high, isNaN(bb.upper[from + i]) ? -Infinity : bb.upper[from + i]);
+        lo = Math.min(lo, c.low, isNaN(bb.lower[from + i]) ? Infinity : bb.lower[from + i]);
+    });
+    levels.forEach(l => { hi = Math.max(hi, l.price); lo = Math.min(lo, l.price); });
+    const pad = (hi - lo) * 0.05 || hi * 0.01 || 1;
+    hi += pad;
+    lo -= pad;
+    const yPrice = p => PRICE_BOTTOM - ((p - lo) / (hi - lo)) * (PRICE_BOTTOM - PRICE_TOP);
+    const yRsi = v => RSI_BOTTOM - (v / 100) * (RSI_BOTTOM - RSI_TOP);
+    const slot = (PLOT_RIGHT - PLOT_LEFT) / bars;
+    const xOf = i => PLOT_LEFT + slot * (i + 0.5);
+    const symbol = signal ? signal.symbol : options.symbol;
+
+    const cv = createCanvas(WIDTH, HEIGHT, COLORS.background);
+
+    // grid + price axis
+    for (let k = 0; k <= 5; k++) {
+        const p = lo + ((hi - lo) * k) / 5;
+        const y = Math.round(yPrice(p));
+        dashedHLine(cv, PLOT_LEFT, PLOT_RIGHT, y, COLORS.grid, 2, 3);
+        drawText(cv, PLOT_RIGHT + 6, y - 3, formatPrice(p, symbol), COLORS.axis);
+    }
+    [30, 50, 70].forEach(v => dashedHLine(cv, PLOT_LEFT, PLOT_RIGHT, Math.round(yRsi(v)), v === 50 ? COLORS.grid : COLORS.axis, 4, 4));
+    drawText(cv, PLOT_RIGHT + 6, Math.round(yRsi(70)) - 3, '70', COLORS.axis);
+    drawText(cv, PLOT_RIGHT + 6, Math.round(yRsi(30)) - 3, '30', COLORS.axis);
+    line(cv, PLOT_LEFT, RSI_TOP - 8, PLOT_RIGHT, RSI_TOP - 8, COLORS.grid);
+    line(cv, PLOT_RIGHT, PRICE_TOP, PLOT_RIGHT, RSI_BOTTOM, COLORS.grid);
+
+    // highlighted candles (entry, hit candle)
+    for (const mark of options.marks || []) {
+        const t = Math.floor(mark.time / timeframeMs) * timeframeMs;
+        const i = shown.findIndex(c => c.t === t);
+        if (i < 0) continue;
+        fillRect(cv, xOf(i) - slot / 2, PRICE_TOP, Math.max(1, slot), RSI_BOTTOM - PRICE_TOP, mark.color || COLORS.mark, 0.18);
+        if (mark.label) drawText(cv, Math.min(PLOT_RIGHT - textWidth(mark.label), Math.max(PLOT_LEFT, xOf(i) - textWidth(mark.label) / 2)), PRICE_TOP - 10, mark.label, mark.color || COLORS.mark);
+    }
+
+    // Bollinger bands
+    const bandPoints = series => shown.map((c, i) => [xOf(i), isNaN(series[from + i]) ? NaN : yPrice(series[from + i])]);
+    polyline(cv, bandPoints(bb.upper), COLORS.band);
+    polyline(cv, bandPoints(bb.lower), COLORS.band);
+    polyline(cv, bandPoints(bb.mid), COLORS.bandMid);
+
+    // candles
+    const bodyWidth = Math.max(1, Math.floor(slot * 0.6));
+    shown.forEach((c, i) => {
+        const color = c.close >= c.open ? COLORS.up : COLORS.down;
+        const x = Math.round(xOf(i));
+        line(cv, x, yPrice(c.high), x, yPrice(c.low), color);
+        const top = Math.min(yPrice(c.open), yPrice(c.close));
+        fillRect(cv, x - Math.floor(bodyWidth / 2), top, bodyWidth, Math.max(1, Math.abs(yPrice(c.open) - yPrice(c.close))), color);
+    });
+
+    // signal levels with a tag on the price axis; tags too close to each other are pushed apart
+    let lastTagY = -Infinity;
+    levels.map(l => Object.assign({ y: Math.round(yPrice(l.price)) }, l)).sort((a, b) => a.y - b.y).forEach(l => {
+        dashedHLine(cv, PLOT_LEFT, PLOT_RIGHT, l.y, l.color);
+        const tagY = Math.max(l.y, lastTagY + 12);
+        lastTagY = tagY;
+        const tag = `${l.label} ${formatPrice(l.price, symbol)}${l.hit ? ' +' : ''}`;
+        fillRect(cv, PLOT_RIGHT - textWidth(tag) - 6, tagY - 6, textWidth(tag) + 4, 11, l.color);
+        drawText(cv, PLOT_RIGHT - textWidth(tag) - 4, tagY - 4, tag, COLORS.background);
+    });
+
+    // RSI
+    polyline(cv, shown.map((c, i) => [xOf(i), isNaN(rsi[from + i]) ? NaN : yRsi(rsi[from + i])]), COLORS.rsi);
+    const lastRsi = rsi[rsi.length - 1];
+    drawText(cv, PLOT_LEFT + 4, RSI_TOP - 4, `RSI ${RSI_LENGTH}${isNaN(lastRsi) ? '' : ` ${lastRsi.toFixed(1)}`}`, COLORS.rsi);
+
+    // title
+    const title = options.title || (signal
+        ? `${signal.symbol} ${Math.round(timeframeMs / 60000)}M ${signal.side}${signal.strategyName ? ` - ${signal.strategyName}` : ''}`
+        : `${symbol || ''} ${Math.round(timeframeMs / 60000)}M`);
+    drawText(cv, PLOT_LEFT + 4, 8, title, COLORS.text, 2);
+    drawText(cv, PLOT_RIGHT - textWidth(`BB ${BB_LENGTH} ${BB_STD}`) - 4, 12, `BB ${BB_LENGTH} ${BB_STD}`, COLORS.band);
+
+    return encodePNG(cv);
+}
+
+module.exports = {
+    getConfig,
+    encodePNG,
+    renderSignalChart
+};
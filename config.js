@@ -0,0 +1,249 @@
+// config.js
+// File cấu hình JSON cho tham số strategy, ngưỡng confidence, danh sách coin, dedupe và thời gian theo dõi tín hiệu:
+//   - validate theo schema khi khởi động (lỗi -> bot dừng với danh sách lỗi rõ ràng) và khi reload (lỗi -> giữ config cũ)
+//   - overrides theo symbol (ví dụ SL rộng hơn cho memecoin); rule sau ghi đè rule trước
+//   - hot reload khi file thay đổi hoặc bằng /config reload; version (label + hash nội dung) được gắn lên mỗi tín hiệu
+// File: env CONFIG_FILE, mặc định config.json cạnh index.js; không có file -> giá trị mặc định
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const strategies = require('./strategies');
+
+const WATCH_INTERVAL_MS = 2000;
+
+const SCAN_SCHEMA = {
+    targetCoins: { type: 'symbols', default: [] },
+    dedupeWindowMinutes: { type: 'number', min: 0, max: 7 * 24 * 60, default: 60 }, // same strategy + symbol + side not re-sent within
+    maxMonitorHours: { type: 'number', min: 1, max: 30 * 24, default: 48 } // signals expire after this many hours
+};
+const TOP_LEVEL_KEYS = ['version', 'scan', 'strategies', 'overrides'];
+const OVERRIDE_KEYS = ['symbols', 'strategy', 'minConfidence', 'params'];
+const CONFIDENCE_SPEC = { type: 'number', min: 0, max: 100 };
+
+let current = null; // active config (see normalize)
+let watching = null;
+
+function getFile() {
+    return process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+}
+
+// ----- Validation -----
+function typeError(value, spec) {
+    if (spec.type === 'symbols') {
+        if (!Array.isArray(value)) return 'must be an array of symbols';
+        const bad = value.filter(v => typeof v !== 'string' || !/^[A-Z0-9]{2,20}USDT$/.test(v));
+        return bad.length ? `invalid symbol(s) ${bad.map(v => JSON.stringify(v)).join(', ')} (expected e.g. "BTCUSDT")` : null;
+    }
+    if (spec.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+    if (spec.type === 'number' && (typeof value !== 'number' || !isFinite(value))) return 'must be a number';
+    if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}`;
+    return null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check `obj` against a { key: spec } schema; unknown keys are errors (typos would silently do nothing)
+function validateSection(obj, schema, where, errors) {
+    if (obj === undefined) return;
+    if (!isObject(obj)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    for (const [key, value] of Object.entries(obj)) {
+        if (!schema[key]) {
+            errors.push(`${where}.${key}: unknown setting (allowed: ${Object.keys(schema).join(', ') || 'none'})`);
+            continue;
+        }
+        const problem = typeError(value, schema[key]);
+        if (problem) errors.push(`${where}.${key}: ${problem}`);
+    }
+}
+
+function validateStrategyBlock(block, strategy, where, errors) {
+    if (!isObject(block)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    for (const key of Object.keys(block)) {
+        if (key !== 'minConfidence' && key !== 'params') errors.push(`${where}.${key}: unknown setting (allowed: minConfidence, params)`);
+    }
+    if (block.minConfidence !== undefined) {
+        const problem = typeError(block.minConfidence, CONFIDENCE_SPEC);
+        if (problem) errors.push(`${where}.minConfidence: ${problem}`);
+    }
+    validateSection(block.params, strategy.params, `${where}.params`, errors);
+}
+
+// returns a list of readable errors, empty when the config is valid
+function validate(raw) {
+    const errors = [];
+    if (!isObject(raw)) return ['config: must be a JSON object'];
+    for (const key of Object.keys(raw)) {
+        if (!TOP_LEVEL_KEYS.includes(key)) errors.push(`${key}: unknown section (allowed: ${TOP_LEVEL_KEYS.join(', ')})`);
+    }
+    if (raw.version !== undefined && typeof raw.version !== 'string' && typeof raw.version !== 'number') errors.push('version: must be a string or a number');
+    validateSection(raw.scan, SCAN_SCHEMA, 'scan', errors);
+
+    if (raw.strategies !== undefined) {
+        if (!isObject(raw.strategies)) errors.push('strategies: must be an object keyed by strategy id');
+        else {
+            for (const [id, block] of Object.entries(raw.strategies)) {
+                const strategy = strategies.getStrategy(id);
+                if (!strategy || strategy.id !== id) errors.push(`strategies.${id}: unknown strategy (known: ${strategies.getAllStrategies().map(st => st.id).join(', ')})`);
+                else validateStrategyBlock(block, strategy, `strategies.${id}`, errors);
+            }
+        }
+    }
+
+    if (raw.overrides !== undefined) {
+        if (!Array.isArray(raw.overrides)) errors.push('overrides: must be an array of { symbols, strategy?, minConfidence?, params? }');
+        else {
+            raw.overrides.forEach((rule, i) => {
+                const where = `overrides[${i}]`;
+                if (!isObject(rule)) return errors.push(`${where}: must be an object`);
+                for (const key of Object.keys(rule)) {
+                    if (!OVERRIDE_KEYS.includes(key)) errors.push(`${where}.${key}: unknown setting (allowed: ${OVERRIDE_KEYS.join(', ')})`);
+                }
+                const symbolsProblem = typeError(rule.symbols, SCAN_SCHEMA.targetCoins);
+                if (symbolsProblem || !rule.symbols.length) errors.push(`${where}.symbols: ${symbolsProblem || 'must list at least one symbol'}`);
+                // params of a rule for every strategy are checked against each strategy's schema
+                const targets = rule.strategy ? [strategies.getStrategy(rule.strategy)].filter(st => st && st.id === rule.strategy) : strategies.getAllStrategies();
+                if (rule.strategy && !targets.length) return errors.push(`${where}.strategy: unknown strategy "${rule.strategy}"`);
+                const block = {};
+                if (rule.minConfidence !== undefined) block.minConfidence = rule.minConfidence;
+                if (rule.params !== undefined) block.params = rule.params;
+                targets.forEach(st => validateStrategyBlock(block, st, rule.strategy ? where : `${where} (${st.id})`, errors));
+            });
+        }
+    }
+    return errors;
+}
+
+// ----- Normalized config -----
+function defaultsOf(schema) {
+    return Object.fromEntries(Object.entries(schema).map(([key, spec]) => [key, spec.default]));
+}
+
+// raw (validated) -> { version, hash, loadedAt, file, scan, strategies: { id: { minConfidence, params } }, overrides }
+function normalize(raw, text, file) {
+    const hash = crypto.createHash('sha256').update(text || '').digest('hex').slice(0, 8);
+    const byStrategy = {};
+    for (const st of strategies.getAllStrategies()) {
+        const block = (raw.strategies && raw.strategies[st.id]) || {};
+        byStrategy[st.id] = {
+            minConfidence: block.minConfidence !== undefined ? block.minConfidence : st.minConfidence,
+            params: Object.assign(defaultsOf(st.params), block.params)
+        };
+    }
+    return {
+        version: raw.version !== undefined ? `${raw.version}@${hash}` : hash,
+        hash,
+        file: text ? file : null,
+        loadedAt: new Date().toISOString(),
+        scan: Object.assign(defaultsOf(SCAN_SCHEMA), raw.scan),
+        strategies: byStrategy,
+        overrides: (raw.overrides || []).map(rule => Object.assign({}, rule, { symbols: rule.symbols.slice() }))
+    };
+}
+
+// Read + validate a config file; { config, errors }
+function readConfig(file = getFile()) {
+    if (!fs.existsSync(file)) return { config: normalize({}, '', file), errors: [] };
+    let text, raw;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+        raw = JSON.parse(text);
+    } catch (err) {
+        return { config: null, errors: [`${path.basename(file)}: ${err.message}`] };
+    }
+    const errors = validate(raw);
+    return { config: errors.length ? null : normalize(raw, text, file), errors };
+}
+
+function formatErrors(file, errors) {
+    return `Invalid config ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`;
+}
+
+// Load at startup; throws with every validation error listed
+function init() {
+    const file = getFile();
+    const { config, errors } = readConfig(file);
+    if (errors.length) throw new Error(formatErrors(file, errors));
+    current = config;
+    console.log(`config: ${current.file ? `loaded ${current.file}` : 'no config file, using defaults'} (version ${current.version})`);
+    return current;
+}
+
+// Reload from disk; an invalid file keeps the active config
+// returns { ok, changed, version, previous, errors }
+function reload() {
+    const file = getFile();
+    const { config, errors } = readConfig(file);
+    const previous = current;
+    if (errors.length) {
+        console.error(formatErrors(file, errors));
+        return { ok: false, changed: false, version: previous && previous.version, previous, errors };
+    }
+    const changed = !previous || previous.hash !== config.hash;
+    if (changed) {
+        current = config;
+        console.log(`config: reloaded ${file} (version ${config.version})`);
+    }
+    return { ok: true, changed, version: current.version, previous, errors: [] };
+}
+
+// Reload whenever the file changes on disk; onReload(result) gets every reload attempt that changed something or failed
+function watch(onReload) {
+    if (watching) return;
+    watching = getFile();
+    fs.watchFile(watching, { interval: WATCH_INTERVAL_MS, persistent: false }, (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+        const result = reload();
+        if (!result.ok || result.changed) onReload(result);
+    });
+}
+
+function unwatch() {
+    if (!watching) return;
+    fs.unwatchFile(watching);
+    watching = null;
+}
+
+function get() {
+    if (!current) init();
+    return current;
+}
+
+// Settings of one strategy for one symbol: strategy block, then every matching override in order
+function getStrategySettings(strategyOrId, symbol) {
+    const cfg = get();
+    const id = typeof strategyOrId === 'string' ? strategyOrId : strategyOrId.id;
+    const base = cfg.strategies[id] || { minConfidence: 60, params: {} };
+    const settings = { minConfidence: base.minConfidence, params: Object.assign({}, base.params) };
+    for (const rule of cfg.overrides) {
+        if (!rule.symbols.includes(symbol) || (rule.strategy && rule.strategy !== id)) continue;
+        if (rule.minConfidence !== undefined) settings.minConfidence = rule.minConfidence;
+        Object.assign(settings.params, rule.params);
+    }
+    return settings;
+}
+
+function getVersion() {
+    return get().version;
+}
+
+module.exports = {
+    validate,
+    readConfig,
+    init,
+    reload,
+    watch,
+    unwatch,
+    get,
+    getStrategySettings,
+    getVersion
+};
@@ -0,0 +1,161 @@
+// deliveryQueue.js
+// Hàng đợi gửi tin Telegram cho broadcast: giới hạn tốc độ toàn cục + theo từng chat,
+// tôn trọng 429 retry_after, retry có backoff khi lỗi tạm thời (mạng, 5xx),
+// và phân loại lỗi để chỉ xoá user khi thật sự bị block (403) hoặc chat không tồn tại.
+// Config qua env:
+//   TG_GLOBAL_RATE (tin / giây, mặc định 25 - Telegram cho ~30), TG_CHAT_INTERVAL_MS (mặc định 1000),
+//   TG_MAX_RETRIES (mặc định 5)
+
+const BASE_RETRY_MS = 1000; // transient errors: 1s, 2s, 4s, ...
+const MAX_RETRY_MS = 60 * 1000;
+const DEFAULT_RETRY_AFTER_S = 5; // 429 without retry_after
+
+function envNumber(name, fallback) {
+    const v = parseFloat(process.env[name]);
+    return isNaN(v) ? fallback : v;
+}
+
+function getConfig() {
+    return {
+        globalPerSecond: Math.max(1, envNumber('TG_GLOBAL_RATE', 25)),
+        perChatIntervalMs: Math.max(0, envNumber('TG_CHAT_INTERVAL_MS', 1000)),
+        maxRetries: Math.max(0, envNumber('TG_MAX_RETRIES', 5))
+    };
+}
+
+// Telegram / network error -> { kind, retryAfterMs?, description }
+//   rate_limited -> 429, retry after `retry_after` seconds (the whole bot pauses)
+//   blocked      -> user blocked the bot, account deleted, bot kicked, chat not found: unsubscribe the chat
+//   rejected     -> any other 4xx (bad request, missing rights...): drop this message, keep the user
+//   transient    -> 5xx, timeouts, connection errors: retry with backoff
+function classifyError(err) {
+    const response = err && err.response;
+    const body = (response && response.body) || {};
+    const status = (response && response.statusCode) || body.error_code || null;
+    const description = body.description || (err && err.message) || String(err);
+    if (status === 429) {
+        const retryAfter = body.parameters && parseInt(body.parameters.retry_after);
+        return { kind: 'rate_limited', retryAfterMs: (retryAfter > 0 ? retryAfter : DEFAULT_RETRY_AFTER_S) * 1000, description };
+    }
+    if (status === 403 && /blocked|deactivated|kicked|can't initiate|not a member/i.test(description)) return { kind: 'blocked', description };
+    if (status === 400 && /chat not found/i.test(description)) return { kind: 'blocked', description };
+    if (status >= 400 && status < 500) return { kind: 'rejected', description };
+    return { kind: 'transient', description };
+}
+
+// send: async (chatId, text, options) -> sent message (node-telegram-bot-api sendMessage)
+function createDeliveryQueue(send, config = getConfig()) {
+    const pending = []; // FIFO of jobs; a chat's messages always leave in order
+    const chatReadyAt = new Map(); // chatId -> earliest next send (ms)
+    const inFlight = new Set(); // chats with a send not settled yet (sent, failed or queued again for retry)
+    let sentTimes = []; // send times of the last second (global rate)
+    let pausedUntil = 0; // global pause after a 429
+    let timer = null;
+    let wakeAt = null;
+    const totals = { sent: 0, failed: 0, retried: 0, rateLimited: 0 };
+
+    function wake(at) {
+        if (timer && wakeAt !== null && wakeAt <= at) return;
+        clearTimeout(timer);
+        wakeAt = at;
+        timer = setTimeout(() => {
+            timer = null;
+            wakeAt = null;
+            pump();
+        }, Math.max(0, at - Date.now()));
+    }
+
+    function finish(job, receipt) {
+        job.resolve(Object.assign({ chatId: job.chatId, attempts: job.attempts }, receipt));
+    }
+
+    function pump() {
+        for (;;) {
+            if (pending.length === 0) return;
+            const now = Date.now();
+            if (pausedUntil > now) return wake(pausedUntil);
+            sentTimes = sentTimes.filter(t => t > now - 1000);
+            if (sentTimes.length >= config.globalPerSecond) return wake(sentTimes[0] + 1000);
+
+            // first job whose chat is free; a waiting job holds back the later jobs of its chat,
+            // and so does a send still in flight (a slow send that ends in a retry must not be overtaken)
+            let pick = -1;
+            let next = Infinity;
+            const held = new Set();
+            for (let i = 0; i < pending.length; i++) {
+                const job = pending[i];
+                if (held.has(job.chatId) || inFlight.has(job.chatId)) continue;
+                const readyAt = Math.max(job.notBefore, chatReadyAt.get(job.chatId) || 0);
+                if (readyAt <= now) {
+                    pick = i;
+                    break;
+                }
+                held.add(job.chatId);
+                next = Math.min(next, readyAt);
+            }
+            // only in-flight chats left: the settling send pumps again
+            if (pick < 0) return next < Infinity ? wake(next) : undefined;
+
+            const job = pending.splice(pick, 1)[0];
+            inFlight.add(job.chatId);
+            sentTimes.push(now);
+            chatReadyAt.set(job.chatId, now + config.perChatIntervalMs);
+            deliver(job);
+        }
+    }
+
+    async function deliver(job) {
+        job.attempts++;
+        try {
+            const sent = await send(job.chatId, job.text, job.options);
+            totals.sent++;
+            finish(job, { ok: true, status: 'sent', messageId: sent ? sent.message_id : null, error: null });
+        } catch (err) {
+            const e = classifyError(err);
+            const retryable = e.kind === 'rate_limited' || e.kind === 'transient';
+            if (retryable && job.attempts <= config.maxRetries) {
+                totals.retried++;
+                if (e.kind === 'rate_limited') {
+                    totals.rateLimited++;
+                    pausedUntil = Math.max(pausedUntil, Date.now() + e.retryAfterMs);
+                    job.notBefore = Date.now() + e.retryAfterMs;
+                    console.warn(`Telegram 429 for ${job.chatId}, pausing delivery ${Math.round(e.retryAfterMs / 1000)}s`);
+                } else {
+                    job.notBefore = Date.now() + Math.min(MAX_RETRY_MS, BASE_RETRY_MS * Math.pow(2, job.attempts - 1));
+                }
+                // back at the front so the chat's later messages keep waiting behind it
+                pending.unshift(job);
+            } else {
+                totals.failed++;
+                console.warn(`Failed to send to ${job.chatId} (${e.kind}, ${job.attempts} attempts): ${e.description}`);
+                finish(job, { ok: false, status: e.kind === 'blocked' || e.kind === 'rejected' ? e.kind : 'failed', messageId: null, error: e.description });
+            }
+        }
+        inFlight.delete(job.chatId);
+        pump();
+    }
+
+    // Queue one message; resolves (never rejects) with the delivery receipt
+    // { chatId, ok, status: 'sent'|'blocked'|'rejected'|'failed', messageId, attempts, error }
+    function enqueue(chatId, text, options = {}) {
+        return new Promise(resolve => {
+            pending.push({ chatId, text, options, attempts: 0, notBefore: 0, resolve });
+            pump();
+        });
+    }
+
+    function getStats() {
+        return Object.assign({
+            pending: pending.length,
+            pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+        }, totals);
+    }
+
+    return { enqueue, getStats };
+}
+
+module.exports = {
+    getConfig,
+    classifyError,
+    createDeliveryQueue
+};
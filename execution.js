@@ -0,0 +1,262 @@
+// execution.js
+// Optional live execution on Binance USDⓈ-M Futures (signed REST, HMAC SHA256):
+// mỗi tín hiệu -> lệnh MARKET vào lệnh + TAKE_PROFIT_MARKET / STOP_MARKET reduce-only làm bracket TP/SL.
+// Mode (env EXECUTION):
+//   off     -> không làm gì (mặc định)
+//   dry-run -> chỉ log lệnh dự kiến, fill giả lập tại entry / mức TP-SL khi bot đóng tín hiệu
+//   live    -> gửi lệnh thật tới EXEC_BASE_URL (mặc định fapi.binance.com; trỏ tới mockExchange.js để test)
+// Kết quả (order ids, fill, P/L) được reconcile về signal.execution.
+// Bracket trên sàn là SL ban đầu + TP cuối; TP1/TP2, dời SL hoà vốn và trailing (tradeManager.js) chỉ chạy trên bot,
+// nên khi bot đóng lệnh PARTIAL phần vị thế còn lại được đóng market.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const symbolRegistry = require('./symbolRegistry');
+
+const FILTER_SOURCE = 'binance_futures'; // tick / step sizes used for orders
+const requestTimeout = 10000; // ms
+const MODES = ['off', 'dry-run', 'live'];
+
+function envNumber(name, fallback) {
+    const v = parseFloat(process.env[name]);
+    return isNaN(v) ? fallback : v;
+}
+
+function getConfig() {
+    const mode = (process.env.EXECUTION || 'off').trim().toLowerCase();
+    return {
+        mode: MODES.includes(mode) ? mode : 'off',
+        baseUrl: (process.env.EXEC_BASE_URL || 'https://fapi.binance.com').replace(/\/$/, ''),
+        apiKey: process.env.BINANCE_API_KEY || '',
+        apiSecret: process.env.BINANCE_API_SECRET || '',
+        positionUsdt: envNumber('EXEC_POSITION_USDT', 50), // notional per trade
+        maxPositionUsdt: envNumber('EXEC_MAX_POSITION_USDT', 200), // hard cap on notional per trade
+        maxPositions: envNumber('EXEC_MAX_POSITIONS', 3), // concurrent open positions
+        leverage: Math.max(1, Math.round(envNumber('EXEC_LEVERAGE', 5))),
+        recvWindow: envNumber('EXEC_RECV_WINDOW', 5000)
+    };
+}
+
+function isEnabled(config = getConfig()) {
+    return config.mode !== 'off';
+}
+
+// ----- Signed REST -----
+function sign(query, secret) {
+    return crypto.createHmac('sha256', secret).update(query).digest('hex');
+}
+
+async function signedRequest(method, path, params = {}, config = getConfig()) {
+    if (!config.apiKey || !config.apiSecret) throw new Error('BINANCE_API_KEY / BINANCE_API_SECRET not set');
+    const query = new URLSearchParams(Object.assign({}, params, { recvWindow: config.recvWindow, timestamp: Date.now() })).toString();
+    try {
+        const res = await axios({
+            method,
+            url: `${config.baseUrl}${path}?${query}&signature=${sign(query, config.apiSecret)}`,
+            headers: { 'X-MBX-APIKEY': config.apiKey },
+            timeout: requestTimeout
+        });
+        return res.data;
+    } catch (err) {
+        const data = err.response && err.response.data;
+        if (data && data.code !== undefined) throw new Error(`Binance ${data.code}: ${data.msg}`);
+        throw err;
+    }
+}
+
+function clientOrderId(signal, leg) {
+    return `${signal.id}_${leg}`.slice(0, 36);
+}
+
+function placeOrder(params, config) {
+    return signedRequest('POST', '/fapi/v1/order', params, config);
+}
+
+function queryOrder(symbol, origClientOrderId, config) {
+    return signedRequest('GET', '/fapi/v1/order', { symbol, origClientOrderId }, config);
+}
+
+async function cancelOrder(symbol, origClientOrderId, config) {
+    try {
+        return await signedRequest('DELETE', '/fapi/v1/order', { symbol, origClientOrderId }, config);
+    } catch (err) {
+        // already filled / cancelled
+        console.log(`execution: cancel ${origClientOrderId} failed: ${err.message}`);
+        return null;
+    }
+}
+
+// ----- Sizing / limits -----
+function isOpenExecution(exec) {
+    return !!exec && (exec.status === 'OPEN' || exec.status === 'PENDING');
+}
+
+// Order plan for a signal: side, quantity and bracket prices rounded to futures filters
+// returns { rejected: reason } when limits or filters do not allow a position
+// Without the futures filters (exchangeInfo not loaded, no perpetual) nothing can be rounded, so nothing is sent
+function planOrder(signal, openCount, config = getConfig()) {
+    if (openCount >= config.maxPositions) return { rejected: `max ${config.maxPositions} concurrent positions` };
+    const info = symbolRegistry.getSymbolInfo(signal.symbol);
+    const filters = info && info.filters[FILTER_SOURCE];
+    if (!filters) return { rejected: `no futures filters for ${signal.symbol}` };
+    const notional = Math.min(config.positionUsdt, config.maxPositionUsdt);
+    const qty = symbolRegistry.roundQty(signal.symbol, notional / signal.entry, FILTER_SOURCE);
+    if (!(qty > 0)) return { rejected: 'quantity rounds to 0' };
+    if (filters.minQty && qty < parseFloat(filters.minQty)) return { rejected: `quantity ${qty} below minQty ${filters.minQty}` };
+    if (filters.minNotional && qty * signal.entry < parseFloat(filters.minNotional)) {
+        return { rejected: `notional ${(qty * signal.entry).toFixed(2)} below minNotional ${filters.minNotional}` };
+    }
+    return {
+        symbol: signal.symbol,
+        side: signal.side === 'LONG' ? 'BUY' : 'SELL',
+        closeSide: signal.side === 'LONG' ? 'SELL' : 'BUY',
+        qty,
+        notional: parseFloat((qty * signal.entry).toFixed(2)),
+        tpPrice: symbolRegistry.roundToTick(signal.symbol, signal.tp, FILTER_SOURCE),
+        slPrice: symbolRegistry.roundToTick(signal.symbol, signal.sl, FILTER_SOURCE)
+    };
+}
+
+function realizedPnl(exec) {
+    if (!exec.entry || !exec.exit) return null;
+    const dir = exec.side === 'BUY' ? 1 : -1;
+    return parseFloat(((exec.exit.price - exec.entry.price) * exec.exit.qty * dir).toFixed(4));
+}
+
+// ----- Lifecycle -----
+// Open a position + bracket for a newly registered signal; sets and returns signal.execution
+// openSignals: other signals (used for the concurrent position cap)
+async function openForSignal(signal, openSignals = [], config = getConfig()) {
+    if (!isEnabled(config)) return null;
+    const openCount = openSignals.filter(s => s.id !== signal.id && isOpenExecution(s.execution)).length;
+    const plan = planOrder(signal, openCount, config);
+    if (plan.rejected) {
+        signal.execution = { mode: config.mode, status: 'REJECTED', reason: plan.rejected, time: new Date().toISOString() };
+        console.log(`execution: ${signal.symbol} ${signal.side} not placed: ${plan.rejected}`);
+        return signal.execution;
+    }
+
+    const exec = signal.execution = {
+        mode: config.mode,
+        status: 'PENDING',
+        symbol: plan.symbol,
+        side: plan.side,
+        qty: plan.qty,
+        notional: plan.notional,
+        leverage: config.leverage,
+        orders: { entry: clientOrderId(signal, 'E'), tp: clientOrderId(signal, 'TP'), sl: clientOrderId(signal, 'SL') },
+        tpPrice: plan.tpPrice,
+        slPrice: plan.slPrice,
+        entry: null,
+        exit: null,
+        time: new Date().toISOString()
+    };
+
+    if (config.mode === 'dry-run') {
+        console.log(`execution [dry-run]: ${plan.side} ${plan.qty} ${plan.symbol} @ MARKET, TP ${plan.tpPrice}, SL ${plan.slPrice} (reduce-only, x${config.leverage})`);
+        exec.entry = { price: signal.entry, qty: plan.qty, time: exec.time, simulated: true };
+        exec.status = 'OPEN';
+        return exec;
+    }
+
+    try {
+        await signedRequest('POST', '/fapi/v1/leverage', { symbol: plan.symbol, leverage: config.leverage }, config);
+        const entry = await placeOrder({
+            symbol: plan.symbol, side: plan.side, type: 'MARKET', quantity: plan.qty,
+            newClientOrderId: exec.orders.entry, newOrderRespType: 'RESULT'
+        }, config);
+        exec.entry = { orderId: entry.orderId, price: parseFloat(entry.avgPrice), qty: parseFloat(entry.executedQty), time: new Date(entry.updateTime || Date.now()).toISOString() };
+    } catch (err) {
+        exec.status = 'ERROR';
+        exec.error = `entry: ${err.message}`;
+        console.error(`execution: entry order for ${plan.symbol} failed:`, err.message);
+        return exec;
+    }
+
+    try {
+        const bracket = { symbol: plan.symbol, side: plan.closeSide, quantity: exec.entry.qty, reduceOnly: 'true', workingType: 'MARK_PRICE' };
+        await placeOrder(Object.assign({ type: 'TAKE_PROFIT_MARKET', stopPrice: plan.tpPrice, newClientOrderId: exec.orders.tp }, bracket), config);
+        await placeOrder(Object.assign({ type: 'STOP_MARKET', stopPrice: plan.slPrice, newClientOrderId: exec.orders.sl }, bracket), config);
+        exec.status = 'OPEN';
+        console.log(`execution: ${plan.side} ${exec.entry.qty} ${plan.symbol} filled @ ${exec.entry.price}, bracket TP ${plan.tpPrice} / SL ${plan.slPrice}`);
+    } catch (err) {
+        // never leave an unprotected position: cancel whatever leg exists and flatten
+        console.error(`execution: bracket for ${plan.symbol} failed, closing position:`, err.message);
+        exec.error = `bracket: ${err.message}`;
+        try {
+            await closeForSignal(signal, 'bracket_failed', config);
+        } catch (closeErr) {
+            exec.error += ` / close: ${closeErr.message}`;
+            console.error(`execution: closing unprotected ${plan.symbol} position failed:`, closeErr.message);
+        }
+        exec.status = 'ERROR';
+    }
+    return exec;
+}
+
+// Pull order state from the exchange; when TP or SL filled, record the exit and cancel the other leg
+// returns true when signal.execution changed
+async function reconcile(signal, config = getConfig()) {
+    const exec = signal.execution;
+    if (!exec || exec.mode !== 'live' || exec.status !== 'OPEN' || config.mode !== 'live') return false;
+    const [tp, sl] = await Promise.all([queryOrder(exec.symbol, exec.orders.tp, config), queryOrder(exec.symbol, exec.orders.sl, config)]);
+    const filled = [['TP', tp], ['SL', sl]].find(([, o]) => o && o.status === 'FILLED');
+    if (!filled) return false;
+
+    const [leg, order] = filled;
+    exec.exit = { type: leg, orderId: order.orderId, price: parseFloat(order.avgPrice), qty: parseFloat(order.executedQty), time: new Date(order.updateTime || Date.now()).toISOString() };
+    await cancelOrder(exec.symbol, leg === 'TP' ? exec.orders.sl : exec.orders.tp, config);
+    exec.status = 'CLOSED';
+    exec.realizedPnl = realizedPnl(exec);
+    console.log(`execution: ${exec.symbol} ${leg} filled @ ${exec.exit.price} (P/L ${exec.realizedPnl} USDT)`);
+    return true;
+}
+
+// Flatten the position of a signal (cancel bracket + reduce-only MARKET); used for EXPIRED / PARTIAL / manual close
+async function closeForSignal(signal, reason, config = getConfig()) {
+    const exec = signal.execution;
+    if (!exec || (!isOpenExecution(exec) && exec.status !== 'ERROR')) return exec;
+    if (!exec.entry) return exec;
+
+    if (exec.mode === 'dry-run') {
+        exec.exit = { type: reason, price: signal.lastPrice || signal.entry, qty: exec.qty, time: new Date().toISOString(), simulated: true };
+    } else {
+        await cancelOrder(exec.symbol, exec.orders.tp, config);
+        await cancelOrder(exec.symbol, exec.orders.sl, config);
+        const order = await placeOrder({
+            symbol: exec.symbol, side: exec.side === 'BUY' ? 'SELL' : 'BUY', type: 'MARKET', quantity: exec.entry.qty,
+            reduceOnly: 'true', newClientOrderId: clientOrderId(signal, 'X'), newOrderRespType: 'RESULT'
+        }, config);
+        exec.exit = { type: reason, orderId: order.orderId, price: parseFloat(order.avgPrice), qty: parseFloat(order.executedQty), time: new Date(order.updateTime || Date.now()).toISOString() };
+    }
+    exec.status = 'CLOSED';
+    exec.realizedPnl = realizedPnl(exec);
+    return exec;
+}
+
+// The bot closed a signal: dry-run settles at the TP/SL level (or last price); live flattens on EXPIRED / CLOSED / PARTIAL
+// and leaves TP / SL to the exchange bracket (picked up by reconcile)
+async function onSignalClosed(signal, exitPrice, config = getConfig()) {
+    const exec = signal.execution;
+    if (!exec || !isOpenExecution(exec)) return exec;
+    if (exec.mode === 'dry-run') {
+        exec.exit = { type: signal.status, price: exitPrice, qty: exec.qty, time: new Date().toISOString(), simulated: true };
+        exec.status = 'CLOSED';
+        exec.realizedPnl = realizedPnl(exec);
+        return exec;
+    }
+    if (['EXPIRED', 'CLOSED', 'PARTIAL'].includes(signal.status)) return closeForSignal(signal, signal.status, config);
+    return reconcile(signal, config).then(() => exec);
+}
+
+module.exports = {
+    getConfig,
+    isEnabled,
+    isOpenExecution,
+    sign,
+    planOrder,
+    openForSignal,
+    reconcile,
+    closeForSignal,
+    onSignalClosed
+};
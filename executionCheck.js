@@ -0,0 +1,98 @@
+// executionCheck.js
+// End-to-end check of execution.js against mockExchange.js (không cần mạng hay tài khoản Binance):
+//   npm run execution-check
+// Chạy trên một mock exchange cổng ngẫu nhiên, filters futures nạp cục bộ:
+//   1. planOrder từ chối symbol không có filters futures và lệnh dưới minNotional
+//   2. mở lệnh (MARKET + bracket TP/SL) -> giá chạm TP -> reconcile ghi exit TP, huỷ chân SL
+//   3. mở lệnh -> tín hiệu EXPIRED -> onSignalClosed huỷ bracket và đóng market, vị thế về 0
+// Exit code 1 khi có bước sai.
+
+const assert = require('assert');
+const axios = require('axios');
+const execution = require('./execution');
+const symbolRegistry = require('./symbolRegistry');
+const { createMockExchange } = require('./mockExchange');
+
+const FUTURES_LISTING = {
+    id: 'binance_futures',
+    load: async () => [
+        { symbol: 'ETHUSDT', baseAsset: 'ETH', quoteAsset: 'USDT', trading: true, tickSize: '0.01', stepSize: '0.001', minQty: '0.001', minNotional: '20' },
+        { symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', trading: true, tickSize: '0.10', stepSize: '0.0001', minQty: '0.0001', minNotional: '100' }
+    ]
+};
+
+function makeSignal(id, overrides = {}) {
+    return Object.assign({ id, symbol: 'ETHUSDT', side: 'LONG', entry: 2500, tp: 2600.004, sl: 2449.996, status: 'OPEN' }, overrides);
+}
+
+async function run() {
+    const mock = createMockExchange({ apiKey: 'check-key', apiSecret: 'check-secret' });
+    const server = await new Promise(resolve => {
+        const s = mock.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const config = Object.assign(execution.getConfig(), {
+        mode: 'live', baseUrl, apiKey: 'check-key', apiSecret: 'check-secret',
+        positionUsdt: 50, maxPositionUsdt: 200, maxPositions: 3, leverage: 5
+    });
+    const setPrice = (symbol, price) => axios.post(`${baseUrl}/mock/price?symbol=${symbol}&price=${price}`).then(res => res.data);
+    const orderOf = clientOrderId => mock.state.orders.find(o => o.clientOrderId === clientOrderId);
+    const step = name => console.log(`✔ ${name}`);
+
+    try {
+        assert.ok(await symbolRegistry.loadSymbols([FUTURES_LISTING]));
+
+        // 1. limits
+        assert.strictEqual(execution.planOrder(makeSignal('c0', { symbol: 'SOLUSDT' }), 0, config).rejected, 'no futures filters for SOLUSDT');
+        const btc = execution.planOrder(makeSignal('c0', { symbol: 'BTCUSDT', entry: 65000 }), 0, config);
+        assert.ok(/below minNotional 100/.test(btc.rejected), btc.rejected);
+        const plan = execution.planOrder(makeSignal('c0'), 0, config);
+        assert.deepStrictEqual([plan.qty, plan.tpPrice, plan.slPrice], [0.02, 2600, 2450]);
+        step('planOrder: filters required, minNotional, rounding');
+
+        // 2. open -> TP fill -> reconcile
+        await setPrice('ETHUSDT', 2500);
+        const winner = makeSignal('check_tp');
+        await execution.openForSignal(winner, [], config);
+        assert.strictEqual(winner.execution.status, 'OPEN', winner.execution.error);
+        assert.strictEqual(mock.state.positions.ETHUSDT, 0.02);
+        assert.strictEqual(await execution.reconcile(winner, config), false);
+        const tick = await setPrice('ETHUSDT', 2601);
+        assert.deepStrictEqual(tick.filled, [winner.execution.orders.tp]);
+        assert.strictEqual(await execution.reconcile(winner, config), true);
+        assert.strictEqual(winner.execution.status, 'CLOSED');
+        assert.strictEqual(winner.execution.exit.type, 'TP');
+        assert.strictEqual(winner.execution.realizedPnl, 2.02);
+        assert.strictEqual(orderOf(winner.execution.orders.sl).status, 'CANCELED');
+        assert.strictEqual(mock.state.positions.ETHUSDT, 0);
+        step('open -> TP fill -> reconcile');
+
+        // 3. open -> expiry close
+        await setPrice('ETHUSDT', 2500);
+        const expired = makeSignal('check_exp', { side: 'SHORT', tp: 2400, sl: 2650 });
+        await execution.openForSignal(expired, [winner], config);
+        assert.strictEqual(expired.execution.status, 'OPEN', expired.execution.error);
+        assert.strictEqual(mock.state.positions.ETHUSDT, -0.02);
+        await setPrice('ETHUSDT', 2590);
+        expired.status = 'EXPIRED';
+        await execution.onSignalClosed(expired, 2590, config);
+        assert.strictEqual(expired.execution.status, 'CLOSED');
+        assert.strictEqual(expired.execution.exit.type, 'EXPIRED');
+        assert.strictEqual(expired.execution.realizedPnl, -1.8);
+        assert.strictEqual(orderOf(expired.execution.orders.tp).status, 'CANCELED');
+        assert.strictEqual(orderOf(expired.execution.orders.sl).status, 'CANCELED');
+        assert.strictEqual(mock.state.positions.ETHUSDT, 0);
+        step('open -> expiry close');
+    } finally {
+        server.close();
+    }
+}
+
+if (require.main === module) {
+    run().then(() => console.log('execution check passed')).catch(err => {
+        console.error('execution check failed:', err.message || err);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,229 @@
+// futuresContext.js
+// Bối cảnh thị trường perpetual cho tín hiệu: funding rate, thay đổi open interest, tỉ lệ long/short của top trader
+// Nguồn: Binance Futures (fapi), dự phòng Bybit v5 (linear, tỉ lệ long/short theo account). Chỉ tải khi strategy đã ra tín hiệu.
+// Mode (env FUTURES_FILTER):
+//   off    -> không tải, không chấm điểm
+//   weight -> cộng / trừ confidence (mặc định)
+//   veto   -> như weight, và bỏ tín hiệu đi cùng phía đám đông (vd. không SHORT khi funding âm sâu)
+// Kết quả được ghi vào signal.meta.futures (kèm notes giải thích từng điều chỉnh).
+
+const axios = require('axios');
+const sourceHealth = require('./sourceHealth');
+
+const FETCH_TIMEOUT_MS = 10000;
+const CACHE_MS = 30 * 1000; // strategies firing on the same symbol share one fetch
+const NO_PERP_CACHE_MS = 60 * 60 * 1000; // symbols no source has a perpetual for are not asked again for an hour
+const BYBIT_RATE_LIMIT = 10006; // retCode of "too many visits"; other retCodes are request errors
+const OI_PERIOD_MINUTES = 5; // open interest history resolution on both exchanges
+
+const CROWDED_FUNDING_PENALTY = 15; // funding paid by the signal's side beyond the extreme
+const CONTRARIAN_FUNDING_BONUS = 5; // the other side pays an extreme funding
+const CROWDED_LS_PENALTY = 10; // top traders already heavily on the signal's side
+const CONTRARIAN_LS_BONUS = 5;
+const OI_AGAINST_PENALTY = 10; // OI building while price moves against the signal = fresh positions against it
+const OI_CONFIRM_BONUS = 5; // OI building with the move, or unwinding after a move against the signal (capitulation)
+
+const SOURCES = [
+    { name: 'Binance Futures context', load: loadBinance, weightLimit: 2400 },
+    { name: 'Bybit context', load: loadBybit }
+];
+
+const cache = new Map(); // symbol -> { time, context } | { time, missing: true }
+
+function getConfig() {
+    const mode = (process.env.FUTURES_FILTER || 'weight').trim().toLowerCase();
+    const num = (value, fallback) => (isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+    return {
+        mode: ['off', 'weight', 'veto'].includes(mode) ? mode : 'weight',
+        fundingExtremePct: num(process.env.FUNDING_EXTREME_PCT, 0.05), // % per funding interval
+        oiLookbackMinutes: Math.max(OI_PERIOD_MINUTES, num(process.env.OI_LOOKBACK_MINUTES, 60)),
+        oiChangePct: num(process.env.OI_CHANGE_PCT, 3),
+        lsCrowdedRatio: Math.max(1, num(process.env.LS_CROWDED_RATIO, 2.5)) // longs / shorts (and its inverse for shorts)
+    };
+}
+
+// GET with sourceHealth bookkeeping; Bybit answers HTTP 200 with retCode != 0 on errors
+// A request error about the symbol (Binance 400 -1121 Invalid symbol, Bybit 10001 for a coin without a perpetual)
+// is thrown with err.symbolMiss and not held against the source
+async function getJson(source, url) {
+    const started = Date.now();
+    try {
+        const res = await axios.get(url, { timeout: FETCH_TIMEOUT_MS, headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NemesisBot/1.0)', 'Accept': 'application/json' } });
+        if (res.data && res.data.retCode !== undefined && res.data.retCode !== 0) {
+            const err = new Error(`retCode ${res.data.retCode}: ${res.data.retMsg}`);
+            err.symbolMiss = res.data.retCode !== BYBIT_RATE_LIMIT;
+            throw err;
+        }
+        sourceHealth.recordSuccess(source.name, Date.now() - started, res.headers, source.weightLimit);
+        return res.data;
+    } catch (err) {
+        if (err.response && !sourceHealth.isSourceFailure(err)) err.symbolMiss = true;
+        if (!err.symbolMiss) sourceHealth.recordFailure(source.name, err, Date.now() - started);
+        throw err;
+    }
+}
+
+function changePct(from, to) {
+    return from > 0 ? ((to - from) / from) * 100 : null;
+}
+
+async function loadBinance(symbol, config, source) {
+    const base = 'https://fapi.binance.com';
+    const bars = Math.round(config.oiLookbackMinutes / OI_PERIOD_MINUTES) + 1;
+    const [premium, oiHist, ratio] = await Promise.all([
+        getJson(source, `${base}/fapi/v1/premiumIndex?symbol=${symbol}`),
+        getJson(source, `${base}/futures/data/openInterestHist?symbol=${symbol}&period=${OI_PERIOD_MINUTES}m&limit=${bars}`),
+        getJson(source, `${base}/futures/data/topLongShortPositionRatio?symbol=${symbol}&period=${OI_PERIOD_MINUTES}m&limit=1`)
+    ]);
+    if (!premium || premium.lastFundingRate === undefined) throw new Error(`no funding data for ${symbol}`);
+    const oi = (oiHist || []).map(x => parseFloat(x.sumOpenInterest)); // oldest first
+    const last = ratio && ratio[0];
+    return {
+        fundingRate: parseFloat(premium.lastFundingRate),
+        nextFundingTime: premium.nextFundingTime || null,
+        openInterest: oi.length ? oi[oi.length - 1] : null,
+        oiChangePct: oi.length > 1 ? changePct(oi[0], oi[oi.length - 1]) : null,
+        longShortRatio: last ? parseFloat(last.longShortRatio) : null
+    };
+}
+
+async function loadBybit(symbol, config, source) {
+    const base = 'https://api.bybit.com/v5/market';
+    const bars = Math.round(config.oiLookbackMinutes / OI_PERIOD_MINUTES) + 1;
+    const [tickers, oiHist, ratio] = await Promise.all([
+        getJson(source, `${base}/tickers?category=linear&symbol=${symbol}`),
+        getJson(source, `${base}/open-interest?category=linear&symbol=${symbol}&intervalTime=${OI_PERIOD_MINUTES}min&limit=${bars}`),
+        getJson(source, `${base}/account-ratio?category=linear&symbol=${symbol}&period=${OI_PERIOD_MINUTES}min&limit=1`)
+    ]);
+    const ticker = tickers.result && tickers.result.list && tickers.result.list[0];
+    if (!ticker || ticker.fundingRate === undefined) throw new Error(`no funding data for ${symbol}`);
+    const oi = ((oiHist.result && oiHist.result.list) || []).map(x => parseFloat(x.openInterest)).reverse(); // newest first -> oldest first
+    const last = ratio.result && ratio.result.list && ratio.result.list[0];
+    return {
+        fundingRate: parseFloat(ticker.fundingRate),
+        nextFundingTime: ticker.nextFundingTime ? parseInt(ticker.nextFundingTime) : null,
+        openInterest: oi.length ? oi[oi.length - 1] : parseFloat(ticker.openInterest),
+        oiChangePct: oi.length > 1 ? changePct(oi[0], oi[oi.length - 1]) : null,
+        longShortRatio: last && parseFloat(last.sellRatio) > 0 ? parseFloat(last.buyRatio) / parseFloat(last.sellRatio) : null
+    };
+}
+
+// Funding / OI / long-short of one perpetual, first source that answers (cached briefly)
+// returns { source, fundingRate, nextFundingTime, openInterest, oiChangePct, longShortRatio }
+async function loadContext(symbol, config = getConfig()) {
+    const cached = cache.get(symbol);
+    if (cached && cached.missing && Date.now() - cached.time < NO_PERP_CACHE_MS) throw new Error(`no perpetual for ${symbol}`);
+    if (cached && !cached.missing && Date.now() - cached.time < CACHE_MS) return cached.context;
+    let lastErr = null;
+    let tried = 0;
+    let misses = 0;
+    for (const source of SOURCES) {
+        if (!sourceHealth.isAvailable(source.name)) continue;
+        tried++;
+        try {
+            const context = Object.assign({ source: source.name }, await source.load(symbol, config, source));
+            cache.set(symbol, { time: Date.now(), context });
+            return context;
+        } catch (err) {
+            lastErr = err;
+            if (err.symbolMiss) misses++;
+            console.warn(`futuresContext: ${source.name} failed for ${symbol}:`, err.message || err);
+        }
+    }
+    // every source that answered said the symbol is unknown: a spot-only coin
+    if (tried > 0 && misses === tried) {
+        cache.set(symbol, { time: Date.now(), missing: true });
+        throw new Error(`no perpetual for ${symbol}`);
+    }
+    throw lastErr || new Error('all futures context sources are cooling down');
+}
+
+// Price change (%) over the last `minutes` of ascending candles
+function priceChangePct(candles, minutes) {
+    if (!candles || candles.length < 2) return null;
+    const last = candles[candles.length - 1];
+    const from = candles.find(c => c.t >= last.t - minutes * 60 * 1000) || candles[0];
+    return changePct(from.close, last.close);
+}
+
+function round(value, digits) {
+    return value === null || value === undefined || isNaN(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+// Score a signal against the futures context (signal._candles gives the price move for the OI rule)
+// Pure: returns the (possibly re-weighted) signal, or null when vetoed
+function applyFuturesContext(signal, context, config = getConfig()) {
+    if (!signal || config.mode === 'off') return signal;
+    const dir = signal.side === 'LONG' ? 1 : -1;
+    const notes = [];
+    let adjust = 0;
+    let crowded = false;
+
+    // positive funding: longs pay shorts. The side paying an extreme funding is the crowded one
+    const fundingPct = context.fundingRate * 100;
+    if (!isNaN(fundingPct) && Math.abs(fundingPct) >= config.fundingExtremePct) {
+        if (Math.sign(fundingPct) === dir) {
+            notes.push('funding_crowded');
+            adjust -= CROWDED_FUNDING_PENALTY;
+            crowded = true;
+        } else {
+            notes.push('funding_contrarian');
+            adjust += CONTRARIAN_FUNDING_BONUS;
+        }
+    }
+
+    const ratio = context.longShortRatio;
+    if (ratio > 0) {
+        const sideRatio = dir === 1 ? ratio : 1 / ratio; // signal's side / other side
+        if (sideRatio >= config.lsCrowdedRatio) {
+            notes.push('ls_crowded');
+            adjust -= CROWDED_LS_PENALTY;
+            crowded = true;
+        } else if (1 / sideRatio >= config.lsCrowdedRatio) {
+            notes.push('ls_contrarian');
+            adjust += CONTRARIAN_LS_BONUS;
+        }
+    }
+
+    const priceMove = priceChangePct(signal._candles, config.oiLookbackMinutes);
+    const oi = context.oiChangePct;
+    if (oi !== null && oi !== undefined && priceMove !== null) {
+        const withSignal = priceMove * dir > 0;
+        if (oi >= config.oiChangePct) {
+            notes.push(withSignal ? 'oi_confirms' : 'oi_against');
+            adjust += withSignal ? OI_CONFIRM_BONUS : -OI_AGAINST_PENALTY;
+        } else if (oi <= -config.oiChangePct && !withSignal) {
+            notes.push('oi_capitulation');
+            adjust += OI_CONFIRM_BONUS;
+        }
+    }
+
+    if (config.mode === 'veto' && crowded) return null;
+
+    const confidence = Math.max(0, Math.min(100, Math.round(signal.confidence + adjust)));
+    signal.meta = Object.assign({}, signal.meta, {
+        futures: {
+            mode: config.mode,
+            source: context.source,
+            fundingRatePct: round(fundingPct, 4),
+            nextFundingTime: context.nextFundingTime ? new Date(context.nextFundingTime).toISOString() : null,
+            openInterest: round(context.openInterest, 2),
+            oiChangePct: round(oi, 2),
+            priceChangePct: round(priceMove, 2),
+            lookbackMinutes: config.oiLookbackMinutes,
+            longShortRatio: round(ratio, 2),
+            crowded,
+            notes,
+            confidenceAdjust: confidence - signal.confidence
+        }
+    });
+    signal.confidence = confidence;
+    return signal;
+}
+
+module.exports = {
+    getConfig,
+    loadContext,
+    priceChangePct,
+    applyFuturesContext
+};
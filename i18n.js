@@ -0,0 +1,98 @@
+// i18n.js
+// Message catalog + định dạng theo locale (số, ngày giờ, timezone) cho mọi tin nhắn gửi tới user
+// Ngôn ngữ: locales/vi.js, locales/en.js (key -> template, placeholder {{name}}); thiếu key -> ngôn ngữ mặc định -> chính key
+// User chọn ngôn ngữ bằng /lang (user.settings.language) và timezone bằng /tz; mặc định env DEFAULT_LANGUAGE (vi)
+
+const moment = require('moment-timezone');
+require('moment/locale/vi'); // registers 'vi' and makes it moment's global locale...
+moment.locale('en'); // ...so the global default is put back; the locale is applied per call below
+
+const CATALOGS = {
+    vi: require('./locales/vi'),
+    en: require('./locales/en')
+};
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+
+const locales = new Map(); // "lang|timezone" -> locale
+const numberFormats = new Map(); // "tag|decimals" -> Intl.NumberFormat
+
+function getDefaultLanguage() {
+    const lang = (process.env.DEFAULT_LANGUAGE || 'vi').trim().toLowerCase();
+    return CATALOGS[lang] ? lang : 'vi';
+}
+
+function isSupported(lang) {
+    return !!CATALOGS[lang];
+}
+
+// Telegram language_code ("en", "en-US", "vi") -> supported language, default otherwise
+function detectLanguage(code) {
+    const lang = String(code || '').toLowerCase().split('-')[0];
+    return CATALOGS[lang] ? lang : getDefaultLanguage();
+}
+
+function render(template, vars = {}) {
+    return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] !== undefined && vars[key] !== null ? vars[key] : ''));
+}
+
+function translate(lang, key, vars) {
+    const catalog = CATALOGS[lang] || CATALOGS[getDefaultLanguage()];
+    const template = catalog[key] !== undefined ? catalog[key] : CATALOGS[getDefaultLanguage()][key];
+    return template === undefined ? key : render(template, vars);
+}
+
+function numberFormat(tag, decimals) {
+    const key = `${tag}|${decimals}`;
+    if (!numberFormats.has(key)) {
+        numberFormats.set(key, new Intl.NumberFormat(tag, decimals === null
+            ? { maximumFractionDigits: 8 }
+            : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }));
+    }
+    return numberFormats.get(key);
+}
+
+function createLocale(lang, tz) {
+    const catalog = CATALOGS[lang];
+    const tag = catalog['format.intl'];
+    const number = (value, decimals = null) => (value === null || value === undefined || isNaN(value) ? '-' : numberFormat(tag, decimals).format(Number(value)));
+    return {
+        lang,
+        tz,
+        t: (key, vars) => translate(lang, key, vars),
+        // 1234.5 -> "1.234,50" (vi) / "1,234.50" (en); decimals null = as many as needed
+        number,
+        // "+1,25" / "-0,50" (sign always shown)
+        signed: (value, decimals = null) => (value === null || value === undefined || isNaN(value) ? '-' : `${value > 0 ? '+' : ''}${number(value, decimals)}`),
+        // formatKey: 'date' | 'dayMonth' | 'dateTime' | 'time' (format.* of the catalog); tz defaults to the user's
+        date: (time, formatKey = 'dateTime', zone = tz) => moment(time).tz(zone).locale(lang).format(catalog[`format.${formatKey}`]),
+        weekday: (time, zone = tz) => moment(time).tz(zone).locale(lang).format('dddd').toUpperCase(),
+        weekdayShort: (time, zone = tz) => moment(time).tz(zone).locale(lang).format('ddd')
+    };
+}
+
+// Locale of a language + timezone (unsupported language -> default, invalid timezone -> VN time)
+function getLocale(lang = getDefaultLanguage(), timezone = DEFAULT_TIMEZONE) {
+    const language = CATALOGS[lang] ? lang : getDefaultLanguage();
+    const tz = timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    const key = `${language}|${tz}`;
+    if (!locales.has(key)) locales.set(key, createLocale(language, tz));
+    return locales.get(key);
+}
+
+// Name of a language in that language ("Tiếng Việt", "English")
+function languageName(lang) {
+    return translate(lang, 'lang.name');
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_TIMEZONE,
+    getDefaultLanguage,
+    isSupported,
+    detectLanguage,
+    render,
+    translate,
+    getLocale,
+    languageName
+};
@@ -1,75 +1,130 @@
 // index.js
 require('dotenv').config();
-const fs = require('fs');
 const path = require('path');
 const TelegramBot = require('node-telegram-bot-api');
 const moment = require('moment-timezone');
 const express = require('express');
 const analysis = require('./analysis');
+const strategies = require('./strategies');
+const stats = require('./stats');
+const storage = require('./storage');
+const preferences = require('./preferences');
+const marketData = require('./marketData');
+const sourceHealth = require('./sourceHealth');
+const symbolRegistry = require('./symbolRegistry');
+const paperTrading = require('./paperTrading');
+const execution = require('./execution');
+const tradeManager = require('./tradeManager');
+const scheduler = require('./scheduler');
+const reports = require('./reports');
+const deliveryQueue = require('./deliveryQueue');
+const chart = require('./chart');
+const api = require('./api');
+const notifiers = require('./notifiers');
+const appConfig = require('./config');
+const i18n = require('./i18n');
 
 // ----- CONFIG -----
+// config.json (config.js): strategy parameters, per-symbol overrides, coin list, dedupe window, monitor hours
+// The bot refuses to start on an invalid file; later edits are hot-reloaded (invalid edits keep the running config)
+try {
+    appConfig.init();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
 const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'YOUR_TELEGRAM_BOT_TOKEN_HERE';
 const PORT = process.env.PORT || 3000;
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'bot.db');
+// legacy JSON state, imported into DB_FILE once on first start
 const USERS_FILE = path.join(__dirname, 'users.json');
 const SIGNALS_FILE = path.join(__dirname, 'signals.json');
+const HISTORY_FILE = path.join(__dirname, 'signals_history.json');
 
 // Scan config
-const SCAN_INTERVAL_MS = (process.env.SCAN_INTERVAL_MINUTES ? parseInt(process.env.SCAN_INTERVAL_MINUTES) : 90) * 60 * 1000; // default 90 minutes
+// Schedules (scheduler.js): interval ("90m") or cron in VN time, seconds first when 6 fields
+// default scan: 10s after every 5m candle close; SCAN_INTERVAL_MINUTES (legacy) is a plain interval when SCAN_SCHEDULE is unset
+const SCAN_SCHEDULE = process.env.SCAN_SCHEDULE || (process.env.SCAN_INTERVAL_MINUTES ? `${parseInt(process.env.SCAN_INTERVAL_MINUTES)}m` : '10 */5 * * * *');
+const MONITOR_SCHEDULE = process.env.MONITOR_SCHEDULE || '5 * * * * *'; // open signals checked 5s after every 1m close
+// End-of-day report and Sunday weekly recap (VN time), "off" disables
+const DAILY_REPORT_SCHEDULE = process.env.DAILY_REPORT_SCHEDULE || '0 55 23 * * *';
+const WEEKLY_REPORT_SCHEDULE = process.env.WEEKLY_REPORT_SCHEDULE || '0 58 23 * * 0';
+const MONITOR_BACKOFF_MS = 60 * 1000; // per-symbol retry delay after a failed candle load, doubles up to 16 minutes
 const PER_COIN_DELAY_MS = 3000; // polite delay between coin scans
-const DEDUPE_WINDOW_MINUTES = 60; // don't re-send same symbol+side within 60 minutes
-const MONITOR_CHECK_INTERVAL_MS = 60 * 1000; // check active signals every 60s
-const MAX_MONITOR_HOURS = 48; // stop monitoring a signal after this many hours (configurable)
-
-// ----- TARGET COINS (50 coins) -----
-const TARGET_COINS = [
-  'BTCUSDT','ETHUSDT','BNBUSDT','SOLUSDT','XRPUSDT','ADAUSDT','AVAXUSDT','DOTUSDT','TRXUSDT','LINKUSDT',
-  'MATICUSDT','LTCUSDT','ATOMUSDT','ETCUSDT','XLMUSDT','BCHUSDT','FILUSDT','ALGOUSDT','NEARUSDT','UNIUSDT',
-  'DOGEUSDT','ZECUSDT','1000PEPEUSDT','ZENUSDT','HYPEUSDT','WIFUSDT','MEMEUSDT','BOMEUSDT','POPCATUSDT','MYROUSDT',
-  'HYPERUSDT','TOSHIUSDT','TURBOUSDT','NFPUSDT','PEOPLEUSDT','ARCUSDT','BTCDOMUSDT','DASHUSDT','APTUSDT',
-  'ARBUSDT','OPUSDT','SUIUSDT','SEIUSDT','TIAUSDT','INJUSDT','RNDRUSDT','FETUSDT','AGIXUSDT','OCEANUSDT'
-];
-
-// ----- In-memory structures (also persisted) -----
+// Real-time kline WebSocket (marketData.js): analysis on every candle close, TP/SL on live ticks. MARKET_STREAM=off -> REST only
+const MARKET_STREAM = (process.env.MARKET_STREAM || 'on').trim().toLowerCase() !== 'off';
+// Scan universe: 'static' = TARGET_COINS (validated against exchangeInfo), 'top' = top N USDT pairs by 24h quote volume
+const UNIVERSE_MODE = (process.env.UNIVERSE_MODE || 'static').trim().toLowerCase() === 'top' ? 'top' : 'static';
+const UNIVERSE_TOP_N = parseInt(process.env.UNIVERSE_TOP_N) || 50;
+const UNIVERSE_SCHEDULE = '0 5 7 * * *'; // exchangeInfo + universe reloaded daily, 07:05 VN = just after the UTC day rolls
+const EXEC_RECONCILE_SCHEDULE = '30s'; // poll bracket orders of live executions (execution.js)
+
+// Admins: chat ids from env (the only source of truth; the user record mirrors it as role 'admin' / 'user')
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n));
+
+// ----- TARGET COINS (scan.targetCoins of config.json, editable at runtime with /coins, persisted in storage) -----
+// Symbols not trading on any source are dropped at startup (symbolRegistry.js); UNIVERSE_MODE=top replaces the list
+const TARGET_COINS = configuredCoins();
+
+// config.json is the only coin list; without one (or with an empty list) nothing is scanned until /coins add or UNIVERSE_MODE=top
+function configuredCoins() {
+    return appConfig.get().scan.targetCoins.slice();
+}
+
+// ----- In-memory structures (also persisted, see storage.js) -----
 let subscribedUsers = new Map(); // chatId -> { chatId, first_name, username, subscribedAt }
 let activeSignals = []; // list of signals being monitored
+let signalHistory = []; // archive of closed signals (TP / PARTIAL / SL / EXPIRED) with realized R and P/L%
+let paperAccount = null; // virtual account, every signal opens a paper position (paperTrading.js)
+let signalCounter = { day: null, count: 0 }; // "Tín hiệu [N trong ngày]", day = VN date, reset at 00:00 VN (persisted)
 
-// load users and signals from disk
-function loadJSONFile(filePath, defaultValue) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            fs.writeFileSync(filePath, JSON.stringify(defaultValue, null, 2), 'utf8');
-            return defaultValue;
-        }
-        const raw = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(raw || 'null') || defaultValue;
-    } catch (err) {
-        console.error(`Error loading ${filePath}:`, err.message);
-        return defaultValue;
-    }
-}
+function loadState() {
+    storage.open(DB_FILE, { users: USERS_FILE, signals: SIGNALS_FILE, history: HISTORY_FILE });
 
-function saveJSONFile(filePath, data) {
-    try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error(`Error saving ${filePath}:`, err.message);
+    storage.loadUsers().forEach(u => subscribedUsers.set(u.chatId, u));
+    subscribedUsers.forEach(u => applyAdminRole(u));
+    activeSignals = storage.loadOpenSignals().map(s => tradeManager.ensureManagement(s));
+
+    // /coins edits are kept until the coin list of the config file itself changes
+    const savedCoins = storage.getMeta('target_coins');
+    if (Array.isArray(savedCoins) && sameList(storage.getMeta('target_coins_config'), configuredCoins())) {
+        TARGET_COINS.splice(0, TARGET_COINS.length, ...savedCoins);
+    } else {
+        applyConfiguredCoins();
     }
+    scanPaused = !!storage.getMeta('scan_paused', false);
+    paperAccount = storage.getMeta('paper_account') || paperTrading.createAccount();
+    signalCounter = storage.getMeta('signal_counter') || signalCounter;
+
+    // closed signals migrated from the old signals.json have no realized R yet
+    const legacyClosed = [];
+    signalHistory = storage.loadClosedSignals().map(s => {
+        if (s.realizedR !== undefined) return s;
+        const record = stats.toHistoryRecord(s, stats.exitPriceOf(s));
+        legacyClosed.push(record);
+        return record;
+    });
+    if (legacyClosed.length) storage.saveSignals(legacyClosed);
+
+    console.log(`Loaded ${subscribedUsers.size} users, ${activeSignals.length} active signals and ${signalHistory.length} closed signals from ${DB_FILE}.`);
 }
 
-function loadState() {
-    const users = loadJSONFile(USERS_FILE, []);
-    users.forEach(u => subscribedUsers.set(u.chatId, u));
+function sameList(a, b) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+}
 
-    activeSignals = loadJSONFile(SIGNALS_FILE, []);
-    // Convert resolvedAt / createdAt strings back to Date objects if needed is optional
-    console.log(`Loaded ${subscribedUsers.size} users and ${activeSignals.length} active signals from disk.`);
+function applyConfiguredCoins() {
+    const coins = configuredCoins();
+    TARGET_COINS.splice(0, TARGET_COINS.length, ...coins);
+    storage.setMeta('target_coins', TARGET_COINS);
+    storage.setMeta('target_coins_config', coins);
 }
 
 function persistState() {
     try {
-        const usersArr = Array.from(subscribedUsers.values());
-        saveJSONFile(USERS_FILE, usersArr);
-        saveJSONFile(SIGNALS_FILE, activeSignals);
+        storage.saveState(Array.from(subscribedUsers.values()), activeSignals);
+        storage.setMeta('paper_account', paperAccount);
     } catch (err) {
         console.error('persistState error:', err.message);
     }
@@ -80,15 +135,122 @@ const bot = new TelegramBot(TELEGRAM_TOKEN, {
     polling: { interval: 300, params: { timeout: 10 } }
 });
 
+// ----- Chart photos (chart.js) -----
+const CAPTION_LIMIT = 1024; // Telegram photo caption limit
+const PHOTO_FILE_OPTIONS = { filename: 'chart.png', contentType: 'image/png' };
+
+// PNG chart of a signal as a shared photo { buffer, fileId }, null when charts are off or rendering fails
+function signalPhoto(candles, signal, marks = []) {
+    if (!chart.getConfig().enabled || !candles || candles.length < 2) return null;
+    try {
+        const strategy = strategies.getStrategy(getStrategyId(signal));
+        const timeframeMs = analysis.TIMEFRAME_MS[strategy ? strategy.timeframe : '5m'];
+        return { buffer: chart.renderSignalChart(candles, signal, { timeframeMs, marks }), fileId: null };
+    } catch (err) {
+        console.error(`chart error for ${signal.symbol}:`, err.message || err);
+        return null;
+    }
+}
+
+// Chart of a closed signal: the candles up to the exit with the signal and hit candles highlighted
+async function resolutionPhoto(signal) {
+    if (!chart.getConfig().enabled) return null;
+    try {
+        const strategy = strategies.getStrategy(getStrategyId(signal));
+        const timeframe = strategy ? strategy.timeframe : '5m';
+        const tfMs = analysis.TIMEFRAME_MS[timeframe];
+        const hitTime = new Date(signal.hitCandleTime || signal.resolvedAt).getTime();
+        const endTime = Math.min(Date.now(), hitTime + 10 * tfMs);
+        const count = chart.getConfig().bars + 100; // extra candles warm up BB / RSI
+        const candles = await analysis.loadCandles(signal.symbol, timeframe, count, { startTime: endTime - count * tfMs, endTime });
+        return signalPhoto(candles, signal, [
+            { time: new Date(signal.createdAt).getTime() - tfMs, label: 'SIGNAL' },
+            { time: hitTime, label: signal.status === 'TP' ? 'TP' : signal.status, color: signal.status === 'TP' ? [0, 200, 83] : [255, 82, 82] }
+        ]);
+    } catch (err) {
+        console.error(`resolution chart error for ${signal.symbol}:`, err.message || err);
+        return null;
+    }
+}
+
+// Keep the file_id of the first upload so the same chart is not uploaded again for every chat
+function rememberPhoto(photo, sent) {
+    if (!photo.fileId && sent && sent.photo && sent.photo.length) photo.fileId = sent.photo[sent.photo.length - 1].file_id;
+}
+
+// Caption that fits the limit: cut at the last full line, with an ellipsis when something was left out
+function fitCaption(text) {
+    if (text.length <= CAPTION_LIMIT) return text;
+    const head = text.slice(0, CAPTION_LIMIT - 1);
+    const cut = head.lastIndexOf('\n');
+    return (cut > 0 ? head.slice(0, cut) : head).trimEnd() + '…';
+}
+
+// One delivery-queue job: plain message, or options.photo with the text as caption
+// (text over the caption limit goes as a separate message right after the photo)
+// A chart Telegram refuses (4xx) does not cost the chat its signal: the text goes out alone
+async function sendToChat(chatId, text, options) {
+    const photo = options.photo;
+    if (!photo) return bot.sendMessage(chatId, text, options);
+    const rest = Object.assign({}, options);
+    delete rest.photo;
+    delete rest._photoSent;
+    try {
+        if (text.length <= CAPTION_LIMIT) {
+            const sent = await bot.sendPhoto(chatId, photo.fileId || photo.buffer, Object.assign({ caption: text }, rest), PHOTO_FILE_OPTIONS);
+            rememberPhoto(photo, sent);
+            return sent;
+        }
+        // a retry of this job (the text failed after the photo went out) sends only the text
+        if (!options._photoSent) {
+            // the photo goes to the same forum topic as the text
+            const pictureOptions = {};
+            if (rest.message_thread_id) pictureOptions.message_thread_id = rest.message_thread_id;
+            if (rest.reply_to_message_id) {
+                pictureOptions.reply_to_message_id = rest.reply_to_message_id;
+                pictureOptions.allow_sending_without_reply = true;
+            }
+            rememberPhoto(photo, await bot.sendPhoto(chatId, photo.fileId || photo.buffer, pictureOptions, PHOTO_FILE_OPTIONS));
+            options._photoSent = true;
+        }
+    } catch (err) {
+        const e = deliveryQueue.classifyError(err);
+        if (e.kind !== 'rejected') throw err;
+        console.warn(`Chart photo rejected for ${chatId} (${e.description}), sending the text only`);
+    }
+    return bot.sendMessage(chatId, text, rest);
+}
+
+// Broadcast delivery: global + per-chat rate limits, 429 retry_after and retries (deliveryQueue.js)
+const delivery = deliveryQueue.createDeliveryQueue(sendToChat);
+// Channels / forum topics of notifiers.js share the same queue and rate limits
+notifiers.init({ telegramSend: (chatId, text, options) => delivery.enqueue(chatId, text, options) });
+
 bot.on('polling_error', (err) => {
     console.error('Polling error:', err?.message || err);
 });
 
-// Express keepalive
+// Express keepalive (bare: diagnostics are served by the key-protected /api/health)
 const app = express();
 app.get('/', (req, res) => {
-    res.json({ status: 'AI Trading Bot V3 - Nemesis Compatible', users: subscribedUsers.size, activeSignals: activeSignals.length });
+    res.send('ok');
 });
+// Read API + SSE stream for external dashboards (api.js, needs API_KEYS)
+app.use('/api', api.createRouter({
+    getSignals: () => ({ open: activeSignals, closed: signalHistory }),
+    getChecks: id => storage.getChecks(id),
+    getStrategyStats,
+    getHealth: () => ({
+        subscribers: subscribedUsers.size,
+        openSignals: activeSignals.length,
+        scan: { paused: scanPaused, running: scanRunning, coins: TARGET_COINS.length },
+        marketStream: MARKET_STREAM ? marketData.getStatus() : null,
+        dataSources: sourceHealth.getHealth(),
+        jobs: scheduler.getStatus(),
+        delivery: delivery.getStats(),
+        notifiers: notifiers.getStatus()
+    })
+}));
 app.listen(PORT, () => console.log(`Express server listening on port ${PORT}`));
 
 // ----- Helpers -----
@@ -96,65 +258,196 @@ function getVNTime() {
     return moment().tz('Asia/Ho_Chi_Minh');
 }
 
-function formatSignalMessage(signalObj, signalIndex) {
-    // template requested by you
-    const dayText = getVNTime().format('dddd').toUpperCase(); // e.g., "WEDNESDAY" but we might want Vietnamese day names:
-    const vnDayMap = {
-        'Monday':'THỨ HAI','Tuesday':'THỨ BA','Wednesday':'THỨ TƯ','Thursday':'THỨ NĂM','Friday':'THỨ SÁU','Saturday':'THỨ BẢY','Sunday':'CHỦ NHẬT'
-    };
-    const dayVN = vnDayMap[getVNTime().format('dddd')] || getVNTime().format('dddd');
+// Signal message in the language / number format of `loc` (i18n.js)
+function formatSignalMessage(signalObj, signalIndex, loc = i18n.getLocale()) {
+    const htf = signalObj.meta && signalObj.meta.htf;
+    const lines = [
+        loc.t('signal.header', { index: signalIndex, coin: signalObj.symbol.replace('USDT', ''), side: signalObj.side.toUpperCase() }),
+        '',
+        loc.t('signal.body', {
+            entry: prettyPrice(signalObj.entry, signalObj.symbol, loc),
+            tp: targetsText(signalObj, loc),
+            sl: prettyPrice(signalObj.sl, signalObj.symbol, loc),
+            rr: signalObj.rr !== undefined && signalObj.rr !== null ? loc.number(signalObj.rr) : '-',
+            conf: signalObj.confidence !== undefined ? signalObj.confidence : '-'
+        })
+    ];
+    if (htf) lines.push(loc.t('signal.htf', { frames: Object.keys(htf.trends).map(tf => `${tf} ${htf.agreed.includes(tf) ? '✅' : htf.against.includes(tf) ? '❌' : '➖'}`).join(' ') }));
+    const futures = futuresLine(signalObj.meta && signalObj.meta.futures, loc);
+    if (futures) lines.push(futures);
+    lines.push('', loc.t('signal.footer', { strategy: getStrategyName(signalObj) }));
+    return lines.join('\n');
+}
+
+// meta.futures (futuresContext.js) -> "💰 Funding +0.0100% | OI 60p +3.2% | L/S 1.85", '' when not available
+function futuresLine(futures, loc = i18n.getLocale()) {
+    if (!futures || futures.skipped) return '';
+    const pct = (v, d) => (v === null || v === undefined ? '-' : `${loc.signed(v, d)}%`);
+    return loc.t('signal.futures', {
+        funding: pct(futures.fundingRatePct, 4),
+        minutes: futures.lookbackMinutes,
+        oi: pct(futures.oiChangePct, 1),
+        ls: futures.longShortRatio !== null ? loc.number(futures.longShortRatio) : '-'
+    }) + (futures.crowded ? ' ⚠️' : '');
+}
+
+// "TP1 x (40%) | TP2 y (30%) | ..." for multi-target signals, the TP price otherwise
+function targetsText(signal, loc = i18n.getLocale()) {
+    if (!signal.targets || signal.targets.length < 2) return prettyPrice(signal.tp, signal.symbol, loc);
+    return signal.targets.map(t => `${t.level} ${prettyPrice(t.price, signal.symbol, loc)} (${t.pct}%)${t.hitTime ? ' ✅' : ''}`).join(' | ');
+}
+
+// Extra detail view shown by the "Chart/Chi tiết" button
+function formatSignalDetails(signal, loc = i18n.getLocale()) {
+    const meta = signal.meta || {};
+    const lines = [
+        loc.t('details.title', { coin: signal.symbol.replace('USDT', ''), side: signal.side, strategy: getStrategyName(signal) }),
+        '',
+        loc.t('details.levels', { entry: prettyPrice(signal.entry, signal.symbol, loc), tp: targetsText(signal, loc), sl: prettyPrice(signal.sl, signal.symbol, loc) }),
+        loc.t('details.rr', { rr: loc.number(signal.rr), conf: signal.confidence }),
+        loc.t('details.created', { time: loc.date(signal.createdAt) }),
+        loc.t('details.status', { status: signal.status })
+    ];
+    if (signal.stop !== undefined && signal.stop !== signal.sl) lines.push(loc.t('details.currentStop', { stop: prettyPrice(signal.stop, signal.symbol, loc) }));
+    if (signal.management && signal.management.trailing) lines.push(loc.t('details.trailing', { mult: loc.number(signal.management.trailing.mult) }));
+    const indicatorKeys = Object.keys(meta).filter(k => k !== 'htf' && typeof meta[k] !== 'object');
+    if (indicatorKeys.length) lines.push('', indicatorKeys.map(k => `${k}: ${typeof meta[k] === 'number' ? loc.number(meta[k]) : meta[k]}`).join(' | '));
+    if (meta.htf) {
+        lines.push('', loc.t('details.htf', { mode: meta.htf.mode, trends: Object.entries(meta.htf.trends).map(([tf, t]) => `${tf} ${t.trend} (ADX ${loc.number(t.adx)})`).join(', ') }));
+    }
+    if (meta.futures && meta.futures.skipped) lines.push('', loc.t('details.futuresSkipped', { reason: meta.futures.reason }));
+    else if (meta.futures) {
+        const f = meta.futures;
+        lines.push('', loc.t('details.futures', { mode: f.mode, source: f.source, line: futuresLine(f, loc) }));
+        lines.push(loc.t('details.futuresMove', { minutes: f.lookbackMinutes, price: f.priceChangePct !== null ? `${loc.signed(f.priceChangePct)}%` : '-', adjust: loc.signed(f.confidenceAdjust) }));
+        f.notes.forEach(note => lines.push(`• ${loc.t(`futures.${note}`)}`));
+    }
+    lines.push('', loc.t('details.chart', { url: `https://www.tradingview.com/chart/?symbol=BINANCE:${signal.symbol}` }));
+    return lines.join('\n');
+}
 
-    const coinShort = signalObj.symbol.replace('USDT', '');
-    const side = signalObj.side.toUpperCase();
-    const entry = prettyPrice(signalObj.entry);
-    const tp = prettyPrice(signalObj.tp);
-    const sl = prettyPrice(signalObj.sl);
-    const rr = signalObj.rr !== undefined && signalObj.rr !== null ? signalObj.rr : '-';
-    const conf = signalObj.confidence !== undefined ? signalObj.confidence : '-';
+// Inline keyboard attached to every signal message (callback_data: "<action>|<signalId>")
+function signalKeyboard(signal, detailsShown = false, loc = i18n.getLocale()) {
+    return {
+        inline_keyboard: [
+            [
+                detailsShown
+                    ? { text: loc.t('keyboard.less'), callback_data: `less|${signal.id}` }
+                    : { text: loc.t('keyboard.details'), callback_data: `det|${signal.id}` },
+                { text: loc.t('keyboard.pnl'), callback_data: `pnl|${signal.id}` }
+            ],
+            [
+                { text: loc.t('keyboard.track'), callback_data: `trk|${signal.id}` },
+                { text: loc.t('keyboard.mute'), callback_data: `mute|${signal.id}` }
+            ]
+        ]
+    };
+}
 
-    const header = `🤖 Tín hiệu [${signalIndex} trong ngày]\n#${coinShort} – [${side}] 📌\n\n`;
-    const body = `🔴 Entry: ${entry}\n🆗 Take Profit: ${tp}\n🙅‍♂️ Stop-Loss: ${sl}\n🪙 Tỉ lệ RR: ${rr} (Conf: ${conf}%)\n\n`;
-    const footer = `🧠 By Bot [Physics Momentum]\n\n⚠️ Nhất định phải tuân thủ quản lý rủi ro – Đi tối đa 2-3% risk, Bot chỉ để tham khảo, win 3 lệnh nên ngưng`;
+// Signals saved before the strategy registry have no strategy field: they are Physics Momentum
+function getStrategyId(signalObj) {
+    return signalObj.strategy || strategies.DEFAULT_STRATEGY_ID;
+}
 
-    return header + body + footer;
+function getStrategyName(signalObj) {
+    if (signalObj.strategyName) return signalObj.strategyName;
+    const strategy = strategies.getStrategy(getStrategyId(signalObj));
+    return strategy ? strategy.name : getStrategyId(signalObj);
 }
 
-function prettyPrice(p) {
+// Decimals of the exchange tick size when the symbol is known, magnitude-based otherwise;
+// separators follow the locale ("1.234,5" vi / "1,234.5" en)
+function prettyPrice(p, symbol, loc = i18n.getLocale()) {
     if (p === null || p === undefined || isNaN(p)) return 'N/A';
     const n = Number(p);
-    if (n >= 1) return n.toFixed(4);
-    if (n >= 0.0001) return n.toFixed(6);
-    return n.toFixed(8);
+    const decimals = symbol ? symbolRegistry.priceDecimals(symbol) : null;
+    if (decimals !== null) return loc.number(n, decimals);
+    if (n >= 1) return loc.number(n, 4);
+    if (n >= 0.0001) return loc.number(n, 6);
+    return loc.number(n, 8);
 }
 
-async function broadcastToAllUsers(message) {
-    let success = 0, fail = 0;
+// message: text, or loc => text rendered in each subscriber's language / timezone (i18n.js)
+// context: { signalId, kind } stored with the broadcast log; { signal } filters by each user's settings,
+// { replyMarkup } attaches an inline keyboard (object or loc => object), { photo } (signalPhoto) sends a chart with the message as caption;
+// sent message ids are kept in signal.deliveries (chatId -> message_id)
+// Every broadcast also goes to the external destinations of notifiers.js (Telegram channels / topics, Discord, webhooks)
+// in the default language, which is also the text kept in the broadcast log
+async function broadcastToAllUsers(message, context = {}) {
+    const render = typeof message === 'function' ? message : () => message;
+    const text = render(i18n.getLocale());
+    const [res, external] = await Promise.all([
+        deliverToSubscribers(render, context),
+        notifiers.notify(context.kind || 'message', { text, signal: context.signal, photo: context.photo })
+    ]);
+    persistState();
+    try {
+        const broadcastId = storage.recordBroadcast({ signalId: context.signalId, kind: context.kind, message: text, success: res.success, fail: res.fail });
+        storage.recordDeliveries(broadcastId, context.signalId, res.receipts);
+    } catch (err) {
+        console.error('recordBroadcast error:', err.message);
+    }
+    return { success: res.success, fail: res.fail, skipped: res.skipped, external };
+}
+
+// Private chats in subscribedUsers, through the rate-limited delivery queue (one receipt per chat)
+// render(loc) runs once per language + timezone in use
+async function deliverToSubscribers(render, context) {
+    let skipped = 0;
+    const now = getVNTime();
+    const queued = [];
+    const rendered = new Map(); // locale -> { text, replyMarkup }
     for (const [chatId, user] of subscribedUsers) {
-        try {
-            await bot.sendMessage(chatId, message);
-            success++;
-            await new Promise(r => setTimeout(r, 80));
-        } catch (err) {
+        if (!preferences.shouldDeliver(user, context, now)) {
+            skipped++;
+            continue;
+        }
+        const loc = preferences.getLocale(user);
+        if (!rendered.has(loc)) {
+            rendered.set(loc, {
+                text: render(loc),
+                replyMarkup: typeof context.replyMarkup === 'function' ? context.replyMarkup(loc) : context.replyMarkup
+            });
+        }
+        const { text, replyMarkup } = rendered.get(loc);
+        const options = {};
+        if (replyMarkup) options.reply_markup = replyMarkup;
+        if (context.photo) options.photo = context.photo;
+        // follow-ups (result / expiry) reply to the signal message this chat received
+        const replyTo = context.kind !== 'signal' && context.signal && context.signal.deliveries && context.signal.deliveries[chatId];
+        if (replyTo) {
+            options.reply_to_message_id = replyTo;
+            options.allow_sending_without_reply = true;
+        }
+        queued.push(delivery.enqueue(chatId, text, options));
+    }
+    const receipts = await Promise.all(queued);
+
+    let success = 0, fail = 0;
+    for (const r of receipts) {
+        if (!r.ok) {
             fail++;
-            console.warn(`Failed to send to ${chatId}: ${err?.response?.statusCode || err.code || err.message}`);
-            // if blocked, remove user
-            if (err?.response?.statusCode === 403 || (err.code && err.code === 'ETELEGRAM')) {
-                subscribedUsers.delete(chatId);
-                console.log(`Removed subscriber ${chatId} due to send error.`);
+            // only a chat that can never receive messages again is unsubscribed
+            if (r.status === 'blocked' && subscribedUsers.delete(r.chatId)) {
+                console.log(`Removed subscriber ${r.chatId}: ${r.error}`);
             }
+            continue;
+        }
+        success++;
+        if (context.kind === 'signal' && context.signal && context.signal.deliveries && r.messageId) {
+            context.signal.deliveries[r.chatId] = r.messageId;
         }
     }
-    persistState();
-    return { success, fail };
+    return { success, fail, skipped, receipts };
 }
 
-// Utility: dedupe - check if same symbol+side sent within last DEDUPE_WINDOW_MINUTES
-function isDuplicateSignal(symbol, side) {
+// Utility: dedupe - check if same strategy+symbol+side sent within the last scan.dedupeWindowMinutes (config.json)
+function isDuplicateSignal(symbol, side, strategyId = strategies.DEFAULT_STRATEGY_ID) {
     const now = Date.now();
-    const windowMs = (DEDUPE_WINDOW_MINUTES || 60) * 60 * 1000;
+    const windowMs = appConfig.get().scan.dedupeWindowMinutes * 60 * 1000;
     // check activeSignals + signals persisted that were created recently
     for (const s of activeSignals) {
-        if (s.symbol === symbol && s.side === side) {
+        if (s.symbol === symbol && s.side === side && getStrategyId(s) === strategyId) {
             const createdMs = new Date(s.createdAt).getTime();
             if ((now - createdMs) <= windowMs && (s.status === 'OPEN' || s.status === 'PENDING')) {
                 return true;
@@ -164,8 +457,30 @@ function isDuplicateSignal(symbol, side) {
     return false;
 }
 
+// Per-strategy counters over the signals we know about: strategyId -> { name, signals, open, tp, partial, sl, expired, closed, ambiguous }
+function getStrategyStats() {
+    const stats = {};
+    for (const st of strategies.getAllStrategies()) {
+        stats[st.id] = { name: st.name, signals: 0, open: 0, tp: 0, partial: 0, sl: 0, expired: 0, closed: 0, ambiguous: 0 };
+    }
+    for (const s of activeSignals.concat(signalHistory)) {
+        const id = getStrategyId(s);
+        if (!stats[id]) stats[id] = { name: getStrategyName(s), signals: 0, open: 0, tp: 0, partial: 0, sl: 0, expired: 0, closed: 0, ambiguous: 0 };
+        const st = stats[id];
+        st.signals++;
+        if (s.status === 'OPEN') st.open++;
+        else if (s.status === 'TP') st.tp++;
+        else if (s.status === 'PARTIAL') st.partial++;
+        else if (s.status === 'SL') st.sl++;
+        else if (s.status === 'EXPIRED') st.expired++;
+        else if (s.status === 'CLOSED') st.closed++;
+        if (s.resolution && s.resolution.ambiguous) st.ambiguous++;
+    }
+    return stats;
+}
+
 // Create and register a new signal, start monitoring
-function registerSignal(signalObj) {
+function registerSignal(signalObj, signalIndex) {
     try {
         const id = `SIG_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
         const s = {
@@ -177,16 +492,33 @@ function registerSignal(signalObj) {
             tp: signalObj.tp,
             rr: signalObj.rr,
             confidence: signalObj.confidence || 0,
+            strategy: getStrategyId(signalObj),
+            strategyName: getStrategyName(signalObj),
+            meta: signalObj.meta || {},
+            signalIndex: signalIndex || null, // "Tín hiệu [N trong ngày]"
+            configVersion: appConfig.getVersion(), // config.json the signal was produced with
+            maxMonitorHours: appConfig.get().scan.maxMonitorHours,
             createdAt: (new Date()).toISOString(),
-            status: 'OPEN', // OPEN / TP / SL / EXPIRED
+            status: 'OPEN', // OPEN / TP / PARTIAL / SL / EXPIRED / CLOSED
             resolvedAt: null,
-            monitorChecks: 0,
-            monitorHistory: [] // push check events
+            hitCandleTime: null, // open time of the 1m candle that touched the last TP / the stop
+            checkedUntil: null, // 1m candles before this time (ms) have been checked
+            monitorChecks: 0, // monitor passes; the ones that changed the signal are stored in the signal_checks table
+            deliveries: {}, // chatId -> message_id of the signal message
+            trackedBy: [] // chatIds that pressed "Theo dõi lệnh"
         };
+        tradeManager.initManagement(s); // targets, stop, break-even / trailing settings
+        openPaperPosition(s);
         activeSignals.push(s);
+        if (s.paper && !s.paper.skipped) recordPaperEquity(s.id, 'open');
+        if (execution.isEnabled()) {
+            execution.openForSignal(s, activeSignals)
+                .then(() => persistState())
+                .catch(err => console.error('execution.openForSignal error:', err.message || err));
+        }
         persistState();
-        // Start monitor loop for this signal
-        startMonitoringSignal(s);
+        // the monitor job (runMonitorPass) picks it up on its next tick
+        refreshStreamSymbols();
         return s;
     } catch (err) {
         console.error('registerSignal error:', err.message);
@@ -194,159 +526,546 @@ function registerSignal(signalObj) {
     }
 }
 
-// Monitor one signal until TP/SL hit or expire
-function startMonitoringSignal(signal) {
-    // Background asynchronous loop that checks every MONITOR_CHECK_INTERVAL_MS
-    // We'll use setInterval and keep reference in the signal object for clearing
+// Move a closed signal from activeSignals into signalHistory (realized R / P/L% computed once here)
+function archiveSignal(signal) {
+    settlePaperPosition(signal);
+    const record = stats.toHistoryRecord(signal, stats.exitPriceOf(signal));
+    signalHistory.push(record);
+    activeSignals = activeSignals.filter(s => s.id !== signal.id);
+    storage.saveSignals([record]);
+    api.publish('signal_resolved', { signal: api.serializeSignal(record) });
+    refreshStreamSymbols();
+    // record.execution is the same object, so the settled execution is saved with the record
+    if (execution.isOpenExecution(signal.execution)) {
+        execution.onSignalClosed(signal, stats.averageExitPrice(signal, stats.exitPriceOf(signal)))
+            .then(() => storage.saveSignals([record]))
+            .catch(err => console.error(`execution.onSignalClosed ${signal.id} error:`, err.message || err));
+    }
+    return record;
+}
+
+// Pull TP / SL fills of live executions (open signals and already archived ones whose bracket is still working)
+async function reconcileExecutions() {
+    const open = activeSignals.concat(signalHistory).filter(s => s.execution && s.execution.mode === 'live' && s.execution.status === 'OPEN');
+    for (const s of open) {
+        try {
+            if (!(await execution.reconcile(s))) continue;
+            if (activeSignals.includes(s)) persistState();
+            else storage.saveSignals([s]);
+        } catch (err) {
+            console.error(`reconcileExecutions ${s.id} error:`, err.message || err);
+        }
+    }
+}
+
+// ----- Paper trading (paperTrading.js) -----
+function paperPositions() {
+    return activeSignals.filter(s => s.paper && !s.paper.closed && !s.paper.skipped);
+}
+
+// Live stream price when available, otherwise the last price seen by the monitor
+function markPrice(signal) {
+    const tick = marketData.getLastTick(signal.symbol);
+    return tick ? tick.price : (signal.lastPrice || signal.entry);
+}
+
+function recordPaperEquity(signalId, event) {
+    const equity = paperTrading.computeEquity(paperAccount, paperPositions().map(s => ({ position: s.paper, price: markPrice(s) })));
+    paperTrading.updateDrawdown(paperAccount, equity);
+    storage.setMeta('paper_account', paperAccount);
+    storage.recordEquity({ balance: paperAccount.balance, equity, signalId, event });
+}
+
+function openPaperPosition(signal) {
+    if (!paperTrading.getConfig().enabled) return;
+    const usedMargin = paperPositions().reduce((a, s) => a + s.paper.margin, 0);
+    signal.paper = paperTrading.openPosition(paperAccount, signal, usedMargin);
+    if (signal.paper.skipped) console.log(`Paper position for ${signal.symbol} skipped: ${signal.paper.skipped}`);
+}
+
+// Settle at the exit price of the closed signal (TP/stop level, last price for EXPIRED / CLOSED),
+// averaged with the partial fills at TP1 / TP2
+function settlePaperPosition(signal) {
+    if (!signal.paper || signal.paper.closed || signal.paper.skipped) return;
+    paperTrading.closePosition(paperAccount, signal.paper, stats.averageExitPrice(signal, stats.exitPriceOf(signal)));
+    recordPaperEquity(signal.id, signal.status);
+}
+
+function paperResultLine(signal, loc = i18n.getLocale()) {
+    const p = signal.paper;
+    if (!p || !p.closed) return '';
+    return loc.t('paper.result', { pnl: loc.signed(p.netPnl, 2), returnPct: loc.signed(p.returnPct), fees: loc.number(p.entryFee + p.exitFee, 2) }) + '\n';
+}
+
+// Resolution only looks at 1m candles that open after the signal was created
+function getMonitorStartTime(signal) {
+    const createdMs = new Date(signal.createdAt).getTime();
+    return Math.ceil(createdMs / 60000) * 60000;
+}
+
+// signals keep the monitor window of the config they were created with
+function getMonitorHours(signal) {
+    return signal.maxMonitorHours || appConfig.get().scan.maxMonitorHours;
+}
+
+function getMonitorEndTime(signal) {
+    return getMonitorStartTime(signal) + getMonitorHours(signal) * 60 * 60 * 1000;
+}
+
+// "TP1 40% @ x, TP2 30% @ y" of the targets already taken
+function fillsText(signal, loc = i18n.getLocale()) {
+    return (signal.fills || []).map(f => `${f.level} ${f.pct}% @ ${prettyPrice(f.price, signal.symbol, loc)}`).join(', ');
+}
+
+// TP1 / TP2 fills, break-even and trailing moves of an open signal: kept in signal.steps and
+// sent as a reply to the signal message. Trailing moves are announced once the stop moved at least 0.5 ATR
+async function announceManagementEvents(signal, events) {
+    if (!events.length) return;
+    const announced = [];
+    if (!signal.steps) signal.steps = [];
+    for (const e of events) {
+        if (e.type === 'TARGET') {
+            announced.push(e);
+        } else if (e.type === 'BREAK_EVEN') {
+            announced.push(e);
+            signal.announcedStop = e.stop;
+        } else if (e.type === 'TRAIL') {
+            const atr = signal.management.trailing.atr;
+            const last = signal.announcedStop !== undefined ? signal.announcedStop : signal.sl;
+            if (Math.abs(e.stop - last) < 0.5 * atr) continue;
+            announced.push(e);
+            signal.announcedStop = e.stop;
+        }
+        signal.steps.push(Object.assign({ at: new Date(e.time).toISOString() }, e));
+    }
+    persistState();
+    api.publish('signal_updated', { signal: api.serializeSignal(signal), events });
+    if (!announced.length) return;
+    const eventLine = (e, loc) => {
+        if (e.type === 'TARGET') return loc.t('update.target', { level: e.level, price: prettyPrice(e.price, signal.symbol, loc), pct: e.pct, r: loc.signed(e.r) });
+        if (e.type === 'BREAK_EVEN') return loc.t('update.breakEven', { stop: prettyPrice(e.stop, signal.symbol, loc) });
+        return loc.t(signal.side === 'LONG' ? 'update.trailUp' : 'update.trailDown', { stop: prettyPrice(e.stop, signal.symbol, loc) });
+    };
+    const remaining = tradeManager.remainingPct(signal);
+    const stop = signal.stop;
+    const msg = loc => [
+        loc.t('update.title', { coin: signal.symbol.replace('USDT', ''), side: signal.side }),
+        '',
+        ...announced.map(e => eventLine(e, loc)),
+        '',
+        loc.t('update.remaining', { pct: remaining, stop: prettyPrice(stop, signal.symbol, loc) })
+    ].join('\n');
+    await broadcastToAllUsers(msg, { signalId: signal.id, kind: 'update', signal });
+}
+
+function resultStatusText(signal, realizedR, loc = i18n.getLocale()) {
+    if (signal.status === 'TP') return loc.t('result.win');
+    if (signal.status === 'PARTIAL') return loc.t(realizedR > 0 ? 'result.partialWin' : 'result.partialLoss');
+    return loc.t('result.loss');
+}
+
+// Check one signal on the 1m candles since checkedUntil, then apply target fills / stop moves
+// (tradeManager.js) and resolve TP / PARTIAL / SL or expire
+// candles: 1m candles of the symbol already loaded by the monitor pass; loaded over REST when omitted
+async function checkSignal(signal, candles = null) {
+    if (signal.status !== 'OPEN' || signal._checking) return;
+    signal._checking = true;
     try {
-        if (signal._monitorInterval) return; // already monitoring
+        signal.monitorChecks = (signal.monitorChecks || 0) + 1;
+        const monitorEnd = getMonitorEndTime(signal);
 
-        const maxChecks = Math.ceil((MAX_MONITOR_HOURS * 60 * 1000) / MONITOR_CHECK_INTERVAL_MS);
-        signal._monitorInterval = setInterval(async () => {
+        // 1m candles from where the last check stopped
+        const since = signal.checkedUntil || getMonitorStartTime(signal);
+        let loaded;
+        if (candles) {
+            loaded = analysis.monitorWindow(candles, since, monitorEnd);
+        } else {
             try {
-                if (signal.status !== 'OPEN') {
-                    clearInterval(signal._monitorInterval);
-                    delete signal._monitorInterval;
-                    persistState();
-                    return;
-                }
-                signal.monitorChecks = (signal.monitorChecks || 0) + 1;
-
-                // call analysis.checkSignalHit
-                const result = await analysis.checkSignalHit(signal.symbol, signal.side, signal.entry, signal.sl, signal.tp, 120);
-                signal.monitorHistory.push({ checkedAt: (new Date()).toISOString(), resultStatus: result.status || null });
-
-                if (result.status === 'TP' || result.status === 'SL') {
-                    signal.status = result.status;
-                    signal.resolvedAt = (new Date()).toISOString();
-                    persistState();
-
-                    // compute pnl% approx:
-                    let pnlPct = 0;
-                    if (signal.side === 'LONG') {
-                        pnlPct = (( (result.status === 'TP' ? signal.tp : signal.sl) - signal.entry) / signal.entry) * 100;
-                    } else {
-                        pnlPct = (( signal.entry - (result.status === 'TP' ? signal.tp : signal.sl)) / signal.entry) * 100;
-                    }
-                    pnlPct = Number(pnlPct.toFixed(2));
-
-                    // Send message about resolved signal
-                    const dayVN = moment().tz('Asia/Ho_Chi_Minh').format('dddd');
-                    const vnDayMap = {
-                      'Monday':'THỨ HAI','Tuesday':'THỨ BA','Wednesday':'THỨ TƯ','Thursday':'THỨ NĂM','Friday':'THỨ SÁU','Saturday':'THỨ BẢY','Sunday':'CHỦ NHẬT'
-                    };
-                    const dayText = vnDayMap[ moment().tz('Asia/Ho_Chi_Minh').format('dddd') ] || moment().tz('Asia/Ho_Chi_Minh').format('dddd');
-                    const msg = `🔔 Kết quả tín hiệu ${dayText}\n#${signal.symbol.replace('USDT','')} – [${signal.side}]\n\n` +
-                                `Trạng thái: ${signal.status === 'TP' ? 'WIN ✅' : 'LOSE ❌'}\n` +
-                                `Entry: ${prettyPrice(signal.entry)}\n` +
-                                `TP: ${prettyPrice(signal.tp)}\n` +
-                                `SL: ${prettyPrice(signal.sl)}\n` +
-                                `P/L: ${pnlPct}%\n\n` +
-                                `🧠 By Bot [Physics Momentum]\n` +
-                                `📌 Tín hiệu đã được theo dõi tự động và đã đóng.`;
-
-                    await broadcastToAllUsers(msg);
-
-                    // stop monitor
-                    clearInterval(signal._monitorInterval);
-                    delete signal._monitorInterval;
-                    persistState();
-                    return;
-                }
+                loaded = await analysis.loadMonitorCandles(signal.symbol, since, monitorEnd);
+            } catch (err) {
+                console.error(`checkSignal load error for ${signal.symbol}:`, err.message || err);
+                return;
+            }
+        }
+        if (signal.status !== 'OPEN') return; // closed by an admin while checking
+        const result = await tradeManager.manageSignal(signal, loaded.candles, {
+            policy: analysis.getAmbiguityPolicy(),
+            drillDown: (candle, stop, target) => analysis.drillDownAmbiguousCandle(signal.symbol, signal.side, stop, target, candle)
+        });
+        if (loaded.checkedUntil) signal.checkedUntil = loaded.checkedUntil;
+        if (loaded.lastPrice) signal.lastPrice = loaded.lastPrice;
+        // only passes that change the signal are logged (target hit / stop moved, or the close)
+        if (result.closed || result.events.length) {
+            storage.recordCheck(signal.id, (new Date()).toISOString(), result.closed ? result.closed.status : result.events.map(e => e.type).join(','));
+        }
+        await announceManagementEvents(signal, result.events);
 
-                // expire if too many checks
-                if (signal.monitorChecks >= maxChecks) {
-                    signal.status = 'EXPIRED';
-                    signal.resolvedAt = (new Date()).toISOString();
-                    persistState();
-                    // notify expiration
-                    const expireMsg = `⚠️ Tín hiệu #${signal.symbol.replace('USDT','')} (${signal.side}) đã hết thời gian theo dõi (${MAX_MONITOR_HOURS} giờ) và chưa chạm TP/SL.`;
-                    await broadcastToAllUsers(expireMsg);
-                    clearInterval(signal._monitorInterval);
-                    delete signal._monitorInterval;
-                    return;
-                }
-                // otherwise continue monitoring
+        if (result.closed) {
+            signal.status = result.closed.status;
+            signal.resolvedAt = (new Date()).toISOString();
+            signal.hitCandleTime = new Date(result.closed.hitTime).toISOString();
+            // how the outcome was decided (ambiguous = stop and target inside the same 1m candle)
+            signal.resolution = result.closed.resolution;
+            settlePaperPosition(signal);
+            persistState();
+
+            // realized P/L% (and R) over the partial fills and the exit level
+            const { pnlPct, realizedR } = stats.computeOutcome(signal, stats.exitPriceOf(signal));
+
+            // Send message about resolved signal (weekday in each user's language / timezone)
+            const now = Date.now();
+            const stopMoved = signal.stop !== signal.sl;
+            const msg = loc => loc.t('result.title', { day: loc.weekday(now), coin: signal.symbol.replace('USDT', ''), side: signal.side }) + '\n\n' +
+                        `${loc.t('details.status', { status: resultStatusText(signal, realizedR, loc) })}\n` +
+                        `Entry: ${prettyPrice(signal.entry, signal.symbol, loc)}\n` +
+                        `TP: ${targetsText(signal, loc)}\n` +
+                        `SL: ${prettyPrice(signal.sl, signal.symbol, loc)}\n` +
+                        (signal.status === 'PARTIAL' ? `${loc.t(stopMoved ? 'result.partialMoved' : 'result.partial', { fills: fillsText(signal, loc), stop: prettyPrice(signal.stop, signal.symbol, loc) })}\n` : '') +
+                        `${loc.t('result.pnl', { pnl: loc.number(pnlPct), r: loc.number(realizedR) })}\n` +
+                        paperResultLine(signal, loc) +
+                        (signal.resolution.ambiguous ? `${loc.t('result.ambiguous', { method: signal.resolution.method })}\n` : '') +
+                        `\n${loc.t('result.footer', { strategy: getStrategyName(signal) })}`;
+
+            const photo = await resolutionPhoto(signal);
+            await broadcastToAllUsers(msg, { signalId: signal.id, kind: 'result', signal, photo });
+
+            // move to history (the monitor only looks at OPEN signals)
+            archiveSignal(signal);
+            persistState();
+            return;
+        }
+
+        // expire once every candle of the monitor window has been checked
+        if ((signal.checkedUntil || 0) >= monitorEnd) {
+            signal.status = 'EXPIRED';
+            signal.resolvedAt = (new Date()).toISOString();
+            settlePaperPosition(signal);
+            persistState();
+            // notify expiration
+            const filled = signal.fills && signal.fills.length;
+            const expireMsg = loc => loc.t(filled ? 'expired.textFilled' : 'expired.text', { coin: signal.symbol.replace('USDT', ''), side: signal.side, hours: getMonitorHours(signal) }) + '\n' +
+                              (filled ? `${loc.t('expired.taken', { fills: fillsText(signal, loc) })}\n` : '') +
+                              paperResultLine(signal, loc);
+            await broadcastToAllUsers(expireMsg, { signalId: signal.id, kind: 'expired', signal });
+            archiveSignal(signal);
+            persistState();
+        }
+        // otherwise continue monitoring
+    } finally {
+        delete signal._checking;
+    }
+}
+
+// While the kline stream delivers every 1m close for the symbol, checkedUntil stays current
+// without REST calls and the periodic poll can be skipped
+function streamKeepsUp(signal) {
+    return marketData.isLive(signal.symbol) &&
+        (signal.checkedUntil || 0) >= Date.now() - 2 * 60 * 1000 &&
+        (signal.checkedUntil || 0) < getMonitorEndTime(signal);
+}
+
+// ----- Signal monitor (one scheduler job for every open signal) -----
+const monitorBackoff = new Map(); // symbol -> { failures, retryAt } after failed candle loads
+
+// One monitor tick: open signals grouped by symbol, the 1m candles of each symbol loaded once
+// (from the oldest unchecked candle of the group) and every signal checked on its own slice.
+// Symbols whose stream keeps up are skipped (live ticks / 1m closes drive them, see onMarketTick / onMinuteClose)
+async function runMonitorPass() {
+    const bySymbol = new Map();
+    for (const signal of activeSignals) {
+        if (signal.status !== 'OPEN' || signal._checking || streamKeepsUp(signal)) continue;
+        if (!bySymbol.has(signal.symbol)) bySymbol.set(signal.symbol, []);
+        bySymbol.get(signal.symbol).push(signal);
+    }
+
+    const now = Date.now();
+    let failed = 0;
+    for (const [symbol, signals] of bySymbol) {
+        const backoff = monitorBackoff.get(symbol);
+        if (backoff && backoff.retryAt > now) continue;
+        const since = Math.min(...signals.map(s => s.checkedUntil || getMonitorStartTime(s)));
+        const until = Math.max(...signals.map(s => getMonitorEndTime(s)));
+        let loaded;
+        try {
+            loaded = await analysis.loadMonitorCandles(symbol, since, until);
+            monitorBackoff.delete(symbol);
+        } catch (err) {
+            failed++;
+            const failures = backoff ? backoff.failures + 1 : 1;
+            const delay = Math.min(16 * MONITOR_BACKOFF_MS, MONITOR_BACKOFF_MS * Math.pow(2, failures - 1));
+            monitorBackoff.set(symbol, { failures, retryAt: Date.now() + delay });
+            console.error(`monitor: ${symbol} candles failed (${failures}x), retry in ${Math.round(delay / 1000)}s:`, err.message || err);
+            continue;
+        }
+        for (const signal of signals) {
+            try {
+                await checkSignal(signal, loaded.candles);
             } catch (err) {
-                console.error('monitorSignal error:', err.message || err);
+                console.error(`monitorSignal ${signal.id} error:`, err.message || err);
             }
-        }, MONITOR_CHECK_INTERVAL_MS);
+        }
+    }
+    // every symbol failed: likely a network / data source outage, let the scheduler back off
+    if (failed > 0 && failed === bySymbol.size) throw new Error(`candle load failed for all ${failed} symbols`);
+}
 
-    } catch (err) {
-        console.error('startMonitoringSignal error:', err.message);
+// Live price touched the next target or the stop (high/low of the running 1m candle): resolve right away over REST
+function onMarketTick(tick) {
+    for (const signal of activeSignals) {
+        if (signal.symbol !== tick.symbol || signal.status !== 'OPEN' || signal._checking) continue;
+        if (tick.candleTime < (signal.checkedUntil || getMonitorStartTime(signal))) continue;
+        const target = tradeManager.nextTarget(signal);
+        if (!target) continue;
+        const hit = analysis.findHitInCandles([{ t: tick.candleTime, high: tick.high, low: tick.low, close: tick.price }], signal.side, signal.stop, target.price);
+        if (hit.status) {
+            checkSignal(signal).catch(err => console.error('monitorSignal error:', err.message || err));
+        }
+    }
+}
+
+// A streamed 1m candle closed: when it is the next unchecked candle and touched nothing, advance checkedUntil
+// (and the trailing stop) without REST
+function onMinuteClose(symbol, candle) {
+    for (const signal of activeSignals) {
+        if (signal.symbol !== symbol || signal.status !== 'OPEN' || signal._checking) continue;
+        const since = signal.checkedUntil || getMonitorStartTime(signal);
+        if (candle.t !== since || candle.t >= getMonitorEndTime(signal)) continue;
+        const target = tradeManager.nextTarget(signal);
+        if (!target) continue;
+        const hit = analysis.findHitInCandles([candle], signal.side, signal.stop, target.price);
+        if (hit.status) {
+            checkSignal(signal).catch(err => console.error('monitorSignal error:', err.message || err));
+            continue;
+        }
+        const { events } = tradeManager.processCandles(signal, [candle]);
+        signal.checkedUntil = candle.t + 60 * 1000;
+        signal.lastPrice = candle.close;
+        announceManagementEvents(signal, events).catch(err => console.error('announceManagementEvents error:', err.message || err));
     }
 }
 
 // ----- Main auto-analysis loop -----
-let signalCountToday = 0;
+// Index of the next signal of the day; the counter starts over on the first signal of a new VN day
+function nextSignalIndex() {
+    const day = getVNTime().format('YYYY-MM-DD');
+    if (signalCounter.day !== day) signalCounter = { day, count: 0 };
+    signalCounter.count++;
+    storage.setMeta('signal_counter', signalCounter);
+    return signalCounter.count;
+}
 
-// run auto analysis
-async function runAutoAnalysis() {
+let scanPaused = false; // /pause and /resume (persisted)
+let scanRunning = false;
+
+// Register and broadcast the strategy results of one symbol that pass minConfidence and dedupe
+async function publishResults(coin, results) {
+    for (const res of results) {
+        if (!res.side || res.confidence < appConfig.getStrategySettings(res.strategy, coin).minConfidence) continue;
+        // dedupe check (per strategy)
+        if (isDuplicateSignal(coin, res.side, res.strategy)) {
+            console.log(`Skip duplicate ${res.strategy} signal for ${coin} ${res.side} within ${appConfig.get().scan.dedupeWindowMinutes} minutes`);
+            continue;
+        }
+        // register & broadcast
+        const signalIndex = nextSignalIndex();
+        const sigObj = {
+            symbol: res.symbol,
+            side: res.side,
+            entry: res.entry,
+            sl: res.sl,
+            tp: res.tp,
+            rr: res.rr,
+            confidence: res.confidence,
+            strategy: res.strategy,
+            strategyName: res.strategyName,
+            meta: res.meta
+        };
+        const registered = registerSignal(sigObj, signalIndex);
+        if (registered) api.publish('signal_created', { signal: api.serializeSignal(registered) });
+        const message = loc => formatSignalMessage(registered || sigObj, signalIndex, loc);
+        console.log(`Found ${res.strategy} signal ${coin} ${res.side} (conf ${res.confidence}%) -> broadcasting to ${subscribedUsers.size} users`);
+        await broadcastToAllUsers(message, {
+            signalId: registered && registered.id,
+            kind: 'signal',
+            signal: registered || sigObj,
+            replyMarkup: registered ? loc => signalKeyboard(registered, false, loc) : undefined,
+            photo: signalPhoto(res._candles, registered || sigObj)
+        });
+        // small delay after broadcast
+        await new Promise(r => setTimeout(r, 2000));
+    }
+}
+
+// Closed candles per strategy timeframe from the WebSocket buffers (missing timeframes load over REST)
+function streamCandles(coin, strategyList) {
+    const preloaded = new Map();
+    if (!MARKET_STREAM) return preloaded;
+    for (const st of strategyList) {
+        const candles = marketData.getCandles(coin, st.timeframe);
+        if (candles && candles.length >= st.candleLimit) preloaded.set(st.timeframe, candles);
+    }
+    return preloaded;
+}
+
+// ----- Scan universe (symbolRegistry.js) -----
+// Load exchange metadata, then rebuild the list from the top N by volume (UNIVERSE_MODE=top)
+// and drop symbols that are not trading anywhere
+async function refreshUniverse() {
+    if (!(await symbolRegistry.loadSymbols())) return;
+    if (UNIVERSE_MODE === 'top') {
+        try {
+            const top = await symbolRegistry.getTopSymbolsByVolume(UNIVERSE_TOP_N);
+            if (top.length) {
+                TARGET_COINS.splice(0, TARGET_COINS.length, ...top);
+                console.log(`Universe: top ${top.length} USDT pairs by 24h volume`);
+            }
+        } catch (err) {
+            console.error('refreshUniverse top-N error:', err?.response?.status || err.message || err);
+        }
+    }
+    const { valid, invalid } = symbolRegistry.validateSymbols(TARGET_COINS);
+    invalid.forEach(x => console.warn(`⚠️ Dropping ${x.symbol} from the scan list: ${x.reason}`));
+    if (invalid.length) TARGET_COINS.splice(0, TARGET_COINS.length, ...valid);
+    refreshStreamSymbols();
+}
+
+// ----- Real-time stream (marketData.js) -----
+let candleCloseQueue = Promise.resolve();
+
+// Stream every scanned coin plus the symbols of open signals (a coin removed by /coins keeps its open signals live)
+function refreshStreamSymbols() {
+    if (!MARKET_STREAM) return;
+    marketData.setSymbols(TARGET_COINS.concat(activeSignals.map(s => s.symbol)));
+}
+
+// Run the strategies of `interval` on the just-closed candle; closes are handled one at a time
+async function analyzeOnCandleClose(symbol, interval) {
+    if (scanPaused || !TARGET_COINS.includes(symbol)) return;
+    const strategyList = strategies.getEnabledStrategies().filter(st => st.timeframe === interval);
+    if (strategyList.length === 0) return;
+    const preloaded = streamCandles(symbol, strategyList);
+    if (!preloaded.has(interval)) return; // buffer still backfilling; the periodic scan covers it
+    const results = await analysis.analyzeSymbolAll(symbol, strategyList, preloaded);
+    await publishResults(symbol, results);
+}
+
+function startMarketStream() {
+    marketData.on('tick', onMarketTick);
+    marketData.on('candleClose', ({ symbol, interval, candle }) => {
+        if (interval === '1m') onMinuteClose(symbol, candle);
+        candleCloseQueue = candleCloseQueue
+            .then(() => analyzeOnCandleClose(symbol, interval))
+            .catch(err => console.error(`analyzeOnCandleClose ${symbol} ${interval}:`, err.message || err));
+    });
+    marketData.on('status', ({ connected, source }) => {
+        console.log(`marketData: ${source} stream ${connected ? 'live' : 'down, REST fallback'}`);
+    });
+    const timeframes = strategies.getEnabledStrategies().map(st => st.timeframe);
+    marketData.start(TARGET_COINS.concat(activeSignals.map(s => s.symbol)), timeframes);
+}
+
+// run auto analysis; `force` runs even while paused (admin /scan)
+// The scheduled pass is the REST backfill: coins whose stream buffers are ready for every timeframe
+// are already analyzed on each candle close and are skipped (admin /scan still runs them all)
+async function runAutoAnalysis(force = false) {
     if (TARGET_COINS.length === 0) return;
-    console.log(`[${getVNTime().format('YYYY-MM-DD HH:mm')}] Starting auto analysis - scanning ${TARGET_COINS.length} coins`);
+    if (scanPaused && !force) {
+        console.log('Auto analysis paused by admin, skipping scan');
+        return;
+    }
+    if (scanRunning) {
+        console.log('Auto analysis already running, skipping');
+        return;
+    }
+    scanRunning = true;
+    const strategyList = strategies.getEnabledStrategies();
+    const total = TARGET_COINS.length;
+    const timeframeCount = new Set(strategyList.map(st => st.timeframe)).size;
+    const startedAt = Date.now();
+    let found = 0;
+    let streamed = 0;
+    console.log(`[${getVNTime().format('YYYY-MM-DD HH:mm')}] Starting auto analysis - scanning ${TARGET_COINS.length} coins with ${strategyList.map(st => st.id).join(', ')}`);
+    api.publish('scan_progress', { phase: 'started', total, strategies: strategyList.map(st => st.id) });
     try {
         for (let idx = 0; idx < TARGET_COINS.length; idx++) {
             const coin = TARGET_COINS[idx];
+            let results = [];
             try {
-                // polite delay
-                await new Promise(r => setTimeout(r, PER_COIN_DELAY_MS));
-
-                const res = await analysis.analyzeSymbol(coin);
-                if (res && res.side && (res.confidence >= 60)) {
-                    // dedupe check
-                    if (isDuplicateSignal(coin, res.side)) {
-                        console.log(`Skip duplicate signal for ${coin} ${res.side} within ${DEDUPE_WINDOW_MINUTES} minutes`);
-                        continue;
-                    }
-                    // register & broadcast
-                    signalCountToday++;
-                    const sigObj = {
-                        symbol: res.symbol,
-                        side: res.side,
-                        entry: res.entry,
-                        sl: res.sl,
-                        tp: res.tp,
-                        rr: res.rr,
-                        confidence: res.confidence
-                    };
-                    const registered = registerSignal(sigObj);
-                    const message = formatSignalMessage(sigObj, signalCountToday);
-                    console.log(`Found signal ${coin} ${res.side} (conf ${res.confidence}%) -> broadcasting to ${subscribedUsers.size} users`);
-                    await broadcastToAllUsers(message);
-                    // small delay after broadcast
-                    await new Promise(r => setTimeout(r, 2000));
-                } else {
-                    // no signal
-                    //console.log(`No signal ${coin}`);
+                const preloaded = streamCandles(coin, strategyList);
+                if (preloaded.size === timeframeCount && !force && marketData.isLive(coin)) {
+                    streamed++;
+                    api.publish('scan_progress', { phase: 'progress', symbol: coin, done: idx + 1, total, results: 0, streamed: true });
+                    continue;
+                }
+                // polite delay, only needed when candles come from REST
+                if (preloaded.size < timeframeCount) {
+                    await new Promise(r => setTimeout(r, PER_COIN_DELAY_MS));
                 }
+
+                results = await analysis.analyzeSymbolAll(coin, strategyList, preloaded);
+                found += results.length;
+                await publishResults(coin, results);
             } catch (err) {
                 console.error(`Error analyzing ${coin}:`, err.message || err);
             }
+            api.publish('scan_progress', { phase: 'progress', symbol: coin, done: idx + 1, total, results: results.length });
         }
-        console.log(`[${getVNTime().format('YYYY-MM-DD HH:mm')}] Auto analysis pass completed`);
+        console.log(`[${getVNTime().format('YYYY-MM-DD HH:mm')}] Auto analysis pass completed` + (streamed ? ` (${streamed} coins left to the stream)` : ''));
     } catch (err) {
         console.error('runAutoAnalysis error:', err.message || err);
     } finally {
+        scanRunning = false;
         persistState();
+        api.publish('scan_progress', { phase: 'completed', total, results: found, durationMs: Date.now() - startedAt });
     }
 }
 
-// ----- Bot commands: /start and /stop (no admin required) -----
+// ----- Daily / weekly reports (reports.js) -----
+function buildReport(kind, time = getVNTime(), loc = i18n.getLocale()) {
+    return kind === 'weekly'
+        ? reports.buildWeeklyReport(signalHistory, activeSignals, time, loc)
+        : reports.buildDailyReport(signalHistory, activeSignals, time, loc);
+}
+
+// Broadcast once per day / week: the period label is kept in meta so a restart or a second run does not resend
+async function sendReport(kind) {
+    const now = getVNTime();
+    const period = (kind === 'weekly' ? reports.weekRange(now) : reports.dayRange(now)).label;
+    const metaKey = `last_${kind}_report`;
+    if (storage.getMeta(metaKey) === period) return;
+    const res = await broadcastToAllUsers(loc => buildReport(kind, now, loc), { kind: `${kind}_report` });
+    storage.setMeta(metaKey, period);
+    console.log(`${kind} report ${period} sent: ${res.success} ok, ${res.fail} failed, ${res.skipped} skipped`);
+}
+
+// Language / timezone of a chat: the subscriber's /lang and /tz, the Telegram app language otherwise
+function chatLocale(chatId, from) {
+    const user = subscribedUsers.get(chatId);
+    if (user) return preferences.getLocale(user);
+    return i18n.getLocale(i18n.detectLanguage(from && from.language_code));
+}
+
+// ----- Bot commands: /start and /stop (open to everyone; admin commands further below) -----
 bot.onText(/\/start/, (msg) => {
     try {
         const chatId = msg.chat.id;
         const user = msg.from || {};
         if (!subscribedUsers.has(chatId)) {
             const obj = { chatId, first_name: user.first_name || '', username: user.username || '', subscribedAt: (new Date()).toISOString() };
+            applyAdminRole(obj);
+            // start in the Telegram app language when there is a catalog for it (changed later with /lang)
+            const lang = String(user.language_code || '').toLowerCase().split('-')[0];
+            if (i18n.isSupported(lang)) preferences.updateSettings(obj, { language: lang });
             subscribedUsers.set(chatId, obj);
             persistState();
-            bot.sendMessage(chatId,
-                `👋 Chào ${user.first_name || 'Trader'}!\nBạn đã được đăng ký nhận tín hiệu tự động.\n\n` +
-                `⚠️ Bot chỉ gửi tín hiệu tham khảo (Physics Momentum). Tuân thủ quản lý rủi ro 2-3% mỗi lệnh.`
-            );
+            const loc = preferences.getLocale(obj);
+            bot.sendMessage(chatId, loc.t('start.welcome', { name: user.first_name || loc.t('start.defaultName') }));
             console.log(`User subscribed: ${chatId} ${user.username || user.first_name}`);
         } else {
-            bot.sendMessage(chatId, `Bạn đã đăng ký nhận tín hiệu trước đó. Cảm ơn!`);
+            const existing = subscribedUsers.get(chatId);
+            const role = existing.role;
+            if (applyAdminRole(existing).role !== role) persistState();
+            bot.sendMessage(chatId, chatLocale(chatId, user).t('start.already'));
         }
     } catch (err) {
         console.error('/start handler error:', err.message || err);
@@ -356,13 +1075,14 @@ bot.onText(/\/start/, (msg) => {
 bot.onText(/\/stop/, (msg) => {
     try {
         const chatId = msg.chat.id;
+        const loc = chatLocale(chatId, msg.from);
         if (subscribedUsers.has(chatId)) {
             subscribedUsers.delete(chatId);
             persistState();
-            bot.sendMessage(chatId, '✅ Bạn đã hủy đăng ký nhận tín hiệu. Gõ /start để đăng ký lại.');
+            bot.sendMessage(chatId, loc.t('stop.done'));
             console.log(`User unsubscribed: ${chatId}`);
         } else {
-            bot.sendMessage(chatId, 'Bạn chưa đăng ký nhận tín hiệu.');
+            bot.sendMessage(chatId, loc.t('common.notSubscribed'));
         }
     } catch (err) {
         console.error('/stop handler error:', err.message || err);
@@ -373,63 +1093,565 @@ bot.onText(/\/stop/, (msg) => {
 bot.onText(/\/analyze (.+)/, async (msg, match) => {
     try {
         const chatId = msg.chat.id;
-        let symbol = (match[1] || '').trim().toUpperCase();
-        if (!symbol.endsWith('USDT')) symbol = symbol + 'USDT';
-        await bot.sendMessage(chatId, `⏳ Đang phân tích ${symbol}...`);
-        const res = await analysis.analyzeSymbol(symbol);
-        if (!res) {
-            bot.sendMessage(chatId, `❌ Không tìm thấy tín hiệu cho ${symbol} (hoặc dữ liệu không đủ).`);
+        const loc = chatLocale(chatId, msg.from);
+        const symbol = symbolRegistry.normalizeSymbol(match[1]);
+        if (!symbol) {
+            bot.sendMessage(chatId, loc.t('analyze.unknownPair', { pair: (match[1] || '').trim().toUpperCase() }));
             return;
         }
-        // show analysis result (even if no signal)
-        const out = {
-            symbol: res.symbol,
-            side: res.side || 'NO_SIGNAL',
-            entry: res.entry,
-            tp: res.tp,
-            sl: res.sl,
-            rr: res.rr,
-            confidence: res.confidence || 0
-        };
-        const msgText = `🔍 Kết quả phân tích ${symbol}\n` +
-                        `Signal: ${out.side}\n` +
-                        `Entry: ${prettyPrice(out.entry)}\nTP: ${prettyPrice(out.tp)}\nSL: ${prettyPrice(out.sl)}\nRR: ${out.rr}\nConfidence: ${out.confidence}%`;
-        bot.sendMessage(chatId, msgText);
+        await bot.sendMessage(chatId, loc.t('analyze.running', { symbol }));
+        const results = await analysis.analyzeSymbolAll(symbol);
+        if (results.length === 0) {
+            bot.sendMessage(chatId, loc.t('analyze.noSignal', { symbol }));
+            return;
+        }
+        // show analysis result of every strategy that fired
+        for (const res of results) {
+            const out = {
+                symbol: res.symbol,
+                side: res.side || 'NO_SIGNAL',
+                entry: res.entry,
+                tp: res.tp,
+                sl: res.sl,
+                rr: res.rr,
+                confidence: res.confidence || 0
+            };
+            const futures = futuresLine(res.meta && res.meta.futures, loc);
+            const msgText = loc.t('analyze.result', {
+                symbol,
+                strategy: res.strategyName,
+                side: out.side,
+                entry: prettyPrice(out.entry, symbol, loc),
+                tp: prettyPrice(out.tp, symbol, loc),
+                sl: prettyPrice(out.sl, symbol, loc),
+                rr: out.rr !== undefined ? loc.number(out.rr) : '-',
+                conf: out.confidence
+            }) + (futures ? `\n${futures}` : '');
+            // same chart as the broadcast signal
+            const photo = signalPhoto(res._candles, res);
+            if (photo) await bot.sendPhoto(chatId, photo.buffer, { caption: msgText }, PHOTO_FILE_OPTIONS);
+            else await bot.sendMessage(chatId, msgText);
+        }
     } catch (err) {
         console.error('/analyze error:', err.message || err);
     }
 });
 
-// Command to list subscribers count
-bot.onText(/\/status/, (msg) => {
+// ----- Admin commands -----
+function isAdmin(chatId) {
+    return ADMIN_IDS.includes(chatId);
+}
+
+// Syncs the stored role with ADMIN_IDS (an id removed from the env loses admin on the next load / /start)
+function applyAdminRole(user) {
+    user.role = ADMIN_IDS.includes(user.chatId) ? 'admin' : 'user';
+    return user;
+}
+
+// Registers an admin-only command; everyone else gets a refusal
+// Handlers return (or await) their replies so a failed send ends up in the catch below
+function adminCommand(regex, handler) {
+    bot.onText(regex, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const loc = chatLocale(chatId, msg.from);
+        try {
+            if (!isAdmin(chatId)) {
+                await bot.sendMessage(chatId, loc.t('common.adminOnly'));
+                return;
+            }
+            await handler(msg, match, chatId, loc);
+        } catch (err) {
+            console.error(`${regex} admin handler error:`, err.message || err);
+            bot.sendMessage(chatId, loc.t('common.error', { error: err.message || err })).catch(() => {});
+        }
+    });
+}
+
+// Close an open signal by hand at `price` (status CLOSED, P/L marked at that price)
+async function closeSignalManually(signal, price) {
+    signal.status = 'CLOSED';
+    signal.resolvedAt = (new Date()).toISOString();
+    signal.lastPrice = price;
+    const record = archiveSignal(signal);
+    persistState();
+    const msg = loc => loc.t('closed.text', { coin: signal.symbol.replace('USDT', ''), side: signal.side, price: prettyPrice(price, signal.symbol, loc) }) + '\n' +
+                `${loc.t('result.pnl', { pnl: loc.number(record.pnlPct), r: loc.number(record.realizedR) })}\n` +
+                paperResultLine(signal, loc);
+    await broadcastToAllUsers(msg, { signalId: signal.id, kind: 'closed', signal });
+    return record;
+}
+
+// Command to list subscribers count (admin only)
+adminCommand(/^\/status(?:@\w+)?\s*$/, (msg, match, chatId, loc) => {
+    const perStrategy = Object.values(getStrategyStats())
+        .map(st => loc.t('status.strategy', st))
+        .join('\n');
+    const md = marketData.getStatus();
+    const stream = !MARKET_STREAM ? loc.t('status.streamOff') :
+        loc.t('status.stream', { icon: md.connected ? '🟢' : '🔴', source: md.source, live: md.liveSymbols, symbols: md.symbols, ready: md.readyBuffers, total: md.totalBuffers });
+    const sources = sourceHealth.getHealth().map(h =>
+        loc.t('status.source', { icon: h.available ? '🟢' : '⏸', name: h.name, requests: h.requests, errorRate: loc.number(h.errorRate) }) +
+        (h.avgLatencyMs !== null ? `, ${h.avgLatencyMs}ms` : '') +
+        (h.weightLimit ? `, weight ${h.usedWeight}/${h.weightLimit}` : '') +
+        (h.available ? '' : loc.t('status.sourceCooldown', { time: loc.date(h.cooldownUntil, 'time'), reason: h.cooldownReason }))
+    ).join('\n');
+    const reg = symbolRegistry.getStatus();
+    const universe = loc.t('status.universe', { coins: TARGET_COINS.length, mode: UNIVERSE_MODE === 'top' ? loc.t('status.universeTop', { n: UNIVERSE_TOP_N }) : loc.t('status.universeStatic') }) +
+        (reg.loaded ? loc.t('status.registry', { symbols: reg.symbols, sources: reg.sources.join('/') }) : loc.t('status.registryMissing'));
+    const execCfg = execution.getConfig();
+    const execOpen = activeSignals.concat(signalHistory).filter(s => execution.isOpenExecution(s.execution)).length;
+    const exec = execCfg.mode === 'off' ? loc.t('status.execOff') : loc.t('status.exec', { mode: execCfg.mode, open: execOpen, max: execCfg.maxPositions, usdt: execCfg.positionUsdt, leverage: execCfg.leverage });
+    const jobs = scheduler.getStatus().map(j =>
+        loc.t('status.job', { icon: j.failures ? '⚠️' : j.running ? '⏳' : '🟢', name: j.name, schedule: j.schedule }) +
+        (j.nextRun ? loc.t('status.jobNext', { time: loc.date(j.nextRun, 'time') }) : '') +
+        (j.lastDurationMs !== null ? loc.t('status.jobDuration', { seconds: loc.number(j.lastDurationMs / 1000, 1) }) : '') +
+        (j.failures ? loc.t('status.jobFailures', { n: j.failures, error: j.lastError.message }) : '')
+    ).join('\n');
+    const destinations = notifiers.getStatus().map(d =>
+        loc.t('status.destination', { icon: d.enabled ? (d.lastError ? '⚠️' : '🟢') : '⏸', name: d.name, type: d.type, sent: d.sent, failed: d.failed }) +
+        (d.lastError ? ` – ${d.lastError.message}` : '')
+    ).join('\n') || loc.t('status.noDestinations');
+    const ds = delivery.getStats();
+    const queue = loc.t('status.queue', ds) +
+        (ds.pausedUntil ? loc.t('status.queuePaused', { time: loc.date(ds.pausedUntil, 'time') }) : '');
+    return bot.sendMessage(chatId, loc.t('status.text', {
+        users: subscribedUsers.size,
+        open: activeSignals.length,
+        scan: loc.t(scanPaused ? 'status.paused' : 'status.running'),
+        universe,
+        stream,
+        exec,
+        queue,
+        strategies: perStrategy,
+        sources,
+        jobs,
+        destinations
+    }));
+});
+
+// The announcement text is sent as typed, in every language
+adminCommand(/^\/broadcast(?:@\w+)?\s+([\s\S]+)$/, async (msg, match, chatId, loc) => {
+    const text = match[1].trim();
+    const res = await broadcastToAllUsers(`📢 ${text}`, { kind: 'announcement' });
+    const external = res.external.length ? loc.t('broadcast.external', { ok: res.external.filter(e => e.ok).length, total: res.external.length }) : '';
+    return bot.sendMessage(chatId, loc.t('broadcast.done', { success: res.success, fail: res.fail, skipped: res.skipped, external }));
+});
+
+adminCommand(/^\/pause(?:@\w+)?\s*$/, (msg, match, chatId, loc) => {
+    scanPaused = true;
+    storage.setMeta('scan_paused', true);
+    return bot.sendMessage(chatId, loc.t('pause.done'));
+});
+
+// Preview of the daily / weekly report, sent to the admin only: /report [today|week]
+adminCommand(/^\/report(?:@\w+)?(?:\s+(today|week))?\s*$/, (msg, match, chatId, loc) => {
+    return bot.sendMessage(chatId, buildReport(match[1] === 'week' ? 'weekly' : 'daily', getVNTime(), loc));
+});
+
+adminCommand(/^\/resume(?:@\w+)?\s*$/, (msg, match, chatId, loc) => {
+    scanPaused = false;
+    storage.setMeta('scan_paused', false);
+    return bot.sendMessage(chatId, loc.t('resume.done'));
+});
+
+adminCommand(/^\/scan(?:@\w+)?\s*$/, (msg, match, chatId, loc) => {
+    if (scanRunning) {
+        return bot.sendMessage(chatId, loc.t('scan.busy'));
+    }
+    // the reply is returned to adminCommand; the scan itself runs detached and logs its own failure
+    const started = bot.sendMessage(chatId, loc.t('scan.started', { n: TARGET_COINS.length }));
+    runAutoAnalysis(true)
+        .then(() => bot.sendMessage(chatId, loc.t('scan.done')))
+        .catch(err => console.error('/scan error:', err.message || err));
+    return started;
+});
+
+// /coins | /coins add BTC ETH | /coins remove DOGE
+adminCommand(/^\/coins(?:@\w+)?(?:\s+(add|remove)\s+(.+))?\s*$/, (msg, match, chatId, loc) => {
+    const action = match[1];
+    if (!action) {
+        return bot.sendMessage(chatId, loc.t('coins.list', { n: TARGET_COINS.length, coins: TARGET_COINS.join(', ') }));
+    }
+    const symbols = preferences.parseWatchlist(match[2]);
+    if (action === 'add') {
+        const { valid, invalid } = symbolRegistry.validateSymbols(symbols);
+        const added = valid.filter(sym => !TARGET_COINS.includes(sym));
+        TARGET_COINS.push(...added);
+        storage.setMeta('target_coins', TARGET_COINS);
+        refreshStreamSymbols();
+        const rejected = invalid.length ? loc.t('coins.rejected', { symbols: invalid.map(x => x.symbol).join(', ') }) : '';
+        return bot.sendMessage(chatId, loc.t('coins.added', { symbols: added.join(', ') || '-', n: TARGET_COINS.length, rejected }));
+    } else {
+        const removed = symbols.filter(sym => TARGET_COINS.includes(sym));
+        const kept = TARGET_COINS.filter(sym => !removed.includes(sym));
+        TARGET_COINS.splice(0, TARGET_COINS.length, ...kept);
+        storage.setMeta('target_coins', TARGET_COINS);
+        refreshStreamSymbols();
+        return bot.sendMessage(chatId, loc.t('coins.removed', { symbols: removed.join(', ') || '-', n: TARGET_COINS.length }));
+    }
+});
+
+// ----- Config file (config.js) -----
+// A new coin list in the file replaces the scan list (and any /coins edits); other settings are read on use
+// UNIVERSE_MODE=top keeps its volume-ranked list
+function onConfigReloaded(result) {
+    if (!result.ok || !result.changed || UNIVERSE_MODE === 'top') return;
+    const before = result.previous ? result.previous.scan.targetCoins : null;
+    if (!sameList(before, appConfig.get().scan.targetCoins)) {
+        applyConfiguredCoins();
+        refreshUniverse().catch(err => console.error('refreshUniverse after config reload:', err.message || err));
+    }
+}
+
+function configReloadText(result, loc = i18n.getLocale()) {
+    if (!result.ok) return loc.t('config.invalid', { version: result.version, errors: result.errors.map(e => `• ${e}`).join('\n') });
+    if (!result.changed) return loc.t('config.unchanged', { version: result.version });
+    return loc.t('config.reloaded', { version: result.version, n: TARGET_COINS.length });
+}
+
+function configSummary(loc = i18n.getLocale()) {
+    const cfg = appConfig.get();
+    const params = p => Object.entries(p).map(([k, v]) => `${k}=${v}`).join(', ');
+    const lines = [
+        loc.t('config.title', { version: cfg.version }),
+        loc.t('config.file', { file: cfg.file || loc.t('config.noFile'), time: `${loc.date(cfg.loadedAt, 'dayMonth')} ${loc.date(cfg.loadedAt, 'time')}` }),
+        loc.t('config.scan', { coins: TARGET_COINS.length, dedupe: cfg.scan.dedupeWindowMinutes, hours: cfg.scan.maxMonitorHours }),
+        ''
+    ];
+    for (const [id, st] of Object.entries(cfg.strategies)) lines.push(`• ${id}: minConf ${st.minConfidence}%, ${params(st.params)}`);
+    cfg.overrides.forEach((rule, i) => {
+        const what = [rule.minConfidence !== undefined ? `minConf ${rule.minConfidence}%` : null, rule.params ? params(rule.params) : null].filter(Boolean).join(', ');
+        lines.push(`🔧 Override ${i + 1}${rule.strategy ? ` [${rule.strategy}]` : ''}: ${rule.symbols.map(sym => sym.replace('USDT', '')).join(', ')} -> ${what || '-'}`);
+    });
+    lines.push('', loc.t('config.hint'));
+    return lines.join('\n');
+}
+
+// /config | /config reload
+adminCommand(/^\/config(?:@\w+)?(?:\s+(reload))?\s*$/, (msg, match, chatId, loc) => {
+    if (!match[1]) {
+        return bot.sendMessage(chatId, configSummary(loc));
+    }
+    const result = appConfig.reload();
+    onConfigReloaded(result);
+    return bot.sendMessage(chatId, configReloadText(result, loc));
+});
+
+// /signal close <id>
+adminCommand(/^\/signal(?:@\w+)?\s+close\s+(\S+)\s*$/, async (msg, match, chatId, loc) => {
+    const signal = activeSignals.find(s => s.id === match[1]);
+    if (!signal) {
+        return bot.sendMessage(chatId, loc.t('signals.notFound', { id: match[1] }));
+    }
+    const price = await analysis.getLastPrice(signal.symbol);
+    const record = await closeSignalManually(signal, price);
+    return bot.sendMessage(chatId, loc.t('signals.closed', { id: signal.id, price: prettyPrice(price, signal.symbol, loc), r: loc.number(record.realizedR) }));
+});
+
+adminCommand(/^\/signal(?:@\w+)?\s+list\s*$/, (msg, match, chatId, loc) => {
+    const lines = activeSignals.map(s => `${s.id} #${s.symbol.replace('USDT', '')} ${s.side} @ ${prettyPrice(s.entry, s.symbol, loc)}`);
+    return bot.sendMessage(chatId, lines.length ? loc.t('signals.list', { lines: lines.join('\n') }) : loc.t('signals.none'));
+});
+
+adminCommand(/^\/users(?:@\w+)?\s*$/, (msg, match, chatId, loc) => {
+    const users = Array.from(subscribedUsers.values());
+    const lines = users.slice(0, 50).map(u =>
+        `${u.chatId} ${u.username ? '@' + u.username : u.first_name || ''}${u.role === 'admin' ? ' (admin)' : ''} – ${loc.date(u.subscribedAt, 'date')}`
+    );
+    const more = users.length > 50 ? loc.t('users.more', { n: users.length - 50 }) : '';
+    return bot.sendMessage(chatId, loc.t('users.list', { n: users.length, lines: lines.join('\n'), more }));
+});
+
+// ----- Per-user settings: /settings, /watch, /side, /minconf, /minrr, /quiet, /tz, /lang -----
+// Runs `apply(user, arg, loc)` for a subscribed user, persists and replies with the returned text
+function settingsCommand(regex, apply) {
+    bot.onText(regex, (msg, match) => {
+        try {
+            const chatId = msg.chat.id;
+            const user = subscribedUsers.get(chatId);
+            if (!user) {
+                bot.sendMessage(chatId, chatLocale(chatId, msg.from).t('common.notSubscribedStart'));
+                return;
+            }
+            const reply = apply(user, (match[1] || '').trim(), preferences.getLocale(user));
+            persistState();
+            bot.sendMessage(chatId, reply);
+        } catch (err) {
+            console.error(`${regex} handler error:`, err.message || err);
+        }
+    });
+}
+
+settingsCommand(/^\/settings(?:@\w+)?\s*$/, (user) => preferences.formatSettings(user));
+
+settingsCommand(/^\/watch(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    if (!arg) return loc.t('watch.usage');
+    const symbols = preferences.parseWatchlist(arg);
+    const unknown = symbols.filter(sym => !TARGET_COINS.includes(sym));
+    preferences.updateSettings(user, { symbols });
+    const note = unknown.length ? loc.t('watch.notScanned', { symbols: unknown.join(', ') }) : '';
+    return (symbols.length ? loc.t('watch.only', { symbols: symbols.join(', ') }) : loc.t('watch.all')) + note;
+});
+
+settingsCommand(/^\/side(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    const side = arg.toUpperCase();
+    if (!['LONG', 'SHORT', 'ALL'].includes(side)) return loc.t('side.usage');
+    preferences.updateSettings(user, { side: side === 'ALL' ? null : side });
+    return loc.t('side.set', { side: side === 'ALL' ? 'LONG + SHORT' : side });
+});
+
+settingsCommand(/^\/minconf(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    if (arg.toLowerCase() === 'off') {
+        preferences.updateSettings(user, { minConfidence: null });
+        return loc.t('minconf.off');
+    }
+    const value = parseFloat(arg);
+    if (isNaN(value) || value < 0 || value > 100) return loc.t('minconf.usage');
+    preferences.updateSettings(user, { minConfidence: value });
+    return loc.t('minconf.set', { value: loc.number(value) });
+});
+
+settingsCommand(/^\/minrr(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    if (arg.toLowerCase() === 'off') {
+        preferences.updateSettings(user, { minRR: null });
+        return loc.t('minrr.off');
+    }
+    const value = parseFloat(arg);
+    if (isNaN(value) || value <= 0) return loc.t('minrr.usage');
+    preferences.updateSettings(user, { minRR: value });
+    return loc.t('minrr.set', { value: loc.number(value) });
+});
+
+settingsCommand(/^\/quiet(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    const quietHours = preferences.parseQuietHours(arg);
+    if (quietHours === undefined) return loc.t('quiet.usage');
+    const settings = preferences.updateSettings(user, { quietHours });
+    if (!quietHours) return loc.t('quiet.off');
+    return loc.t('quiet.set', { start: quietHours.start, end: quietHours.end, timezone: settings.timezone });
+});
+
+settingsCommand(/^\/tz(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    if (!arg || !preferences.isValidTimezone(arg)) return loc.t('tz.usage');
+    preferences.updateSettings(user, { timezone: arg });
+    return loc.t('tz.set', { timezone: arg });
+});
+
+// /lang | /lang en -- the reply is already in the new language
+settingsCommand(/^\/lang(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    const lang = arg.toLowerCase();
+    if (!i18n.isSupported(lang)) return loc.t('lang.current', { name: i18n.languageName(loc.lang), languages: i18n.LANGUAGES.join(' | ') });
+    preferences.updateSettings(user, { language: lang });
+    return preferences.getLocale(user).t('lang.set', { name: i18n.languageName(lang) });
+});
+
+settingsCommand(/^\/unmute(?:@\w+)?(?:\s+(.+))?$/, (user, arg, loc) => {
+    if (!arg) return loc.t('unmute.usage');
+    const symbols = preferences.parseWatchlist(arg);
+    preferences.unmuteSymbols(user, symbols);
+    return loc.t('unmute.done', { symbols: symbols.join(', ') });
+});
+
+// ----- Inline keyboard on signal messages -----
+function findSignal(id) {
+    return activeSignals.find(s => s.id === id) || signalHistory.find(s => s.id === id) || null;
+}
+
+bot.on('callback_query', async (query) => {
+    try {
+        const [action, signalId] = (query.data || '').split('|');
+        const chatId = query.message && query.message.chat.id;
+        const messageId = query.message && query.message.message_id;
+        const loc = chatLocale(chatId, query.from);
+        const signal = findSignal(signalId);
+        if (!signal) {
+            await bot.answerCallbackQuery(query.id, { text: loc.t('callback.notFound') });
+            return;
+        }
+        const coin = signal.symbol.replace('USDT', '');
+
+        if (action === 'det' || action === 'less') {
+            const text = action === 'det' ? formatSignalDetails(signal, loc) : formatSignalMessage(signal, signal.signalIndex || '-', loc);
+            const edit = { chat_id: chatId, message_id: messageId, reply_markup: signalKeyboard(signal, action === 'det', loc) };
+            // signals sent with a chart carry the text as the photo caption
+            if (query.message.photo) await bot.editMessageCaption(fitCaption(text), edit);
+            else await bot.editMessageText(text, edit);
+            await bot.answerCallbackQuery(query.id);
+        } else if (action === 'pnl') {
+            let text;
+            if (signal.status === 'OPEN') {
+                const price = await analysis.getLastPrice(signal.symbol);
+                const { realizedR, pnlPct } = stats.computeOutcome(signal, price);
+                text = loc.t('callback.pnlOpen', { coin, side: signal.side, price: prettyPrice(price, signal.symbol, loc), pnl: loc.number(pnlPct), r: loc.number(realizedR) });
+            } else {
+                const { realizedR, pnlPct } = stats.computeOutcome(signal, stats.exitPriceOf(signal));
+                text = loc.t('callback.pnlClosed', { coin, side: signal.side, status: signal.status, pnl: loc.number(pnlPct), r: loc.number(realizedR) });
+            }
+            await bot.answerCallbackQuery(query.id, { text, show_alert: true });
+        } else if (action === 'trk') {
+            if (signal.status !== 'OPEN') {
+                await bot.answerCallbackQuery(query.id, { text: loc.t('callback.trackClosed', { status: signal.status }) });
+                return;
+            }
+            if (!signal.trackedBy) signal.trackedBy = [];
+            if (!signal.trackedBy.includes(chatId)) signal.trackedBy.push(chatId);
+            persistState();
+            await bot.answerCallbackQuery(query.id, { text: loc.t('callback.tracking', { coin }) });
+        } else if (action === 'mute') {
+            const user = subscribedUsers.get(chatId);
+            if (!user) {
+                await bot.answerCallbackQuery(query.id, { text: loc.t('common.notSubscribed') });
+                return;
+            }
+            preferences.muteSymbol(user, signal.symbol);
+            persistState();
+            await bot.answerCallbackQuery(query.id, { text: loc.t('callback.muted', { coin }) });
+        } else {
+            await bot.answerCallbackQuery(query.id);
+        }
+    } catch (err) {
+        console.error('callback_query error:', err.message || err);
+        bot.answerCallbackQuery(query.id).catch(() => {});
+    }
+});
+
+// Performance report over closed signals: /stats [today|7d|30d|all] [SYMBOL] [LONG|SHORT]
+bot.onText(/\/stats(?:@\w+)?(?:\s+(.*))?$/, (msg, match) => {
+    try {
+        const chatId = msg.chat.id;
+        const loc = chatLocale(chatId, msg.from);
+        const filters = stats.parseStatsArgs(match[1]);
+        const records = stats.filterRecords(signalHistory, filters, getVNTime());
+        const labels = [filters.period, filters.symbol, filters.side].filter(Boolean).join(' · ');
+        if (records.length === 0) {
+            bot.sendMessage(chatId, loc.t('stats.empty', { labels }));
+            return;
+        }
+
+        const st = stats.computeStats(records);
+        const fmtR = r => `${r >= 0 ? '+' : '-'}${loc.number(Math.abs(r), 2)}R`;
+        const hold = `${Math.floor(st.avgHoldMinutes / 60)}h ${Math.round(st.avgHoldMinutes % 60)}m`;
+        const symbolList = arr => arr.map(x => `${x.symbol.replace('USDT', '')} ${fmtR(x.totalR)}`).join(', ') || '-';
+        const streak = st.currentStreak > 0 ? loc.t('stats.streakWins', { n: st.currentStreak }) : st.currentStreak < 0 ? loc.t('stats.streakLosses', { n: -st.currentStreak }) : '-';
+
+        bot.sendMessage(chatId, loc.t('stats.text', {
+            labels,
+            trades: st.trades,
+            wins: st.wins,
+            losses: st.losses,
+            expired: st.expired,
+            partial: st.partial,
+            winRate: loc.number(st.winRate, 1),
+            totalR: fmtR(st.totalR),
+            avgR: fmtR(st.avgR),
+            totalPnl: loc.number(st.totalPnlPct, 2),
+            hold,
+            maxWin: st.maxWinStreak,
+            maxLoss: st.maxLossStreak,
+            streak,
+            best: symbolList(st.best),
+            worst: symbolList(st.worst)
+        }));
+    } catch (err) {
+        console.error('/stats error:', err.message || err);
+    }
+});
+
+// Paper-trading account: balance, open positions and equity curve
+bot.onText(/^\/portfolio(?:@\w+)?\s*$/, (msg) => {
     try {
         const chatId = msg.chat.id;
-        bot.sendMessage(chatId, `👥 Subscribers: ${subscribedUsers.size}\nActive signals: ${activeSignals.length}`);
+        const loc = chatLocale(chatId, msg.from);
+        const cfg = paperTrading.getConfig();
+        if (!cfg.enabled) {
+            bot.sendMessage(chatId, loc.t('portfolio.off'));
+            return;
+        }
+        const acc = paperAccount;
+        const open = paperPositions();
+        const equity = paperTrading.computeEquity(acc, open.map(s => ({ position: s.paper, price: markPrice(s) })));
+        const pct = v => `${v >= 0 ? '+' : '-'}${loc.number(Math.abs(v), 2)}`;
+        const positions = open.map(s => {
+            const price = markPrice(s);
+            const upnl = paperTrading.unrealizedPnl(s.paper, price);
+            return loc.t('portfolio.position', {
+                coin: s.symbol.replace('USDT', ''),
+                side: s.side,
+                qty: loc.number(s.paper.qty),
+                entry: prettyPrice(s.paper.entryFill, s.symbol, loc),
+                price: prettyPrice(price, s.symbol, loc),
+                upnl: pct(upnl)
+            });
+        });
+        const curve = storage.getEquityCurve(200).map(p => p.equity);
+
+        bot.sendMessage(chatId, loc.t('portfolio.text', {
+            riskPct: loc.number(cfg.riskPct),
+            feePct: loc.number(cfg.takerFeePct),
+            slippagePct: loc.number(cfg.slippagePct),
+            leverage: cfg.leverage,
+            balance: loc.number(acc.balance, 2),
+            startBalance: loc.number(acc.startBalance),
+            equity: loc.number(equity, 2),
+            equityPct: pct(((equity - acc.startBalance) / acc.startBalance) * 100),
+            realized: pct(acc.realizedPnl),
+            fees: loc.number(acc.feesPaid, 2),
+            trades: acc.trades,
+            wins: acc.wins,
+            losses: acc.losses,
+            maxDrawdown: loc.number(acc.maxDrawdownPct),
+            openCount: open.length,
+            positions: positions.join('\n') || '-',
+            points: curve.length,
+            sparkline: paperTrading.sparkline(curve) || '-'
+        }));
     } catch (err) {
-        console.error('/status error:', err.message || err);
+        console.error('/portfolio error:', err.message || err);
     }
 });
 
 // ----- Init -----
 loadState();
 
-// restart monitors for active signals loaded from disk
-activeSignals.forEach(s => {
-    if (s.status === 'OPEN') startMonitoringSignal(s);
-});
+// Periodic jobs (scheduler.js): one timer each, no overlapping runs, backoff while failing
+// A bad schedule from env falls back to the default instead of stopping the bot
+function scheduleOrDefault(text, fallback) {
+    try {
+        return scheduler.parseSchedule(text);
+    } catch (err) {
+        console.error(`Invalid schedule "${text}" (${err.message}), using "${fallback}"`);
+        return scheduler.parseSchedule(fallback);
+    }
+}
 
-// schedule auto-analysis at interval (first run after small delay)
-setTimeout(() => {
-    runAutoAnalysis();
-}, 10 * 1000);
+refreshUniverse()
+    .catch(err => console.error('refreshUniverse error:', err.message || err))
+    .finally(() => { if (MARKET_STREAM) startMarketStream(); });
+scheduler.addJob('universe', () => refreshUniverse(), UNIVERSE_SCHEDULE);
+scheduler.addJob('monitor', () => runMonitorPass(), scheduleOrDefault(MONITOR_SCHEDULE, '5 * * * * *'));
+// interval scans (legacy SCAN_INTERVAL_MINUTES) keep the first run 10s after boot
+scheduler.addJob('scan', () => runAutoAnalysis(), scheduleOrDefault(SCAN_SCHEDULE, '10 */5 * * * *'), { initialDelayMs: 10 * 1000 });
+scheduler.addJob('persist', () => persistState(), '60s');
+if (DAILY_REPORT_SCHEDULE !== 'off') {
+    scheduler.addJob('daily_report', () => sendReport('daily'), scheduleOrDefault(DAILY_REPORT_SCHEDULE, '0 55 23 * * *'));
+}
+if (WEEKLY_REPORT_SCHEDULE !== 'off') {
+    scheduler.addJob('weekly_report', () => sendReport('weekly'), scheduleOrDefault(WEEKLY_REPORT_SCHEDULE, '0 58 23 * * 0'));
+}
+if (execution.getConfig().mode === 'live') {
+    scheduler.addJob('reconcile', () => reconcileExecutions(), EXEC_RECONCILE_SCHEDULE);
+}
+scheduler.start();
 
-setInterval(() => {
-    runAutoAnalysis();
-}, SCAN_INTERVAL_MS);
+// Hot reload of config.json: admins from env hear about every reload (or a rejected edit), in their language
+appConfig.watch(result => {
+    onConfigReloaded(result);
+    ADMIN_IDS.forEach(id => bot.sendMessage(id, configReloadText(result, chatLocale(id))).catch(err => console.warn(`config notice to ${id} failed:`, err.message)));
+});
 
 console.log('🤖 Nemesis-like Bot started');
-console.log(`Auto-scan every ${SCAN_INTERVAL_MS / 60000} minutes for ${TARGET_COINS.length} coins`);
-console.log('/start to subscribe, /stop to unsubscribe, /analyze SYMBOL to manual check, /status for counts');
-
-// persist state periodically
-setInterval(() => { persistState(); }, 60 * 1000);
+console.log(`Auto-scan on "${SCAN_SCHEDULE}" for ${TARGET_COINS.length} coins` +
+    (MARKET_STREAM ? ' + on every candle close via WebSocket stream' : ' (stream off, REST only)'));
+console.log(`Strategies: ${strategies.getEnabledStrategies().map(st => st.name).join(', ')}`);
+console.log('/start to subscribe, /stop to unsubscribe, /analyze SYMBOL to manual check, /stats [today|7d|30d] [SYMBOL] [LONG|SHORT] for performance, /lang vi|en for the language');
+console.log('/settings, /watch, /side, /minconf, /minrr, /quiet, /tz to manage per-user delivery, /portfolio for the paper account');
+console.log(`Admin (${ADMIN_IDS.length} from env): /status, /broadcast, /pause, /resume, /scan, /coins, /signal close|list, /users, /report [today|week], /config [reload]`);
@@ -0,0 +1,138 @@
+// indicators.js
+// Technical indicator helpers shared by strategies (RSI, SMA, EMA, ATR, ADX)
+// Tất cả hàm nhận array thuần và trả array cùng độ dài (NaN cho các phần tử chưa đủ dữ liệu)
+
+function rsiFromCloses(closes, length = 14) {
+    // returns array of RSI values aligned with closes (NaN for first)
+    const res = new Array(closes.length).fill(NaN);
+    if (closes.length < length + 1) return res;
+    // compute deltas
+    const deltas = [];
+    for (let i = 1; i < closes.length; i++) deltas.push(closes[i] - closes[i - 1]);
+    // initial avg gain/loss
+    let gains = 0, losses = 0;
+    for (let i = 0; i < length; i++) {
+        const d = deltas[i];
+        if (d > 0) gains += d; else losses += Math.abs(d);
+    }
+    let avgGain = gains / length;
+    let avgLoss = losses / length;
+    let rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
+    res[length] = 100 - (100 / (1 + rs));
+    for (let i = length + 1; i < closes.length; i++) {
+        const d = deltas[i - 1];
+        const gain = d > 0 ? d : 0;
+        const loss = d < 0 ? Math.abs(d) : 0;
+        avgGain = (avgGain * (length - 1) + gain) / length;
+        avgLoss = (avgLoss * (length - 1) + loss) / length;
+        rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
+        res[i] = 100 - (100 / (1 + rs));
+    }
+    return res;
+}
+
+function sma(values, period) {
+    const out = new Array(values.length).fill(NaN);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i] || 0;
+        if (i >= period) sum -= values[i - period] || 0;
+        if (i >= period - 1) out[i] = sum / period;
+    }
+    return out;
+}
+
+function atrFromCandles(candles, period = 14) {
+    const trs = [];
+    for (let i = 1; i < candles.length; i++) {
+        const cur = candles[i];
+        const prev = candles[i - 1];
+        const tr = Math.max(
+            cur.high - cur.low,
+            Math.abs(cur.high - prev.close),
+            Math.abs(cur.low - prev.close)
+        );
+        trs.push(tr);
+    }
+    if (trs.length < period) return new Array(candles.length).fill(NaN);
+    const out = new Array(candles.length).fill(NaN);
+    let atr = trs.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    out[period] = atr;
+    for (let i = period; i < trs.length; i++) {
+        atr = (atr * (period - 1) + trs[i]) / period;
+        out[i + 1] = atr; // offset by 1 due to trs indexing
+    }
+    return out;
+}
+
+function ema(values, period) {
+    // seeded with the SMA of the first `period` values
+    const out = new Array(values.length).fill(NaN);
+    if (values.length < period) return out;
+    const k = 2 / (period + 1);
+    let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    out[period - 1] = prev;
+    for (let i = period; i < values.length; i++) {
+        prev = values[i] * k + prev * (1 - k);
+        out[i] = prev;
+    }
+    return out;
+}
+
+function adxFromCandles(candles, period = 14) {
+    // Wilder's ADX; first value available at index 2 * period - 1
+    const out = new Array(candles.length).fill(NaN);
+    if (candles.length < 2 * period + 1) return out;
+
+    const trs = [], plusDM = [], minusDM = [];
+    for (let i = 1; i < candles.length; i++) {
+        const cur = candles[i];
+        const prev = candles[i - 1];
+        const up = cur.high - prev.high;
+        const down = prev.low - cur.low;
+        plusDM.push(up > down && up > 0 ? up : 0);
+        minusDM.push(down > up && down > 0 ? down : 0);
+        trs.push(Math.max(
+            cur.high - cur.low,
+            Math.abs(cur.high - prev.close),
+            Math.abs(cur.low - prev.close)
+        ));
+    }
+
+    let smTR = 0, smPlus = 0, smMinus = 0;
+    for (let i = 0; i < period; i++) {
+        smTR += trs[i];
+        smPlus += plusDM[i];
+        smMinus += minusDM[i];
+    }
+
+    const dxs = [];
+    for (let i = period - 1; i < trs.length; i++) {
+        if (i >= period) {
+            smTR = smTR - smTR / period + trs[i];
+            smPlus = smPlus - smPlus / period + plusDM[i];
+            smMinus = smMinus - smMinus / period + minusDM[i];
+        }
+        const diPlus = smTR === 0 ? 0 : (100 * smPlus) / smTR;
+        const diMinus = smTR === 0 ? 0 : (100 * smMinus) / smTR;
+        const diSum = diPlus + diMinus;
+        dxs.push(diSum === 0 ? 0 : (100 * Math.abs(diPlus - diMinus)) / diSum);
+    }
+
+    // dxs[j] belongs to candle index j + period
+    let adx = dxs.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    out[2 * period - 1] = adx;
+    for (let j = period; j < dxs.length; j++) {
+        adx = (adx * (period - 1) + dxs[j]) / period;
+        out[j + period] = adx;
+    }
+    return out;
+}
+
+module.exports = {
+    rsiFromCloses,
+    sma,
+    ema,
+    atrFromCandles,
+    adxFromCandles
+};
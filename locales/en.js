@@ -0,0 +1,227 @@
+// locales/en.js
+// English: same keys as locales/vi.js, placeholder {{name}} (see i18n.js)
+
+module.exports = {
+    'lang.name': 'English',
+    'format.intl': 'en-US',
+    'format.date': 'MM/DD/YYYY',
+    'format.dayMonth': 'MM/DD',
+    'format.dateTime': 'MM/DD HH:mm',
+    'format.time': 'HH:mm:ss',
+
+    // ----- Common -----
+    'common.notSubscribed': 'You are not subscribed to signals.',
+    'common.notSubscribedStart': 'You are not subscribed to signals. Send /start to subscribe.',
+    'common.adminOnly': '⛔ This command is for admins only.',
+    'common.error': '❌ Error: {{error}}',
+    'common.all': 'All',
+    'common.off': 'Off',
+
+    // ----- /start, /stop, /lang -----
+    'start.welcome': '👋 Hi {{name}}!\nYou are now subscribed to automatic signals.\n\n' +
+        '⚠️ The bot only sends signals for reference (Physics Momentum). Keep your risk at 2-3% per trade.\n\n' +
+        '🌐 Language: English – /lang vi cho Tiếng Việt',
+    'start.defaultName': 'Trader',
+    'start.already': 'You are already subscribed to signals. Thank you!',
+    'stop.done': '✅ You have unsubscribed from signals. Send /start to subscribe again.',
+    'lang.current': '🌐 Current language: {{name}}\nUsage: /lang {{languages}}',
+    'lang.set': '✅ Language: {{name}}',
+
+    // ----- Signals -----
+    'signal.header': '🤖 Signal [{{index}} of the day]\n#{{coin}} – [{{side}}] 📌',
+    'signal.body': '🔴 Entry: {{entry}}\n🆗 Take Profit: {{tp}}\n🙅‍♂️ Stop-Loss: {{sl}}\n🪙 RR: {{rr}} (Conf: {{conf}}%)',
+    'signal.htf': '📈 Higher timeframes: {{frames}}',
+    'signal.futures': '💰 Funding {{funding}} | OI {{minutes}}m {{oi}} | L/S {{ls}}',
+    'signal.footer': '🧠 By Bot [{{strategy}}]\n\n⚠️ Always follow your risk management – risk 2-3% at most, the bot is for reference only, consider stopping after 3 wins',
+
+    'details.title': '📊 Details #{{coin}} – [{{side}}] ({{strategy}})',
+    'details.levels': 'Entry: {{entry}} | TP: {{tp}} | SL: {{sl}}',
+    'details.rr': 'RR: {{rr}} | Conf: {{conf}}%',
+    'details.created': 'Created: {{time}}',
+    'details.status': 'Status: {{status}}',
+    'details.currentStop': 'Current SL: {{stop}}',
+    'details.trailing': 'Trailing stop: {{mult}} × ATR after TP1',
+    'details.htf': 'Higher timeframes ({{mode}}): {{trends}}',
+    'details.futuresSkipped': 'Futures: no data ({{reason}})',
+    'details.futures': 'Futures ({{mode}}, {{source}}): {{line}}',
+    'details.futuresMove': 'Price {{minutes}}m: {{price}} | Conf {{adjust}}',
+    'details.chart': '📈 Chart: {{url}}',
+
+    'futures.funding_crowded': 'funding shows this side is crowded',
+    'futures.funding_contrarian': 'the other side is paying a high funding',
+    'futures.ls_crowded': 'top traders are already heavily on this side',
+    'futures.ls_contrarian': 'top traders lean the other way',
+    'futures.oi_confirms': 'OI rising with the price move',
+    'futures.oi_against': 'OI rising while price moves against the signal',
+    'futures.oi_capitulation': 'OI falling after a move against the signal (positions closing)',
+
+    'keyboard.details': '📊 Chart/Details',
+    'keyboard.less': '⬅️ Less',
+    'keyboard.pnl': '💹 Current P/L',
+    'keyboard.track': '📌 Track trade',
+    'keyboard.mute': '🔇 Mute this coin',
+
+    // ----- Updates / results / expiry -----
+    'paper.result': '💼 Paper: {{pnl}} USDT ({{returnPct}}% of the account, fees {{fees}} USDT)',
+    'update.title': '📣 Update #{{coin}} – [{{side}}]',
+    'update.target': '🎯 {{level}} hit at {{price}} – took {{pct}}% of the position ({{r}}R)',
+    'update.breakEven': '🛡 SL moved to entry {{stop}} (break-even)',
+    'update.trailUp': '🔁 Trailing stop moved up to {{stop}}',
+    'update.trailDown': '🔁 Trailing stop moved down to {{stop}}',
+    'update.remaining': 'Remaining: {{pct}}% of the position | Current SL: {{stop}}',
+
+    'result.title': '🔔 Signal result {{day}}\n#{{coin}} – [{{side}}]',
+    'result.win': 'WIN ✅',
+    'result.partialWin': 'Partial WIN ✅',
+    'result.partialLoss': 'Partial LOSS ❌',
+    'result.loss': 'LOSS ❌',
+    'result.partial': 'Taken: {{fills}}, the rest closed at the SL {{stop}}',
+    'result.partialMoved': 'Taken: {{fills}}, the rest closed at the moved SL {{stop}}',
+    'result.pnl': 'P/L: {{pnl}}% ({{r}}R)',
+    'result.ambiguous': '⚠️ TP and SL were both touched inside one 1m candle – outcome decided by: {{method}}',
+    'result.footer': '🧠 By Bot [{{strategy}}]\n📌 This signal was tracked automatically and is now closed.',
+
+    'expired.text': '⚠️ Signal #{{coin}} ({{side}}) reached its {{hours}}h tracking limit without hitting TP/SL.',
+    'expired.textFilled': '⚠️ Signal #{{coin}} ({{side}}) reached its {{hours}}h tracking limit without hitting the last TP / SL.',
+    'expired.taken': 'Taken: {{fills}}',
+    'closed.text': '🛑 Signal #{{coin}} ({{side}}) was closed manually by an admin at {{price}}',
+
+    // ----- /analyze -----
+    'analyze.unknownPair': '❌ {{pair}} is not trading on Binance / Bybit.',
+    'analyze.running': '⏳ Analyzing {{symbol}}...',
+    'analyze.noSignal': '❌ No signal for {{symbol}} (or not enough data).',
+    'analyze.result': '🔍 Analysis of {{symbol}} [{{strategy}}]\nSignal: {{side}}\nEntry: {{entry}}\nTP: {{tp}}\nSL: {{sl}}\nRR: {{rr}}\nConfidence: {{conf}}%',
+
+    // ----- Signal buttons -----
+    'callback.notFound': 'Signal not found.',
+    'callback.pnlOpen': '#{{coin}} [{{side}}] current price {{price}}\nP/L: {{pnl}}% ({{r}}R)',
+    'callback.pnlClosed': '#{{coin}} [{{side}}] closed: {{status}}\nP/L: {{pnl}}% ({{r}}R)',
+    'callback.trackClosed': 'This signal is closed ({{status}}).',
+    'callback.tracking': '📌 Tracking #{{coin}}: you will always get the result of this trade.',
+    'callback.muted': '🔇 Signals for #{{coin}} muted. Send /unmute {{coin}} to turn them back on.',
+
+    // ----- Personal settings -----
+    'settings.text': '⚙️ Signal settings\n\n' +
+        '📋 Coins: {{symbols}}\n' +
+        '🔇 Muted: {{muted}}\n' +
+        '↕️ Side: {{side}}\n' +
+        '🎯 Minimum confidence: {{minConfidence}}\n' +
+        '🪙 Minimum RR: {{minRR}}\n' +
+        '🌙 Quiet hours: {{quiet}} ({{timezone}})\n' +
+        '🌐 Language: {{language}}\n\n' +
+        'Commands: /watch BTC ETH | /watch all, /unmute BTC, /side long|short|all, /minconf 70, /minrr 2, /quiet 23-07 | /quiet off, /tz Asia/Ho_Chi_Minh, /lang vi|en',
+    'watch.usage': 'Usage: /watch BTC ETH SOL (or /watch all for every coin)',
+    'watch.notScanned': '\n⚠️ Not scanned by the bot: {{symbols}}',
+    'watch.only': '✅ Signals only for: {{symbols}}',
+    'watch.all': '✅ Signals for every coin',
+    'side.usage': 'Usage: /side long | short | all',
+    'side.set': '✅ Signal side: {{side}}',
+    'minconf.off': '✅ Confidence filter removed',
+    'minconf.usage': 'Usage: /minconf 70 (0-100) or /minconf off',
+    'minconf.set': '✅ Only signals with confidence >= {{value}}%',
+    'minrr.off': '✅ RR filter removed',
+    'minrr.usage': 'Usage: /minrr 2 or /minrr off',
+    'minrr.set': '✅ Only signals with RR >= {{value}}',
+    'quiet.usage': 'Usage: /quiet 23-07 (start hour-end hour) or /quiet off',
+    'quiet.off': '✅ Quiet hours turned off',
+    'quiet.set': '✅ Quiet hours {{start}}h-{{end}}h ({{timezone}}): the bot sends nothing during this window',
+    'tz.usage': 'Usage: /tz Asia/Ho_Chi_Minh (IANA timezone name)',
+    'tz.set': '✅ Timezone: {{timezone}}',
+    'unmute.usage': 'Usage: /unmute BTC ETH',
+    'unmute.done': '✅ Unmuted: {{symbols}}',
+
+    // ----- /stats, reports -----
+    'stats.empty': '📊 No closed signals yet ({{labels}}).',
+    'stats.streakWins': '{{n}} wins',
+    'stats.streakLosses': '{{n}} losses',
+    'stats.text': '📊 Performance ({{labels}})\n\n' +
+        'Closed trades: {{trades}} (✅ {{wins}} / ❌ {{losses}} / ⌛ {{expired}}, partial {{partial}})\n' +
+        'Win rate: {{winRate}}%\n' +
+        'Total R: {{totalR}} (avg {{avgR}}/trade)\n' +
+        'Total P/L: {{totalPnl}}%\n' +
+        'Average holding time: {{hold}}\n' +
+        'Longest win streak: {{maxWin}} | Longest losing streak: {{maxLoss}} | Current: {{streak}}\n\n' +
+        '🏆 Best: {{best}}\n' +
+        '💀 Worst: {{worst}}',
+
+    'report.dailyTitle': '📅 Daily report {{label}}',
+    'report.dailyEmpty': 'No signals today.',
+    'report.weeklyTitle': '🗓 Weekly summary {{label}}',
+    'report.weeklyEmpty': 'No signals this week.',
+    'report.count': 'Signals: {{n}} ({{open}} open)',
+    'report.closed': 'Closed: {{trades}} (✅ {{wins}} / ❌ {{losses}} / ⌛ {{expired}})',
+    'report.winRate': 'Win rate: {{rate}}%',
+    'report.net': 'Net R: {{r}} | P/L: {{pnl}}%',
+    'report.streaks': 'Longest win streak: {{win}} | Longest losing streak: {{loss}}',
+    'report.day': '{{day}} {{date}}: {{n}} signals, {{r}}',
+    'report.dayOpen': ', {{n}} open',
+    'report.open': 'open',
+    'report.openTaken': 'open ({{taken}} taken)',
+    'report.best': '🏆 Best: {{list}}',
+    'report.worst': '💀 Worst: {{list}}',
+
+    // ----- /portfolio -----
+    'portfolio.off': '💼 Paper trading is off (PAPER_TRADING=off).',
+    'portfolio.position': '• #{{coin}} {{side}} {{qty}} @ {{entry}} → {{price}}: {{upnl}} USDT',
+    'portfolio.text': '💼 Paper trading (risk {{riskPct}}%/trade, fee {{feePct}}%, slippage {{slippagePct}}%, x{{leverage}})\n\n' +
+        'Balance: {{balance}} USDT (started with {{startBalance}})\n' +
+        'Equity: {{equity}} USDT ({{equityPct}}%)\n' +
+        'Realized P/L: {{realized}} USDT | Fees paid: {{fees}} USDT\n' +
+        'Closed trades: {{trades}} (✅ {{wins}} / ❌ {{losses}}) | Max drawdown: {{maxDrawdown}}%\n\n' +
+        '📂 Open positions ({{openCount}}):\n{{positions}}\n\n' +
+        '📈 Equity curve ({{points}} points): {{sparkline}}',
+
+    // ----- Admin -----
+    'status.text': '👥 Subscribers: {{users}}\nActive signals: {{open}}\nAuto-scan: {{scan}}\nUniverse: {{universe}}\nStream: {{stream}}\n' +
+        'Execution: {{exec}}\nDelivery: {{queue}}\n\n{{strategies}}\n\n📡 Data sources:\n{{sources}}\n\n⏰ Jobs:\n{{jobs}}\n\n📤 External channels:\n{{destinations}}',
+    'status.paused': '⏸ paused',
+    'status.running': '▶️ running',
+    'status.strategy': '• {{name}}: {{signals}} signals (open {{open}}, TP {{tp}}, partial {{partial}}, SL {{sl}}, expired {{expired}}, closed {{closed}}, ambiguous {{ambiguous}})',
+    'status.streamOff': 'off (REST only)',
+    'status.stream': '{{icon}} {{source}}, live {{live}}/{{symbols}} symbols, buffers {{ready}}/{{total}}',
+    'status.source': '• {{icon}} {{name}}: {{requests}} req/10m, errors {{errorRate}}%',
+    'status.sourceCooldown': ' – paused until {{time}} ({{reason}})',
+    'status.universe': '{{coins}} coins ({{mode}})',
+    'status.universeTop': 'top {{n}} volume',
+    'status.universeStatic': 'static',
+    'status.registry': ', registry {{symbols}} symbols from {{sources}}',
+    'status.registryMissing': ', registry not loaded',
+    'status.execOff': 'off',
+    'status.exec': '{{mode}}, {{open}}/{{max}} positions, {{usdt}} USDT x{{leverage}}',
+    'status.job': '• {{icon}} {{name}} ({{schedule}})',
+    'status.jobNext': ', next {{time}}',
+    'status.jobDuration': ', took {{seconds}}s',
+    'status.jobFailures': ' – failed {{n}}x: {{error}}',
+    'status.destination': '• {{icon}} {{name}} ({{type}}): sent {{sent}}, failed {{failed}}',
+    'status.noDestinations': '• (none, see notifiers.example.json)',
+    'status.queue': '{{pending}} pending, sent {{sent}}, failed {{failed}}, retried {{retried}} (429: {{rateLimited}})',
+    'status.queuePaused': ' – paused until {{time}}',
+
+    'broadcast.done': '✅ Announcement sent: {{success}} delivered, {{fail}} failed, {{skipped}} skipped.{{external}}',
+    'broadcast.external': '\nExternal channels: {{ok}}/{{total}} delivered',
+    'pause.done': '⏸ Auto-scan paused. Open signals are still tracked. Send /resume to start it again.',
+    'resume.done': '▶️ Auto-scan resumed.',
+    'scan.busy': '⏳ A scan is already running, please wait.',
+    'scan.started': '🔎 Scanning {{n}} coins...',
+    'scan.done': '✅ Scan finished.',
+    'coins.list': '🪙 Scanning {{n}} coins:\n{{coins}}\n\nCommands: /coins add BTC ETH | /coins remove DOGE',
+    'coins.rejected': '\n⚠️ Skipped (not trading): {{symbols}}',
+    'coins.added': '✅ Added: {{symbols}} ({{n}} coins in total){{rejected}}',
+    'coins.removed': '✅ Removed: {{symbols}} ({{n}} coins in total)',
+
+    'config.invalid': '❌ Invalid config, still running version {{version}}:\n{{errors}}',
+    'config.unchanged': 'ℹ️ Config unchanged (version {{version}}).',
+    'config.reloaded': '✅ Loaded config version {{version}} ({{n}} coins).',
+    'config.title': '⚙️ Config version {{version}}',
+    'config.file': 'File: {{file}} – loaded at {{time}}',
+    'config.noFile': '(none, using defaults)',
+    'config.scan': 'Coins: {{coins}} | Dedupe: {{dedupe}} min | Max tracking: {{hours}} h',
+    'config.hint': 'Edit and save config.json (reloaded automatically) or send /config reload',
+
+    'signals.notFound': '❌ No open signal with id {{id}}. See the list with /signal list',
+    'signals.closed': '✅ Closed {{id}} at {{price}} ({{r}}R)',
+    'signals.list': '📋 Open signals:\n{{lines}}',
+    'signals.none': 'No open signals.',
+    'users.list': '👥 {{n}} subscribers:\n{{lines}}{{more}}',
+    'users.more': '\n... and {{n}} more'
+};
@@ -0,0 +1,227 @@
+// locales/vi.js
+// Tiếng Việt (ngôn ngữ mặc định): key -> template, placeholder {{name}} (xem i18n.js)
+
+module.exports = {
+    'lang.name': 'Tiếng Việt',
+    'format.intl': 'vi-VN',
+    'format.date': 'DD/MM/YYYY',
+    'format.dayMonth': 'DD/MM',
+    'format.dateTime': 'DD/MM HH:mm',
+    'format.time': 'HH:mm:ss',
+
+    // ----- Chung -----
+    'common.notSubscribed': 'Bạn chưa đăng ký nhận tín hiệu.',
+    'common.notSubscribedStart': 'Bạn chưa đăng ký nhận tín hiệu. Gõ /start để đăng ký.',
+    'common.adminOnly': '⛔ Lệnh này chỉ dành cho admin.',
+    'common.error': '❌ Lỗi: {{error}}',
+    'common.all': 'Tất cả',
+    'common.off': 'Tắt',
+
+    // ----- /start, /stop, /lang -----
+    'start.welcome': '👋 Chào {{name}}!\nBạn đã được đăng ký nhận tín hiệu tự động.\n\n' +
+        '⚠️ Bot chỉ gửi tín hiệu tham khảo (Physics Momentum). Tuân thủ quản lý rủi ro 2-3% mỗi lệnh.\n\n' +
+        '🌐 Ngôn ngữ: Tiếng Việt – /lang en for English',
+    'start.defaultName': 'Trader',
+    'start.already': 'Bạn đã đăng ký nhận tín hiệu trước đó. Cảm ơn!',
+    'stop.done': '✅ Bạn đã hủy đăng ký nhận tín hiệu. Gõ /start để đăng ký lại.',
+    'lang.current': '🌐 Ngôn ngữ hiện tại: {{name}}\nCú pháp: /lang {{languages}}',
+    'lang.set': '✅ Ngôn ngữ: {{name}}',
+
+    // ----- Tín hiệu -----
+    'signal.header': '🤖 Tín hiệu [{{index}} trong ngày]\n#{{coin}} – [{{side}}] 📌',
+    'signal.body': '🔴 Entry: {{entry}}\n🆗 Take Profit: {{tp}}\n🙅‍♂️ Stop-Loss: {{sl}}\n🪙 Tỉ lệ RR: {{rr}} (Conf: {{conf}}%)',
+    'signal.htf': '📈 Khung lớn: {{frames}}',
+    'signal.futures': '💰 Funding {{funding}} | OI {{minutes}}p {{oi}} | L/S {{ls}}',
+    'signal.footer': '🧠 By Bot [{{strategy}}]\n\n⚠️ Nhất định phải tuân thủ quản lý rủi ro – Đi tối đa 2-3% risk, Bot chỉ để tham khảo, win 3 lệnh nên ngưng',
+
+    'details.title': '📊 Chi tiết #{{coin}} – [{{side}}] ({{strategy}})',
+    'details.levels': 'Entry: {{entry}} | TP: {{tp}} | SL: {{sl}}',
+    'details.rr': 'RR: {{rr}} | Conf: {{conf}}%',
+    'details.created': 'Tạo lúc: {{time}}',
+    'details.status': 'Trạng thái: {{status}}',
+    'details.currentStop': 'SL hiện tại: {{stop}}',
+    'details.trailing': 'Trailing stop: {{mult}} × ATR sau TP1',
+    'details.htf': 'Khung lớn ({{mode}}): {{trends}}',
+    'details.futuresSkipped': 'Futures: không có dữ liệu ({{reason}})',
+    'details.futures': 'Futures ({{mode}}, {{source}}): {{line}}',
+    'details.futuresMove': 'Giá {{minutes}}p: {{price}} | Conf {{adjust}}',
+    'details.chart': '📈 Chart: {{url}}',
+
+    'futures.funding_crowded': 'funding cho thấy phe cùng chiều đang quá đông',
+    'futures.funding_contrarian': 'phe ngược chiều đang trả funding cao',
+    'futures.ls_crowded': 'top trader đã nghiêng hẳn về phía này',
+    'futures.ls_contrarian': 'top trader nghiêng về phía ngược lại',
+    'futures.oi_confirms': 'OI tăng cùng chiều giá',
+    'futures.oi_against': 'OI tăng khi giá đi ngược tín hiệu',
+    'futures.oi_capitulation': 'OI giảm sau nhịp ngược chiều (đóng vị thế)',
+
+    'keyboard.details': '📊 Chart/Chi tiết',
+    'keyboard.less': '⬅️ Thu gọn',
+    'keyboard.pnl': '💹 P/L hiện tại',
+    'keyboard.track': '📌 Theo dõi lệnh',
+    'keyboard.mute': '🔇 Tắt coin này',
+
+    // ----- Cập nhật / kết quả / hết hạn -----
+    'paper.result': '💼 Paper: {{pnl}} USDT ({{returnPct}}% tài khoản, phí {{fees}} USDT)',
+    'update.title': '📣 Cập nhật #{{coin}} – [{{side}}]',
+    'update.target': '🎯 Chạm {{level}} tại {{price}} – chốt {{pct}}% vị thế ({{r}}R)',
+    'update.breakEven': '🛡 Dời SL về entry {{stop}} (hoà vốn)',
+    'update.trailUp': '🔁 Trailing stop dời lên {{stop}}',
+    'update.trailDown': '🔁 Trailing stop dời xuống {{stop}}',
+    'update.remaining': 'Còn lại: {{pct}}% vị thế | SL hiện tại: {{stop}}',
+
+    'result.title': '🔔 Kết quả tín hiệu {{day}}\n#{{coin}} – [{{side}}]',
+    'result.win': 'WIN ✅',
+    'result.partialWin': 'WIN một phần ✅',
+    'result.partialLoss': 'LOSE một phần ❌',
+    'result.loss': 'LOSE ❌',
+    'result.partial': 'Đã chốt: {{fills}}, phần còn lại đóng tại SL {{stop}}',
+    'result.partialMoved': 'Đã chốt: {{fills}}, phần còn lại đóng tại SL đã dời {{stop}}',
+    'result.pnl': 'P/L: {{pnl}}% ({{r}}R)',
+    'result.ambiguous': '⚠️ TP và SL cùng bị chạm trong 1 nến 1m – kết quả xác định bằng: {{method}}',
+    'result.footer': '🧠 By Bot [{{strategy}}]\n📌 Tín hiệu đã được theo dõi tự động và đã đóng.',
+
+    'expired.text': '⚠️ Tín hiệu #{{coin}} ({{side}}) đã hết thời gian theo dõi ({{hours}} giờ) và chưa chạm TP/SL.',
+    'expired.textFilled': '⚠️ Tín hiệu #{{coin}} ({{side}}) đã hết thời gian theo dõi ({{hours}} giờ) và chưa chạm TP cuối / SL.',
+    'expired.taken': 'Đã chốt: {{fills}}',
+    'closed.text': '🛑 Tín hiệu #{{coin}} ({{side}}) đã được admin đóng thủ công tại {{price}}',
+
+    // ----- /analyze -----
+    'analyze.unknownPair': '❌ Không tìm thấy cặp {{pair}} đang giao dịch trên Binance / Bybit.',
+    'analyze.running': '⏳ Đang phân tích {{symbol}}...',
+    'analyze.noSignal': '❌ Không tìm thấy tín hiệu cho {{symbol}} (hoặc dữ liệu không đủ).',
+    'analyze.result': '🔍 Kết quả phân tích {{symbol}} [{{strategy}}]\nTín hiệu: {{side}}\nEntry: {{entry}}\nTP: {{tp}}\nSL: {{sl}}\nRR: {{rr}}\nConfidence: {{conf}}%',
+
+    // ----- Nút trên tín hiệu -----
+    'callback.notFound': 'Không tìm thấy tín hiệu này.',
+    'callback.pnlOpen': '#{{coin}} [{{side}}] giá hiện tại {{price}}\nP/L: {{pnl}}% ({{r}}R)',
+    'callback.pnlClosed': '#{{coin}} [{{side}}] đã đóng: {{status}}\nP/L: {{pnl}}% ({{r}}R)',
+    'callback.trackClosed': 'Tín hiệu đã đóng ({{status}}).',
+    'callback.tracking': '📌 Đang theo dõi #{{coin}}: bạn sẽ luôn nhận kết quả lệnh này.',
+    'callback.muted': '🔇 Đã tắt tín hiệu #{{coin}}. Gõ /unmute {{coin}} để bật lại.',
+
+    // ----- Cài đặt cá nhân -----
+    'settings.text': '⚙️ Cài đặt nhận tín hiệu\n\n' +
+        '📋 Coin: {{symbols}}\n' +
+        '🔇 Đã tắt: {{muted}}\n' +
+        '↕️ Chiều: {{side}}\n' +
+        '🎯 Confidence tối thiểu: {{minConfidence}}\n' +
+        '🪙 RR tối thiểu: {{minRR}}\n' +
+        '🌙 Giờ yên lặng: {{quiet}} ({{timezone}})\n' +
+        '🌐 Ngôn ngữ: {{language}}\n\n' +
+        'Lệnh: /watch BTC ETH | /watch all, /unmute BTC, /side long|short|all, /minconf 70, /minrr 2, /quiet 23-07 | /quiet off, /tz Asia/Ho_Chi_Minh, /lang vi|en',
+    'watch.usage': 'Cú pháp: /watch BTC ETH SOL (hoặc /watch all để nhận mọi coin)',
+    'watch.notScanned': '\n⚠️ Bot hiện không quét: {{symbols}}',
+    'watch.only': '✅ Chỉ nhận tín hiệu: {{symbols}}',
+    'watch.all': '✅ Nhận tín hiệu mọi coin',
+    'side.usage': 'Cú pháp: /side long | short | all',
+    'side.set': '✅ Chiều tín hiệu: {{side}}',
+    'minconf.off': '✅ Đã bỏ lọc confidence',
+    'minconf.usage': 'Cú pháp: /minconf 70 (0-100) hoặc /minconf off',
+    'minconf.set': '✅ Chỉ nhận tín hiệu có confidence >= {{value}}%',
+    'minrr.off': '✅ Đã bỏ lọc RR',
+    'minrr.usage': 'Cú pháp: /minrr 2 hoặc /minrr off',
+    'minrr.set': '✅ Chỉ nhận tín hiệu có RR >= {{value}}',
+    'quiet.usage': 'Cú pháp: /quiet 23-07 (giờ bắt đầu-giờ kết thúc) hoặc /quiet off',
+    'quiet.off': '✅ Đã tắt giờ yên lặng',
+    'quiet.set': '✅ Giờ yên lặng {{start}}h-{{end}}h ({{timezone}}): bot sẽ không gửi tin trong khoảng này',
+    'tz.usage': 'Cú pháp: /tz Asia/Ho_Chi_Minh (tên timezone IANA)',
+    'tz.set': '✅ Timezone: {{timezone}}',
+    'unmute.usage': 'Cú pháp: /unmute BTC ETH',
+    'unmute.done': '✅ Đã bật lại: {{symbols}}',
+
+    // ----- /stats, báo cáo -----
+    'stats.empty': '📊 Chưa có tín hiệu nào đã đóng ({{labels}}).',
+    'stats.streakWins': '{{n}} thắng',
+    'stats.streakLosses': '{{n}} thua',
+    'stats.text': '📊 Thống kê hiệu suất ({{labels}})\n\n' +
+        'Lệnh đã đóng: {{trades}} (✅ {{wins}} / ❌ {{losses}} / ⌛ {{expired}}, chốt một phần {{partial}})\n' +
+        'Win rate: {{winRate}}%\n' +
+        'Tổng R: {{totalR}} (TB {{avgR}}/lệnh)\n' +
+        'Tổng P/L: {{totalPnl}}%\n' +
+        'Thời gian giữ lệnh TB: {{hold}}\n' +
+        'Chuỗi thắng dài nhất: {{maxWin}} | Chuỗi thua dài nhất: {{maxLoss}} | Hiện tại: {{streak}}\n\n' +
+        '🏆 Tốt nhất: {{best}}\n' +
+        '💀 Tệ nhất: {{worst}}',
+
+    'report.dailyTitle': '📅 Báo cáo ngày {{label}}',
+    'report.dailyEmpty': 'Hôm nay bot không có tín hiệu nào.',
+    'report.weeklyTitle': '🗓 Tổng kết tuần {{label}}',
+    'report.weeklyEmpty': 'Tuần này bot không có tín hiệu nào.',
+    'report.count': 'Tín hiệu: {{n}} (đang mở {{open}})',
+    'report.closed': 'Đã đóng: {{trades}} (✅ {{wins}} / ❌ {{losses}} / ⌛ {{expired}})',
+    'report.winRate': 'Win rate: {{rate}}%',
+    'report.net': 'Net R: {{r}} | P/L: {{pnl}}%',
+    'report.streaks': 'Chuỗi thắng dài nhất: {{win}} | Chuỗi thua dài nhất: {{loss}}',
+    'report.day': '{{day}} {{date}}: {{n}} tín hiệu, {{r}}',
+    'report.dayOpen': ', mở {{n}}',
+    'report.open': 'đang mở',
+    'report.openTaken': 'đang mở (đã chốt {{taken}})',
+    'report.best': '🏆 Tốt nhất: {{list}}',
+    'report.worst': '💀 Tệ nhất: {{list}}',
+
+    // ----- /portfolio -----
+    'portfolio.off': '💼 Paper trading đang tắt (PAPER_TRADING=off).',
+    'portfolio.position': '• #{{coin}} {{side}} {{qty}} @ {{entry}} → {{price}}: {{upnl}} USDT',
+    'portfolio.text': '💼 Paper trading (risk {{riskPct}}%/lệnh, phí {{feePct}}%, trượt giá {{slippagePct}}%, x{{leverage}})\n\n' +
+        'Số dư: {{balance}} USDT (ban đầu {{startBalance}})\n' +
+        'Equity: {{equity}} USDT ({{equityPct}}%)\n' +
+        'Lãi/lỗ đã chốt: {{realized}} USDT | Phí đã trả: {{fees}} USDT\n' +
+        'Lệnh đã đóng: {{trades}} (✅ {{wins}} / ❌ {{losses}}) | Max drawdown: {{maxDrawdown}}%\n\n' +
+        '📂 Vị thế đang mở ({{openCount}}):\n{{positions}}\n\n' +
+        '📈 Equity curve ({{points}} điểm): {{sparkline}}',
+
+    // ----- Admin -----
+    'status.text': '👥 Subscribers: {{users}}\nTín hiệu đang mở: {{open}}\nAuto-scan: {{scan}}\nUniverse: {{universe}}\nStream: {{stream}}\n' +
+        'Execution: {{exec}}\nDelivery: {{queue}}\n\n{{strategies}}\n\n📡 Nguồn dữ liệu:\n{{sources}}\n\n⏰ Jobs:\n{{jobs}}\n\n📤 Kênh ngoài:\n{{destinations}}',
+    'status.paused': '⏸ tạm dừng',
+    'status.running': '▶️ đang chạy',
+    'status.strategy': '• {{name}}: {{signals}} tín hiệu (mở {{open}}, TP {{tp}}, một phần {{partial}}, SL {{sl}}, hết hạn {{expired}}, đóng tay {{closed}}, mơ hồ {{ambiguous}})',
+    'status.streamOff': 'tắt (chỉ REST)',
+    'status.stream': '{{icon}} {{source}}, live {{live}}/{{symbols}} symbols, buffers {{ready}}/{{total}}',
+    'status.source': '• {{icon}} {{name}}: {{requests}} req/10m, lỗi {{errorRate}}%',
+    'status.sourceCooldown': ' – nghỉ tới {{time}} ({{reason}})',
+    'status.universe': '{{coins}} coin ({{mode}})',
+    'status.universeTop': 'top {{n}} volume',
+    'status.universeStatic': 'static',
+    'status.registry': ', registry {{symbols}} symbols từ {{sources}}',
+    'status.registryMissing': ', registry chưa tải',
+    'status.execOff': 'tắt',
+    'status.exec': '{{mode}}, {{open}}/{{max}} vị thế, {{usdt}} USDT x{{leverage}}',
+    'status.job': '• {{icon}} {{name}} ({{schedule}})',
+    'status.jobNext': ', lần tới {{time}}',
+    'status.jobDuration': ', chạy {{seconds}}s',
+    'status.jobFailures': ' – lỗi {{n}} lần: {{error}}',
+    'status.destination': '• {{icon}} {{name}} ({{type}}): gửi {{sent}}, lỗi {{failed}}',
+    'status.noDestinations': '• (không có, xem notifiers.example.json)',
+    'status.queue': '{{pending}} chờ gửi, đã gửi {{sent}}, lỗi {{failed}}, retry {{retried}} (429: {{rateLimited}})',
+    'status.queuePaused': ' – tạm dừng tới {{time}}',
+
+    'broadcast.done': '✅ Đã gửi thông báo: {{success}} thành công, {{fail}} lỗi, {{skipped}} bỏ qua.{{external}}',
+    'broadcast.external': '\nKênh ngoài: {{ok}}/{{total}} thành công',
+    'pause.done': '⏸ Đã tạm dừng auto-scan. Các tín hiệu đang mở vẫn được theo dõi. Gõ /resume để chạy lại.',
+    'resume.done': '▶️ Đã bật lại auto-scan.',
+    'scan.busy': '⏳ Đang có một lượt quét chạy, vui lòng chờ.',
+    'scan.started': '🔎 Bắt đầu quét {{n}} coin...',
+    'scan.done': '✅ Quét xong.',
+    'coins.list': '🪙 Đang quét {{n}} coin:\n{{coins}}\n\nLệnh: /coins add BTC ETH | /coins remove DOGE',
+    'coins.rejected': '\n⚠️ Bỏ qua (không giao dịch): {{symbols}}',
+    'coins.added': '✅ Đã thêm: {{symbols}} (tổng {{n}} coin){{rejected}}',
+    'coins.removed': '✅ Đã bỏ: {{symbols}} (tổng {{n}} coin)',
+
+    'config.invalid': '❌ Config không hợp lệ, vẫn dùng version {{version}}:\n{{errors}}',
+    'config.unchanged': 'ℹ️ Config không thay đổi (version {{version}}).',
+    'config.reloaded': '✅ Đã nạp config version {{version}} ({{n}} coin).',
+    'config.title': '⚙️ Config version {{version}}',
+    'config.file': 'File: {{file}} – nạp lúc {{time}}',
+    'config.noFile': '(không có, dùng mặc định)',
+    'config.scan': 'Coin: {{coins}} | Dedupe: {{dedupe}} phút | Theo dõi tối đa: {{hours}} giờ',
+    'config.hint': 'Sửa config.json rồi lưu (tự nạp lại) hoặc gõ /config reload',
+
+    'signals.notFound': '❌ Không có tín hiệu đang mở với id {{id}}. Xem danh sách bằng /signal list',
+    'signals.closed': '✅ Đã đóng {{id}} tại {{price}} ({{r}}R)',
+    'signals.list': '📋 Tín hiệu đang mở:\n{{lines}}',
+    'signals.none': 'Không có tín hiệu đang mở.',
+    'users.list': '👥 {{n}} subscribers:\n{{lines}}{{more}}',
+    'users.more': '\n... và {{n}} người khác'
+};
@@ -0,0 +1,340 @@
+// marketData.js
+// Real-time market data: Binance combined kline WebSocket streams, Bybit v5 public stream làm fallback
+// Giữ buffer nến đã đóng trong RAM cho mỗi symbol + timeframe, phát event khi nến đóng và mỗi tick giá.
+// REST loader (analysis.loadCandles) vẫn là đường backfill (khởi động, mất nến sau reconnect)
+// và là fallback khi stream không có dữ liệu cho symbol đó.
+// Events:
+//   'candleClose' -> { symbol, interval, candle }            nến vừa đóng (buffered timeframes + 1m)
+//   'tick'        -> { symbol, price, high, low, time, candleTime }  nến 1m đang chạy (high/low từ đầu phút)
+//   'status'      -> { connected, source }
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const analysis = require('./analysis');
+
+const TICK_INTERVAL = '1m'; // always streamed: live price + 1m closes for TP/SL monitoring
+const BUFFER_SIZE = 300; // closed candles kept per symbol + timeframe
+const STALE_MS = 90 * 1000; // no message for this long -> symbol not live / socket reconnected
+const SWITCH_AFTER_FAILURES = 3; // consecutive failed connections before trying the next source
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+const BACKFILL_DELAY_MS = 250; // polite delay between REST backfills
+const BYBIT_SUBSCRIBE_CHUNK = 10; // Bybit accepts at most 10 topics per subscribe request
+const BYBIT_PING_MS = 20 * 1000;
+
+const BYBIT_INTERVALS = { '1m': '1', '5m': '5', '15m': '15', '1h': '60', '4h': '240', '1d': 'D' };
+
+const STREAM_SOURCES = [
+    {
+        name: 'Binance',
+        url: (symbols, intervals) => 'wss://stream.binance.com:9443/stream?streams=' +
+            symbols.flatMap(sym => intervals.map(tf => `${sym.toLowerCase()}@kline_${tf}`)).join('/'),
+        subscribeMessages: () => [],
+        parse: parseBinanceMessage
+    },
+    {
+        name: 'Bybit',
+        url: () => 'wss://stream.bybit.com/v5/public/linear',
+        subscribeMessages: (symbols, intervals) => {
+            const topics = symbols.flatMap(sym => intervals.map(tf => `kline.${BYBIT_INTERVALS[tf]}.${sym}`));
+            const messages = [];
+            for (let i = 0; i < topics.length; i += BYBIT_SUBSCRIBE_CHUNK) {
+                messages.push({ op: 'subscribe', args: topics.slice(i, i + BYBIT_SUBSCRIBE_CHUNK) });
+            }
+            return messages;
+        },
+        ping: { op: 'ping' },
+        parse: parseBybitMessage
+    }
+];
+
+const emitter = new EventEmitter();
+
+let running = false;
+let symbols = [];
+let intervals = []; // buffered timeframes (strategy timeframes)
+let ws = null;
+let sourceIndex = 0;
+let failures = 0;
+let connected = false;
+let lastMessageAt = 0;
+let reconnectTimer = null;
+let pingTimer = null;
+let watchdogTimer = null;
+
+const buffers = new Map(); // `${symbol}|${interval}` -> { candles: [], ready, backfilling }
+const lastTicks = new Map(); // symbol -> { price, high, low, time, candleTime }
+const lastClosedTick = new Map(); // symbol -> open time of the last 1m close emitted
+let backfillQueue = Promise.resolve();
+
+// ----- Message parsing: both sources -> { symbol, interval, candle, closed, time } -----
+function parseBinanceMessage(msg) {
+    const k = msg && msg.data && msg.data.k;
+    if (!k) return [];
+    return [{
+        symbol: k.s,
+        interval: k.i,
+        candle: { t: k.t, open: parseFloat(k.o), high: parseFloat(k.h), low: parseFloat(k.l), close: parseFloat(k.c), vol: parseFloat(k.v) },
+        closed: !!k.x,
+        time: msg.data.E || Date.now()
+    }];
+}
+
+function parseBybitMessage(msg) {
+    if (!msg || typeof msg.topic !== 'string' || !msg.topic.startsWith('kline.') || !Array.isArray(msg.data)) return [];
+    const [, intv, symbol] = msg.topic.split('.');
+    const interval = Object.keys(BYBIT_INTERVALS).find(tf => BYBIT_INTERVALS[tf] === intv);
+    if (!interval) return [];
+    return msg.data.map(k => ({
+        symbol,
+        interval,
+        candle: { t: parseInt(k.start), open: parseFloat(k.open), high: parseFloat(k.high), low: parseFloat(k.low), close: parseFloat(k.close), vol: parseFloat(k.volume) },
+        closed: !!k.confirm,
+        time: k.timestamp || msg.ts || Date.now()
+    }));
+}
+
+// ----- Candle buffers -----
+function bufferKey(symbol, interval) {
+    return `${symbol}|${interval}`;
+}
+
+function getBuffer(symbol, interval) {
+    const key = bufferKey(symbol, interval);
+    if (!buffers.has(key)) buffers.set(key, { candles: [], ready: false, backfilling: false });
+    return buffers.get(key);
+}
+
+// Append a closed candle; a hole between the last buffered candle and this one triggers a REST backfill
+function mergeClosedCandle(symbol, interval, candle) {
+    const buf = getBuffer(symbol, interval);
+    const last = buf.candles[buf.candles.length - 1];
+    if (last && candle.t < last.t) return false;
+    if (last && candle.t === last.t) {
+        buf.candles[buf.candles.length - 1] = candle;
+        return false;
+    }
+    if (buf.ready && last && candle.t > last.t + analysis.TIMEFRAME_MS[interval]) {
+        console.log(`marketData: gap in ${symbol} ${interval} stream, backfilling from REST`);
+        buf.ready = false;
+        scheduleBackfill(symbol, interval);
+    }
+    buf.candles.push(candle);
+    if (buf.candles.length > BUFFER_SIZE) buf.candles.splice(0, buf.candles.length - BUFFER_SIZE);
+    return buf.ready;
+}
+
+// Load the last BUFFER_SIZE closed candles over REST and merge the streamed ones on top
+function scheduleBackfill(symbol, interval) {
+    const buf = getBuffer(symbol, interval);
+    if (buf.backfilling) return;
+    buf.backfilling = true;
+    backfillQueue = backfillQueue.then(async () => {
+        try {
+            if (!running || !symbols.includes(symbol)) return;
+            const ms = analysis.TIMEFRAME_MS[interval];
+            const now = Date.now();
+            const rest = (await analysis.loadCandles(symbol, interval, BUFFER_SIZE)).filter(c => c.t + ms <= now);
+            const byTime = new Map();
+            rest.concat(buf.candles).forEach(c => byTime.set(c.t, c));
+            buf.candles = Array.from(byTime.values()).sort((a, b) => a.t - b.t).slice(-BUFFER_SIZE);
+            buf.ready = true;
+        } catch (err) {
+            console.error(`marketData: backfill ${symbol} ${interval} failed:`, err.message || err);
+        } finally {
+            buf.backfilling = false;
+            await new Promise(r => setTimeout(r, BACKFILL_DELAY_MS));
+        }
+    });
+}
+
+// Closed candles from the stream buffer, or null when the buffer is not complete / not current
+// (callers then fall back to REST)
+function getCandles(symbol, interval, limit = BUFFER_SIZE) {
+    const buf = buffers.get(bufferKey(symbol, interval));
+    if (!buf || !buf.ready || buf.candles.length === 0) return null;
+    const ms = analysis.TIMEFRAME_MS[interval];
+    const last = buf.candles[buf.candles.length - 1];
+    if (last.t + 2 * ms + STALE_MS / 2 < Date.now()) return null; // missed the latest close
+    return buf.candles.slice(-limit);
+}
+
+// ----- Stream handling -----
+function handleKline(k) {
+    if (!symbols.includes(k.symbol)) return;
+
+    if (k.interval === TICK_INTERVAL) {
+        const tick = { price: k.candle.close, high: k.candle.high, low: k.candle.low, time: k.time, candleTime: k.candle.t };
+        lastTicks.set(k.symbol, Object.assign({ receivedAt: Date.now() }, tick));
+        emitter.emit('tick', Object.assign({ symbol: k.symbol }, tick));
+        if (k.closed && lastClosedTick.get(k.symbol) !== k.candle.t) {
+            lastClosedTick.set(k.symbol, k.candle.t);
+            if (!intervals.includes(TICK_INTERVAL)) emitter.emit('candleClose', { symbol: k.symbol, interval: k.interval, candle: k.candle });
+        }
+    }
+
+    if (k.closed && intervals.includes(k.interval)) {
+        if (mergeClosedCandle(k.symbol, k.interval, k.candle)) {
+            emitter.emit('candleClose', { symbol: k.symbol, interval: k.interval, candle: k.candle });
+        }
+    }
+}
+
+function streamIntervals() {
+    return Array.from(new Set([TICK_INTERVAL].concat(intervals)));
+}
+
+function clearTimers() {
+    clearInterval(pingTimer);
+    clearInterval(watchdogTimer);
+    pingTimer = null;
+    watchdogTimer = null;
+}
+
+function setConnected(value, source) {
+    if (connected === value) return;
+    connected = value;
+    emitter.emit('status', { connected, source });
+}
+
+function connect() {
+    if (!running || symbols.length === 0) return;
+    const source = STREAM_SOURCES[sourceIndex];
+    const socket = new WebSocket(source.url(symbols, streamIntervals()));
+    ws = socket;
+    lastMessageAt = Date.now();
+
+    socket.on('open', () => {
+        console.log(`marketData: ${source.name} stream connected (${symbols.length} symbols, ${streamIntervals().join(', ')})`);
+        source.subscribeMessages(symbols, streamIntervals()).forEach(m => socket.send(JSON.stringify(m)));
+        if (source.ping) pingTimer = setInterval(() => socket.send(JSON.stringify(source.ping)), BYBIT_PING_MS);
+        watchdogTimer = setInterval(() => {
+            if (Date.now() - lastMessageAt > STALE_MS) {
+                console.log(`marketData: ${source.name} stream silent for ${STALE_MS / 1000}s, reconnecting`);
+                socket.terminate();
+            }
+        }, STALE_MS / 3);
+    });
+
+    socket.on('message', (data) => {
+        lastMessageAt = Date.now();
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (err) {
+            return;
+        }
+        const klines = source.parse(msg);
+        if (klines.length === 0) return;
+        failures = 0;
+        setConnected(true, source.name);
+        klines.forEach(handleKline);
+    });
+
+    socket.on('error', (err) => {
+        console.error(`marketData: ${source.name} stream error:`, err.message || err);
+    });
+
+    socket.on('close', () => {
+        clearTimers();
+        if (ws !== socket) return; // replaced by a newer connection (symbol change / stop)
+        ws = null;
+        setConnected(false, source.name);
+        scheduleReconnect();
+    });
+}
+
+function scheduleReconnect() {
+    if (!running || reconnectTimer) return;
+    failures++;
+    if (failures >= SWITCH_AFTER_FAILURES) {
+        sourceIndex = (sourceIndex + 1) % STREAM_SOURCES.length;
+        failures = 0;
+        console.log(`marketData: switching stream source to ${STREAM_SOURCES[sourceIndex].name}`);
+    }
+    const delay = Math.min(MAX_RECONNECT_DELAY_MS, 1000 * Math.pow(2, failures));
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+    }, delay);
+}
+
+function disconnect() {
+    clearTimers();
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (ws) {
+        const socket = ws;
+        ws = null;
+        socket.terminate();
+    }
+    setConnected(false, STREAM_SOURCES[sourceIndex].name);
+}
+
+// ----- Public API -----
+// symbolList: symbols to stream; intervalList: timeframes to keep candle buffers for (e.g. strategy timeframes)
+function start(symbolList, intervalList) {
+    running = true;
+    intervals = Array.from(new Set(intervalList));
+    setSymbols(symbolList);
+}
+
+function stop() {
+    running = false;
+    disconnect();
+}
+
+// Change the streamed symbols (reconnects; new symbols are backfilled over REST)
+function setSymbols(symbolList) {
+    const next = Array.from(new Set(symbolList)).sort();
+    if (next.join(',') === symbols.join(',') && (ws || reconnectTimer)) return;
+    symbols = next;
+    for (const key of Array.from(buffers.keys())) {
+        if (!symbols.includes(key.split('|')[0])) buffers.delete(key);
+    }
+    if (!running) return;
+    for (const sym of symbols) {
+        for (const tf of intervals) {
+            if (!getBuffer(sym, tf).ready) scheduleBackfill(sym, tf);
+        }
+    }
+    disconnect();
+    connect();
+}
+
+// Latest streamed price of a symbol, or null when the stream has nothing recent for it
+function getLastTick(symbol) {
+    const tick = lastTicks.get(symbol);
+    if (!connected || !tick || Date.now() - tick.receivedAt > STALE_MS) return null;
+    return tick;
+}
+
+function isLive(symbol) {
+    return getLastTick(symbol) !== null;
+}
+
+function getStatus() {
+    return {
+        running,
+        connected,
+        source: STREAM_SOURCES[sourceIndex].name,
+        symbols: symbols.length,
+        liveSymbols: symbols.filter(isLive).length,
+        readyBuffers: Array.from(buffers.values()).filter(b => b.ready).length,
+        totalBuffers: symbols.length * intervals.length
+    };
+}
+
+function on(event, listener) {
+    emitter.on(event, listener);
+}
+
+module.exports = {
+    start,
+    stop,
+    setSymbols,
+    getCandles,
+    getLastTick,
+    isLive,
+    getStatus,
+    on
+};
@@ -0,0 +1,136 @@
+// mockExchange.js
+// Local mock of the Binance USDⓈ-M Futures endpoints used by execution.js, để test execution không cần tài khoản thật.
+// Kiểm tra API key + chữ ký HMAC giống Binance, lưu lệnh / vị thế trong RAM.
+//   npm run mock-exchange            (port MOCK_EXCHANGE_PORT, mặc định 4010)
+//   EXECUTION=live EXEC_BASE_URL=http://127.0.0.1:4010 BINANCE_API_KEY=mock-key BINANCE_API_SECRET=mock-secret
+// Giá được đặt qua POST /mock/price?symbol=BTCUSDT&price=65000: lệnh MARKET khớp ở giá này,
+// TAKE_PROFIT_MARKET / STOP_MARKET khớp khi giá đi qua stopPrice. GET /mock/state xem toàn bộ trạng thái.
+// Kịch bản kiểm tra tự động (mở lệnh -> TP -> reconcile -> hết hạn): npm run execution-check (executionCheck.js).
+
+const express = require('express');
+const { sign } = require('./execution');
+
+function createMockExchange(options = {}) {
+    const apiKey = options.apiKey || process.env.MOCK_API_KEY || 'mock-key';
+    const apiSecret = options.apiSecret || process.env.MOCK_API_SECRET || 'mock-secret';
+    const state = { prices: {}, orders: [], positions: {}, leverage: {} };
+    let nextOrderId = 1;
+
+    const app = express();
+
+    function reject(res, status, code, msg) {
+        res.status(status).json({ code, msg });
+    }
+
+    // API key + signature over the raw query string (everything before &signature=)
+    function authenticate(req, res, next) {
+        if (req.get('X-MBX-APIKEY') !== apiKey) return reject(res, 401, -2015, 'Invalid API-key, IP, or permissions for action.');
+        const raw = req.originalUrl.split('?')[1] || '';
+        const idx = raw.lastIndexOf('&signature=');
+        if (idx < 0 || sign(raw.slice(0, idx), apiSecret) !== raw.slice(idx + '&signature='.length)) {
+            return reject(res, 400, -1022, 'Signature for this request is not valid.');
+        }
+        next();
+    }
+
+    function fill(order, price) {
+        order.status = 'FILLED';
+        order.avgPrice = String(price);
+        order.executedQty = order.origQty;
+        order.updateTime = Date.now();
+        const qty = parseFloat(order.origQty) * (order.side === 'BUY' ? 1 : -1);
+        state.positions[order.symbol] = parseFloat(((state.positions[order.symbol] || 0) + qty).toFixed(8));
+    }
+
+    function triggered(order, price) {
+        if (order.status !== 'NEW') return false;
+        const stop = parseFloat(order.stopPrice);
+        // closing a long (SELL): TP above, SL below; closing a short (BUY): the opposite
+        if (order.type === 'TAKE_PROFIT_MARKET') return order.side === 'SELL' ? price >= stop : price <= stop;
+        if (order.type === 'STOP_MARKET') return order.side === 'SELL' ? price <= stop : price >= stop;
+        return false;
+    }
+
+    function findOrder(q) {
+        return state.orders.find(o => o.symbol === q.symbol &&
+            (q.origClientOrderId ? o.clientOrderId === q.origClientOrderId : String(o.orderId) === String(q.orderId)));
+    }
+
+    app.post('/fapi/v1/leverage', authenticate, (req, res) => {
+        state.leverage[req.query.symbol] = parseInt(req.query.leverage);
+        res.json({ symbol: req.query.symbol, leverage: state.leverage[req.query.symbol], maxNotionalValue: '1000000' });
+    });
+
+    app.post('/fapi/v1/order', authenticate, (req, res) => {
+        const q = req.query;
+        if (!['MARKET', 'TAKE_PROFIT_MARKET', 'STOP_MARKET'].includes(q.type)) return reject(res, 400, -1116, 'Invalid orderType.');
+        if (q.newClientOrderId && state.orders.some(o => o.clientOrderId === q.newClientOrderId)) return reject(res, 400, -4015, 'Client order id is not valid.');
+        const price = state.prices[q.symbol];
+        if (q.type === 'MARKET' && !price) return reject(res, 400, -1121, 'Invalid symbol (no mock price set).');
+        if (q.reduceOnly === 'true') {
+            const pos = state.positions[q.symbol] || 0;
+            if (pos === 0 || (pos > 0) === (q.side === 'BUY')) return reject(res, 400, -2022, 'ReduceOnly Order is rejected.');
+        }
+        const order = {
+            orderId: nextOrderId++,
+            clientOrderId: q.newClientOrderId || `mock_${Date.now()}`,
+            symbol: q.symbol,
+            side: q.side,
+            type: q.type,
+            origQty: String(q.quantity),
+            stopPrice: q.stopPrice || '0',
+            reduceOnly: q.reduceOnly === 'true',
+            status: 'NEW',
+            avgPrice: '0',
+            executedQty: '0',
+            updateTime: Date.now()
+        };
+        state.orders.push(order);
+        if (q.type === 'MARKET') fill(order, price);
+        res.json(order);
+    });
+
+    app.get('/fapi/v1/order', authenticate, (req, res) => {
+        const order = findOrder(req.query);
+        if (!order) return reject(res, 400, -2013, 'Order does not exist.');
+        res.json(order);
+    });
+
+    app.delete('/fapi/v1/order', authenticate, (req, res) => {
+        const order = findOrder(req.query);
+        if (!order) return reject(res, 400, -2011, 'Unknown order sent.');
+        if (order.status !== 'NEW') return reject(res, 400, -2011, 'Unknown order sent.');
+        order.status = 'CANCELED';
+        order.updateTime = Date.now();
+        res.json(order);
+    });
+
+    // ----- mock controls -----
+    app.post('/mock/price', (req, res) => {
+        const price = parseFloat(req.query.price);
+        state.prices[req.query.symbol] = price;
+        const filled = [];
+        for (const order of state.orders.filter(o => o.symbol === req.query.symbol)) {
+            if (!triggered(order, price)) continue;
+            // reduce-only legs only fill while there is a position left to reduce
+            if (order.reduceOnly && !state.positions[order.symbol]) {
+                order.status = 'EXPIRED';
+                continue;
+            }
+            fill(order, price);
+            filled.push(order.clientOrderId);
+        }
+        res.json({ symbol: req.query.symbol, price, filled });
+    });
+
+    app.get('/mock/state', (req, res) => res.json(state));
+
+    return { app, state };
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_EXCHANGE_PORT) || 4010;
+    createMockExchange().app.listen(port, () => console.log(`Mock Binance Futures listening on http://127.0.0.1:${port}`));
+}
+
+module.exports = { createMockExchange };
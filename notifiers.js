@@ -0,0 +1,211 @@
+// notifiers.js
+// Gửi mọi broadcast (tín hiệu, cập nhật, kết quả, báo cáo...) ra các kênh ngoài ngoài subscriber Telegram:
+//   - telegram: channel hoặc group (topic của forum group qua topicId), đi qua delivery queue của bot
+//   - discord:  Discord webhook (kèm ảnh chart khi có)
+//   - webhook:  JSON payload máy đọc được, ký HMAC-SHA256 (header X-Signature), retry có backoff
+// Mỗi đích có template riêng ({{text}}, {{coin}}, {{side}}, {{entry}}, ... xem templateValues) và danh sách kinds.
+// Config: file JSON (env NOTIFIERS_FILE, mặc định notifiers.json cạnh index.js), xem notifiers.example.json.
+// Giá trị dạng "env:NAME" được đọc từ biến môi trường (để secret / URL không nằm trong file).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const api = require('./api');
+
+const TYPES = ['telegram', 'discord', 'webhook'];
+const MAX_ATTEMPTS = 4; // discord / webhook: 1 try + 3 retries (1s, 2s, 4s; 429 waits retry_after)
+const BASE_RETRY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const DISCORD_LIMIT = 2000; // message content limit
+const DEFAULT_TEMPLATE = '{{text}}';
+
+let destinations = []; // validated config entries + counters
+let telegramSend = null; // (chatId, text, options) -> delivery receipt, set by init()
+
+function resolveValue(value) {
+    if (typeof value === 'string' && value.startsWith('env:')) return process.env[value.slice(4)] || '';
+    return value;
+}
+
+// Validate one config entry; returns the destination or null (with a warning)
+function toDestination(entry, i) {
+    const d = {};
+    for (const [key, value] of Object.entries(entry || {})) d[key] = resolveValue(value);
+    d.name = d.name || `${d.type}#${i + 1}`;
+    const problem = !TYPES.includes(d.type) ? `unknown type "${d.type}" (${TYPES.join(', ')})`
+        : d.type === 'telegram' && !d.chatId ? 'chatId is required'
+        : d.type !== 'telegram' && !/^https?:\/\//.test(d.url || '') ? 'url is required'
+        : d.kinds && !Array.isArray(d.kinds) ? 'kinds must be an array'
+        : null;
+    if (problem) {
+        console.warn(`notifiers: skipping ${d.name}: ${problem}`);
+        return null;
+    }
+    return Object.assign(d, { enabled: d.enabled !== false, sent: 0, failed: 0, lastError: null });
+}
+
+// Load NOTIFIERS_FILE (missing file = no external destinations)
+function load(file = process.env.NOTIFIERS_FILE || path.join(__dirname, 'notifiers.json')) {
+    destinations = [];
+    if (!fs.existsSync(file)) return destinations;
+    try {
+        const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(list)) throw new Error('expected a JSON array of destinations');
+        destinations = list.map(toDestination).filter(Boolean);
+        console.log(`notifiers: ${destinations.length} destination(s) from ${file}: ${destinations.map(d => `${d.name} (${d.type})`).join(', ')}`);
+    } catch (err) {
+        console.error(`notifiers: cannot load ${file}:`, err.message);
+    }
+    return destinations;
+}
+
+// options: { telegramSend: (chatId, text, options) -> Promise<receipt> } (deliveryQueue enqueue of the bot)
+function init(options = {}) {
+    telegramSend = options.telegramSend || null;
+    return load(options.file);
+}
+
+function fmt(n) {
+    return n === null || n === undefined || isNaN(n) ? '' : String(Number(n));
+}
+
+// Placeholders available in templates
+function templateValues(kind, text, signal) {
+    const s = signal || {};
+    return {
+        text,
+        kind,
+        time: moment().tz('Asia/Ho_Chi_Minh').format('DD/MM/YYYY HH:mm'),
+        id: s.id || '',
+        symbol: s.symbol || '',
+        coin: s.symbol ? s.symbol.replace('USDT', '') : '',
+        side: s.side || '',
+        strategy: s.strategyName || s.strategy || '',
+        entry: fmt(s.entry),
+        sl: fmt(s.sl),
+        tp: fmt(s.tp),
+        stop: fmt(s.stop !== undefined ? s.stop : s.sl),
+        targets: (s.targets || []).map(t => `${t.level} ${t.price}`).join(' | ') || fmt(s.tp),
+        rr: fmt(s.rr),
+        confidence: fmt(s.confidence),
+        status: s.status || '',
+        realizedR: fmt(s.realizedR),
+        pnlPct: fmt(s.pnlPct)
+    };
+}
+
+function render(template, values) {
+    return String(template || DEFAULT_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (values[key] !== undefined ? values[key] : ''));
+}
+
+// POST with retries: network errors, 5xx and 429 (retry_after / Retry-After) are retried, other 4xx are final
+async function postWithRetry(url, body, headers) {
+    let lastErr;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            await axios.post(url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+            return attempt;
+        } catch (err) {
+            lastErr = err;
+            const status = err.response && err.response.status;
+            if (status && status < 500 && status !== 429) break;
+            if (attempt === MAX_ATTEMPTS) break;
+            let waitMs = BASE_RETRY_MS * Math.pow(2, attempt - 1);
+            if (status === 429) {
+                const retryAfter = parseFloat((err.response.data && err.response.data.retry_after) || err.response.headers['retry-after']);
+                if (retryAfter > 0) waitMs = retryAfter * 1000;
+            }
+            await new Promise(r => setTimeout(r, waitMs));
+        }
+    }
+    const status = lastErr.response && lastErr.response.status;
+    throw new Error(status ? `HTTP ${status}` : (lastErr.code || lastErr.message));
+}
+
+// ----- Senders: (destination, { kind, text, signal, photo }) -> Promise -----
+async function sendTelegram(d, msg) {
+    if (!telegramSend) throw new Error('telegram sender not initialised');
+    const options = {};
+    if (d.topicId) options.message_thread_id = d.topicId;
+    if (msg.photo && d.photos !== false) options.photo = msg.photo;
+    // follow-ups reply to the signal post of this chat, like for subscribers
+    const deliveries = msg.signal && msg.signal.deliveries;
+    if (msg.kind !== 'signal' && deliveries && deliveries[d.chatId]) {
+        options.reply_to_message_id = deliveries[d.chatId];
+        options.allow_sending_without_reply = true;
+    }
+    const receipt = await telegramSend(d.chatId, render(d.template, templateValues(msg.kind, msg.text, msg.signal)), options);
+    if (!receipt.ok) throw new Error(receipt.error || receipt.status);
+    if (msg.kind === 'signal' && deliveries && receipt.messageId) deliveries[d.chatId] = receipt.messageId;
+}
+
+async function sendDiscord(d, msg) {
+    const content = render(d.template, templateValues(msg.kind, msg.text, msg.signal)).slice(0, DISCORD_LIMIT);
+    const payload = { content, username: d.username || undefined, allowed_mentions: { parse: [] } };
+    if (!msg.photo || d.photos === false) return postWithRetry(d.url, payload, { 'Content-Type': 'application/json' });
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(payload));
+    form.append('files[0]', new Blob([msg.photo.buffer], { type: 'image/png' }), 'chart.png');
+    return postWithRetry(d.url, form, {});
+}
+
+// Body: { event, time, signal, message, text }; X-Signature = "sha256=" + HMAC(secret, `${X-Timestamp}.${body}`)
+async function sendWebhook(d, msg) {
+    const body = JSON.stringify({
+        event: msg.kind,
+        time: new Date().toISOString(),
+        signal: msg.signal ? api.serializeSignal(msg.signal) : null,
+        message: d.template ? render(d.template, templateValues(msg.kind, msg.text, msg.signal)) : null,
+        text: msg.text
+    });
+    const headers = Object.assign({ 'Content-Type': 'application/json', 'User-Agent': 'NemesisBot-Webhook/1.0' }, d.headers || {});
+    if (d.secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Timestamp'] = timestamp;
+        headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', d.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+    return postWithRetry(d.url, body, headers);
+}
+
+const SENDERS = { telegram: sendTelegram, discord: sendDiscord, webhook: sendWebhook };
+
+// Send one broadcast to every destination subscribed to `kind`; never throws
+// message: { text, signal?, photo? } -> [{ name, type, ok, error }]
+async function notify(kind, message) {
+    const targets = destinations.filter(d => d.enabled && (!d.kinds || d.kinds.includes(kind)));
+    return Promise.all(targets.map(async d => {
+        try {
+            await SENDERS[d.type](d, Object.assign({ kind }, message));
+            d.sent++;
+            return { name: d.name, type: d.type, ok: true, error: null };
+        } catch (err) {
+            d.failed++;
+            d.lastError = { time: new Date().toISOString(), message: err.message || String(err) };
+            console.warn(`notifiers: ${kind} to ${d.name} (${d.type}) failed: ${d.lastError.message}`);
+            return { name: d.name, type: d.type, ok: false, error: d.lastError.message };
+        }
+    }));
+}
+
+function getStatus() {
+    return destinations.map(d => ({
+        name: d.name,
+        type: d.type,
+        enabled: d.enabled,
+        kinds: d.kinds || 'all',
+        sent: d.sent,
+        failed: d.failed,
+        lastError: d.lastError
+    }));
+}
+
+module.exports = {
+    init,
+    load,
+    render,
+    templateValues,
+    notify,
+    getStatus
+};
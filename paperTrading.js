@@ -0,0 +1,159 @@
+// paperTrading.js
+// Paper-trading account: mỗi tín hiệu mở một vị thế ảo, size theo % risk và khoảng cách SL,
+// có phí taker + slippage cho mỗi lần khớp lệnh market, đòn bẩy giới hạn notional / margin.
+// Balance = tiền mặt đã chốt (đã trừ phí); equity = balance + lãi/lỗ chưa chốt của các vị thế đang mở.
+// Config qua env:
+//   PAPER_TRADING=on|off, PAPER_START_BALANCE (USDT), PAPER_RISK_PCT (% balance mỗi lệnh),
+//   PAPER_TAKER_FEE_PCT, PAPER_SLIPPAGE_PCT, PAPER_LEVERAGE
+
+const symbolRegistry = require('./symbolRegistry');
+
+function envNumber(name, fallback) {
+    const v = parseFloat(process.env[name]);
+    return isNaN(v) ? fallback : v;
+}
+
+function getConfig() {
+    return {
+        enabled: (process.env.PAPER_TRADING || 'on').trim().toLowerCase() !== 'off',
+        startBalance: envNumber('PAPER_START_BALANCE', 1000),
+        riskPct: envNumber('PAPER_RISK_PCT', 2),
+        takerFeePct: envNumber('PAPER_TAKER_FEE_PCT', 0.05),
+        slippagePct: envNumber('PAPER_SLIPPAGE_PCT', 0.02),
+        leverage: Math.max(1, envNumber('PAPER_LEVERAGE', 10))
+    };
+}
+
+function createAccount(config = getConfig()) {
+    return {
+        startBalance: config.startBalance,
+        balance: config.startBalance,
+        realizedPnl: 0,
+        feesPaid: 0,
+        trades: 0,
+        wins: 0,
+        losses: 0,
+        peakEquity: config.startBalance,
+        maxDrawdownPct: 0,
+        createdAt: (new Date()).toISOString()
+    };
+}
+
+function round(n, decimals = 4) {
+    return parseFloat(Number(n).toFixed(decimals));
+}
+
+// Market fill with slippage against us: buying pays more, selling receives less
+function fillPrice(price, buying, slippagePct) {
+    return price * (1 + (buying ? 1 : -1) * slippagePct / 100);
+}
+
+// Open a paper position for a signal.
+// usedMargin: margin already locked by other open positions
+// returns the position, or { skipped: reason } when nothing can be opened
+function openPosition(account, signal, usedMargin = 0, config = getConfig()) {
+    const buying = signal.side === 'LONG';
+    const entryFill = fillPrice(signal.entry, buying, config.slippagePct);
+    const stopDistance = Math.abs(entryFill - signal.sl);
+    const riskAmount = account.balance * config.riskPct / 100;
+    if (account.balance <= 0 || stopDistance <= 0) return { skipped: 'no balance or SL distance' };
+
+    // size from risk, capped by the margin still free at the configured leverage
+    const freeMargin = Math.max(0, account.balance - usedMargin);
+    let qty = riskAmount / stopDistance;
+    const maxQty = (freeMargin * config.leverage) / entryFill;
+    const capped = qty > maxQty;
+    if (capped) qty = maxQty;
+    qty = symbolRegistry.roundQty(signal.symbol, qty);
+    if (!(qty > 0)) return { skipped: 'not enough free margin' };
+
+    const notional = qty * entryFill;
+    const entryFee = notional * config.takerFeePct / 100;
+    account.balance -= entryFee;
+    account.feesPaid += entryFee;
+
+    return {
+        side: signal.side,
+        qty,
+        entryFill: round(entryFill, 8),
+        notional: round(notional),
+        margin: round(notional / config.leverage),
+        leverage: config.leverage,
+        riskAmount: round(Math.min(riskAmount, qty * stopDistance)),
+        cappedByMargin: capped,
+        entryFee: round(entryFee),
+        balanceAtOpen: round(account.balance + entryFee),
+        openedAt: (new Date()).toISOString(),
+        closed: false
+    };
+}
+
+// Close a position at exitPrice (market, same fee + slippage); updates the account and returns the position
+function closePosition(account, position, exitPrice, config = getConfig()) {
+    if (!position || position.closed || position.skipped) return position;
+    const dir = position.side === 'LONG' ? 1 : -1;
+    const exitFill = fillPrice(exitPrice, position.side !== 'LONG', config.slippagePct);
+    const grossPnl = (exitFill - position.entryFill) * position.qty * dir;
+    const exitFee = exitFill * position.qty * config.takerFeePct / 100;
+    const netPnl = grossPnl - exitFee - position.entryFee;
+
+    account.balance += grossPnl - exitFee;
+    account.feesPaid += exitFee;
+    account.realizedPnl += netPnl;
+    account.trades++;
+    if (netPnl > 0) account.wins++;
+    else account.losses++;
+
+    return Object.assign(position, {
+        closed: true,
+        exitFill: round(exitFill, 8),
+        exitFee: round(exitFee),
+        grossPnl: round(grossPnl),
+        netPnl: round(netPnl),
+        returnPct: position.balanceAtOpen > 0 ? round((netPnl / position.balanceAtOpen) * 100, 2) : 0,
+        netR: position.riskAmount > 0 ? round(netPnl / position.riskAmount, 2) : 0,
+        closedAt: (new Date()).toISOString()
+    });
+}
+
+// Unrealized P/L at `price` (exit fee and slippage included, as if closed now)
+function unrealizedPnl(position, price, config = getConfig()) {
+    if (!position || position.closed || position.skipped || !price) return 0;
+    const dir = position.side === 'LONG' ? 1 : -1;
+    const exitFill = fillPrice(price, position.side !== 'LONG', config.slippagePct);
+    return (exitFill - position.entryFill) * position.qty * dir - exitFill * position.qty * config.takerFeePct / 100;
+}
+
+// openPositions: [{ position, price }]
+function computeEquity(account, openPositions, config = getConfig()) {
+    return account.balance + openPositions.reduce((a, p) => a + unrealizedPnl(p.position, p.price, config), 0);
+}
+
+// Track peak equity and max drawdown after every equity update
+function updateDrawdown(account, equity) {
+    account.peakEquity = Math.max(account.peakEquity, equity);
+    const dd = account.peakEquity > 0 ? ((account.peakEquity - equity) / account.peakEquity) * 100 : 0;
+    account.maxDrawdownPct = round(Math.max(account.maxDrawdownPct, dd), 2);
+}
+
+// Text sparkline of an equity series
+function sparkline(values, width = 24) {
+    if (values.length === 0) return '';
+    const step = Math.max(1, Math.ceil(values.length / width));
+    const sampled = values.filter((v, i) => i % step === 0 || i === values.length - 1);
+    const min = Math.min(...sampled);
+    const max = Math.max(...sampled);
+    const bars = '▁▂▃▄▅▆▇█';
+    return sampled.map(v => bars[max === min ? 3 : Math.round(((v - min) / (max - min)) * (bars.length - 1))]).join('');
+}
+
+module.exports = {
+    getConfig,
+    createAccount,
+    openPosition,
+    closePosition,
+    unrealizedPnl,
+    computeEquity,
+    updateDrawdown,
+    sparkline
+};
@@ -0,0 +1,138 @@
+// preferences.js
+// Per-user subscription settings (lưu trong user.settings):
+//   symbols        -> watchlist, [] = mọi coin
+//   mutedSymbols   -> coin bị tắt (nút "Mute this symbol" trên tín hiệu)
+//   side           -> 'LONG' | 'SHORT' | null (cả hai)
+//   minConfidence  -> chỉ nhận tín hiệu có confidence >= giá trị này
+//   minRR          -> chỉ nhận tín hiệu có RR >= giá trị này
+//   quietHours     -> { start, end } giờ trong ngày (0-23) theo timezone của user, không gửi tin trong khoảng này
+//   timezone       -> IANA timezone, mặc định Asia/Ho_Chi_Minh
+//   language       -> 'vi' | 'en' (i18n.js), null = DEFAULT_LANGUAGE
+
+const moment = require('moment-timezone');
+const i18n = require('./i18n');
+
+const DEFAULT_SETTINGS = {
+    symbols: [],
+    mutedSymbols: [],
+    side: null,
+    minConfidence: null,
+    minRR: null,
+    quietHours: null,
+    timezone: 'Asia/Ho_Chi_Minh',
+    language: null
+};
+
+function getSettings(user) {
+    return Object.assign({}, DEFAULT_SETTINGS, (user && user.settings) || {});
+}
+
+function updateSettings(user, changes) {
+    user.settings = Object.assign(getSettings(user), changes);
+    return user.settings;
+}
+
+function normalizeSymbol(token) {
+    const sym = token.trim().toUpperCase();
+    return sym.endsWith('USDT') ? sym : sym + 'USDT';
+}
+
+// "/watch BTC ETH" -> ['BTCUSDT', 'ETHUSDT']; "/watch all" -> []
+function parseWatchlist(text) {
+    const tokens = (text || '').split(/[\s,]+/).filter(Boolean);
+    if (tokens.length === 1 && tokens[0].toLowerCase() === 'all') return [];
+    return Array.from(new Set(tokens.map(normalizeSymbol)));
+}
+
+// "23-07" -> { start: 23, end: 7 }; "off" -> null; invalid -> undefined
+function parseQuietHours(text) {
+    const raw = (text || '').trim().toLowerCase();
+    if (raw === 'off' || raw === 'tắt') return null;
+    const m = raw.match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+    if (!m) return undefined;
+    const start = parseInt(m[1]);
+    const end = parseInt(m[2]);
+    if (start > 23 || end > 23 || start === end) return undefined;
+    return { start, end };
+}
+
+function isValidTimezone(tz) {
+    return !!moment.tz.zone(tz);
+}
+
+// quiet window [start, end) in the user's timezone; wraps midnight when start > end
+function isQuietTime(user, now = moment()) {
+    const settings = getSettings(user);
+    if (!settings.quietHours) return false;
+    const hour = now.clone().tz(settings.timezone).hour();
+    const { start, end } = settings.quietHours;
+    return start < end ? (hour >= start && hour < end) : (hour >= start || hour < end);
+}
+
+function matchesSignal(user, signal) {
+    const settings = getSettings(user);
+    if (settings.symbols.length && !settings.symbols.includes(signal.symbol)) return false;
+    if (settings.mutedSymbols.includes(signal.symbol)) return false;
+    if (settings.side && signal.side !== settings.side) return false;
+    if (settings.minConfidence !== null && (signal.confidence || 0) < settings.minConfidence) return false;
+    if (settings.minRR !== null && (signal.rr || 0) < settings.minRR) return false;
+    return true;
+}
+
+// Whether a broadcast should reach this user: quiet hours apply to everything,
+// signal filters apply to messages about a signal (new signal, result, expiry).
+// Users who pressed "Track this trade" always get the updates of that signal.
+function shouldDeliver(user, context = {}, now = moment()) {
+    if (context.signal && (context.signal.trackedBy || []).includes(user.chatId)) return true;
+    if (isQuietTime(user, now)) return false;
+    if (context.signal && !matchesSignal(user, context.signal)) return false;
+    return true;
+}
+
+// Language + timezone of the user's messages (i18n locale)
+function getLocale(user) {
+    const s = getSettings(user);
+    return i18n.getLocale(s.language || i18n.getDefaultLanguage(), s.timezone);
+}
+
+function formatSettings(user) {
+    const s = getSettings(user);
+    const loc = getLocale(user);
+    const pad = h => String(h).padStart(2, '0');
+    return loc.t('settings.text', {
+        symbols: s.symbols.length ? s.symbols.map(x => x.replace('USDT', '')).join(', ') : loc.t('common.all'),
+        muted: s.mutedSymbols.length ? s.mutedSymbols.map(x => x.replace('USDT', '')).join(', ') : '-',
+        side: s.side || 'LONG + SHORT',
+        minConfidence: s.minConfidence !== null ? `${loc.number(s.minConfidence)}%` : '-',
+        minRR: s.minRR !== null ? loc.number(s.minRR) : '-',
+        quiet: s.quietHours ? `${pad(s.quietHours.start)}:00-${pad(s.quietHours.end)}:00` : loc.t('common.off'),
+        timezone: s.timezone,
+        language: i18n.languageName(loc.lang)
+    });
+}
+
+function muteSymbol(user, symbol) {
+    const muted = getSettings(user).mutedSymbols.filter(sym => sym !== symbol);
+    return updateSettings(user, { mutedSymbols: muted.concat(symbol) });
+}
+
+function unmuteSymbols(user, symbols) {
+    const muted = getSettings(user).mutedSymbols.filter(sym => !symbols.includes(sym));
+    return updateSettings(user, { mutedSymbols: muted });
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getSettings,
+    updateSettings,
+    getLocale,
+    muteSymbol,
+    unmuteSymbols,
+    parseWatchlist,
+    parseQuietHours,
+    isValidTimezone,
+    isQuietTime,
+    matchesSignal,
+    shouldDeliver,
+    formatSettings
+};
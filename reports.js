@@ -0,0 +1,106 @@
+// reports.js
+// Báo cáo cuối ngày / tổng kết tuần gửi qua broadcast: danh sách tín hiệu trong ngày với kết quả,
+// tổng R, win rate, lệnh còn mở; tuần = thống kê theo từng ngày + coin tốt / tệ nhất.
+// Ranh giới ngày / tuần tính theo giờ Việt Nam (Asia/Ho_Chi_Minh), tuần bắt đầu từ thứ Hai.
+// Nội dung theo ngôn ngữ / định dạng số và ngày của locale người nhận (i18n.js).
+
+const moment = require('moment-timezone');
+const stats = require('./stats');
+const i18n = require('./i18n');
+
+const VN_TZ = 'Asia/Ho_Chi_Minh';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [from, to) in ms of the VN day / week containing `time`
+function dayRange(time) {
+    const start = moment(time).tz(VN_TZ).startOf('day');
+    return { from: start.valueOf(), to: start.clone().add(1, 'day').valueOf(), label: start.format('DD/MM/YYYY') };
+}
+
+function weekRange(time) {
+    const start = moment(time).tz(VN_TZ).startOf('isoWeek');
+    const end = start.clone().add(7, 'days');
+    return { from: start.valueOf(), to: end.valueOf(), label: `${start.format('DD/MM')} - ${end.clone().subtract(1, 'day').format('DD/MM/YYYY')}` };
+}
+
+function createdBetween(signals, from, to) {
+    return signals.filter(s => {
+        const t = new Date(s.createdAt).getTime();
+        return t >= from && t < to;
+    });
+}
+
+function fmtR(r, loc) {
+    return `${r >= 0 ? '+' : ''}${loc.number(r, 2)}R`;
+}
+
+function outcomeIcon(s) {
+    if (s.status === 'OPEN') return '⏳';
+    if (stats.isWin(s)) return '✅';
+    if (stats.isLoss(s)) return '❌';
+    return s.status === 'EXPIRED' ? '⌛' : '🛑';
+}
+
+function signalLine(s, loc) {
+    const coin = s.symbol.replace('USDT', '');
+    const head = `${outcomeIcon(s)} #${coin} ${s.side}${s.signalIndex ? ` [${s.signalIndex}]` : ''}`;
+    if (s.status === 'OPEN') {
+        const taken = (s.fills || []).map(f => f.level).join('+');
+        return `${head} – ${taken ? loc.t('report.openTaken', { taken }) : loc.t('report.open')}`;
+    }
+    return `${head} – ${s.status} ${fmtR(s.realizedR || 0, loc)}`;
+}
+
+function summaryLines(closed, loc) {
+    const st = stats.computeStats(closed);
+    return [
+        loc.t('report.closed', { trades: st.trades, wins: st.wins, losses: st.losses, expired: st.expired }),
+        loc.t('report.winRate', { rate: loc.number(st.winRate, 1) }),
+        loc.t('report.net', { r: fmtR(st.totalR, loc), pnl: loc.number(st.totalPnlPct, 2) })
+    ];
+}
+
+// history: closed signal records, open: active signals; `time` = any moment inside the day
+function buildDailyReport(history, open, time, loc = i18n.getLocale()) {
+    const { from, to } = dayRange(time);
+    const title = loc.t('report.dailyTitle', { label: loc.date(from, 'date', VN_TZ) });
+    const closed = createdBetween(history, from, to);
+    const stillOpen = createdBetween(open, from, to);
+    const all = closed.concat(stillOpen).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    if (all.length === 0) return `${title}\n\n${loc.t('report.dailyEmpty')}`;
+
+    const lines = [title, '', loc.t('report.count', { n: all.length, open: stillOpen.length })];
+    lines.push(...summaryLines(closed, loc), '', ...all.map(s => signalLine(s, loc)));
+    return lines.join('\n');
+}
+
+function buildWeeklyReport(history, open, time, loc = i18n.getLocale()) {
+    const { from, to } = weekRange(time);
+    const title = loc.t('report.weeklyTitle', { label: `${loc.date(from, 'dayMonth', VN_TZ)} - ${loc.date(to - DAY_MS, 'date', VN_TZ)}` });
+    const closed = createdBetween(history, from, to);
+    const stillOpen = createdBetween(open, from, to);
+    if (closed.length + stillOpen.length === 0) return `${title}\n\n${loc.t('report.weeklyEmpty')}`;
+
+    const st = stats.computeStats(closed);
+    const lines = [title, '', loc.t('report.count', { n: closed.length + stillOpen.length, open: stillOpen.length })];
+    lines.push(...summaryLines(closed, loc));
+    lines.push(loc.t('report.streaks', { win: st.maxWinStreak, loss: st.maxLossStreak }), '');
+    for (let day = from; day < to; day += DAY_MS) {
+        const dayClosed = createdBetween(closed, day, day + DAY_MS);
+        const dayOpen = createdBetween(stillOpen, day, day + DAY_MS);
+        if (dayClosed.length + dayOpen.length === 0) continue;
+        const r = dayClosed.reduce((a, s) => a + (s.realizedR || 0), 0);
+        lines.push(loc.t('report.day', { day: loc.weekdayShort(day, VN_TZ), date: loc.date(day, 'dayMonth', VN_TZ), n: dayClosed.length + dayOpen.length, r: fmtR(r, loc) }) +
+            (dayOpen.length ? loc.t('report.dayOpen', { n: dayOpen.length }) : ''));
+    }
+    const symbolList = arr => arr.map(x => `${x.symbol.replace('USDT', '')} ${fmtR(x.totalR, loc)}`).join(', ') || '-';
+    lines.push('', loc.t('report.best', { list: symbolList(st.best) }), loc.t('report.worst', { list: symbolList(st.worst) }));
+    return lines.join('\n');
+}
+
+module.exports = {
+    dayRange,
+    weekRange,
+    buildDailyReport,
+    buildWeeklyReport
+};
@@ -0,0 +1,229 @@
+// scheduler.js
+// Central scheduler cho các job định kỳ của bot (monitor tín hiệu, scan, persist, reconcile...):
+//   - mỗi job một timer duy nhất, không bao giờ chạy chồng (lần chạy chậm thì lần sau chờ nó xong)
+//   - lỗi -> backoff luỹ tiến (30s, 60s, ... tối đa 10 phút), thành công -> về lịch bình thường
+//   - lịch dạng interval ("90m", "30s", "24h") hoặc cron ("*/5 * * * *", thêm trường giây ở đầu nếu có 6 trường),
+//     cron tính theo giờ Việt Nam, ví dụ "10 */5 * * * *" = 10 giây sau mỗi lần đóng nến 5m
+
+const moment = require('moment-timezone');
+
+const TIMEZONE = 'Asia/Ho_Chi_Minh';
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// field -> [min, max] (day of week: 0 and 7 are Sunday)
+const CRON_FIELDS = [
+    ['second', 0, 59],
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['dayOfMonth', 1, 31],
+    ['month', 1, 12],
+    ['dayOfWeek', 0, 7]
+];
+
+const jobs = new Map(); // name -> job
+let started = false;
+
+// "*", "*/5", "1,15,30", "8-18", "0-30/10" -> Set of values
+function parseCronField(text, min, max) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        let from, to;
+        if (range === '*') {
+            from = min;
+            to = max;
+        } else if (range.includes('-')) {
+            [from, to] = range.split('-').map(v => parseInt(v));
+        } else {
+            from = parseInt(range);
+            to = stepText === undefined ? from : max;
+        }
+        if ([from, to, step].some(isNaN) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`invalid cron field "${text}"`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+// 5 fields (minute hour day month weekday) or 6 fields (second first)
+function parseCron(expr) {
+    const parts = expr.trim().split(/\s+/);
+    if (parts.length === 5) parts.unshift('0');
+    if (parts.length !== 6) throw new Error(`invalid cron expression "${expr}" (expected 5 or 6 fields)`);
+    const cron = { expr };
+    CRON_FIELDS.forEach(([name, min, max], i) => { cron[name] = parseCronField(parts[i], min, max); });
+    if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+    cron.anyDayOfMonth = parts[3] === '*';
+    cron.anyDayOfWeek = parts[5] === '*';
+    return cron;
+}
+
+// standard cron: when both day fields are restricted, either one matching is enough
+function dayMatches(cron, m) {
+    const dom = cron.dayOfMonth.has(m.date());
+    const dow = cron.dayOfWeek.has(m.day());
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+    return dom || dow;
+}
+
+// First time (ms) strictly after `from` that matches the cron expression, null when none within a year
+function nextCronTime(cron, from = Date.now(), tz = TIMEZONE) {
+    const m = moment.tz(from, tz).millisecond(0).add(1, 'second');
+    const limit = from + 366 * 24 * 60 * 60 * 1000;
+    while (m.valueOf() <= limit) {
+        if (!cron.month.has(m.month() + 1)) m.add(1, 'month').startOf('month');
+        else if (!dayMatches(cron, m)) m.add(1, 'day').startOf('day');
+        else if (!cron.hour.has(m.hour())) m.add(1, 'hour').startOf('hour');
+        else if (!cron.minute.has(m.minute())) m.add(1, 'minute').startOf('minute');
+        else if (!cron.second.has(m.second())) m.add(1, 'second');
+        else return m.valueOf();
+    }
+    return null;
+}
+
+// "90m" / "30s" / "24h" / "60000" (ms) -> interval, anything with spaces -> cron
+function parseSchedule(text) {
+    const raw = String(text).trim().toLowerCase();
+    const match = raw.match(/^(\d+(?:\.\d+)?)\s*(s|m|h)?$/);
+    if (match) {
+        const ms = parseFloat(match[1]) * (match[2] ? UNIT_MS[match[2]] : 1);
+        if (!(ms >= 1000)) throw new Error(`interval too short: "${text}"`);
+        return { type: 'interval', ms, text: raw };
+    }
+    return { type: 'cron', cron: parseCron(raw), text: raw };
+}
+
+function nextRunTime(job, from) {
+    if (job.schedule.type === 'interval') return from + job.schedule.ms;
+    return nextCronTime(job.schedule.cron, from);
+}
+
+function arm(job, at) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRun = at;
+    if (!started || at === null) return;
+    job.timer = setTimeout(() => runJob(job), Math.max(0, at - Date.now()));
+}
+
+async function runJob(job) {
+    if (job.running) {
+        job.skipped++;
+        return false;
+    }
+    job.running = true;
+    const startedAt = Date.now();
+    try {
+        await job.fn();
+        job.failures = 0;
+        job.lastError = null;
+    } catch (err) {
+        job.failures++;
+        job.lastError = { time: new Date().toISOString(), message: err.message || String(err) };
+        console.error(`scheduler: job ${job.name} failed (${job.failures}x):`, err.message || err);
+    } finally {
+        job.running = false;
+        job.runs++;
+        job.lastRun = new Date(startedAt).toISOString();
+        job.lastDurationMs = Date.now() - startedAt;
+    }
+    // next run on schedule (interval counted from the start of this run), pushed back while failing
+    let next = nextRunTime(job, job.schedule.type === 'interval' ? startedAt : Date.now());
+    if (job.failures > 0) {
+        const backoff = Math.min(job.maxBackoffMs, job.backoffMs * Math.pow(2, job.failures - 1));
+        next = Math.max(next || 0, Date.now() + backoff);
+    }
+    arm(job, next === null ? null : Math.max(next, Date.now()));
+    return true;
+}
+
+// Register a job. schedule: "5m" | "*/5 * * * *" | { type, ... } (parseSchedule output)
+// options: { initialDelayMs (interval jobs: first run after this instead of one interval), backoffMs, maxBackoffMs }
+function addJob(name, fn, schedule, options = {}) {
+    if (jobs.has(name)) removeJob(name);
+    const job = {
+        name,
+        fn,
+        schedule: typeof schedule === 'string' ? parseSchedule(schedule) : schedule,
+        backoffMs: options.backoffMs || BASE_BACKOFF_MS,
+        maxBackoffMs: options.maxBackoffMs || MAX_BACKOFF_MS,
+        initialDelayMs: options.initialDelayMs,
+        running: false,
+        timer: null,
+        nextRun: null,
+        lastRun: null,
+        lastDurationMs: null,
+        lastError: null,
+        failures: 0,
+        runs: 0,
+        skipped: 0
+    };
+    jobs.set(name, job);
+    if (started) armFirst(job);
+    return job;
+}
+
+function armFirst(job) {
+    const now = Date.now();
+    if (job.schedule.type === 'interval' && job.initialDelayMs !== undefined) arm(job, now + job.initialDelayMs);
+    else arm(job, nextRunTime(job, now));
+}
+
+function removeJob(name) {
+    const job = jobs.get(name);
+    if (!job) return;
+    clearTimeout(job.timer);
+    jobs.delete(name);
+}
+
+function start() {
+    if (started) return;
+    started = true;
+    jobs.forEach(job => armFirst(job));
+}
+
+function stop() {
+    started = false;
+    jobs.forEach(job => {
+        clearTimeout(job.timer);
+        job.timer = null;
+    });
+}
+
+// Run a job right away (e.g. admin command); false when it is already running
+async function runNow(name) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`unknown job: ${name}`);
+    return runJob(job);
+}
+
+function getStatus() {
+    return Array.from(jobs.values()).map(job => ({
+        name: job.name,
+        schedule: job.schedule.text,
+        running: job.running,
+        nextRun: job.nextRun ? new Date(job.nextRun).toISOString() : null,
+        lastRun: job.lastRun,
+        lastDurationMs: job.lastDurationMs,
+        runs: job.runs,
+        skipped: job.skipped,
+        failures: job.failures,
+        lastError: job.lastError
+    }));
+}
+
+module.exports = {
+    parseCron,
+    nextCronTime,
+    parseSchedule,
+    addJob,
+    removeJob,
+    start,
+    stop,
+    runNow,
+    getStatus
+};
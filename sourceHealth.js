@@ -0,0 +1,131 @@
+// sourceHealth.js
+// Health state cho từng REST data source (analysis.js DATA_SOURCES):
+//   - error rate + latency trên cửa sổ trượt (10 phút gần nhất)
+//   - cool-down sau nhiều lỗi liên tiếp hoặc khi bị rate-limit (429) / ban IP (418), tôn trọng Retry-After
+//   - request weight của Binance (header x-mbx-used-weight-1m) so với limit, tự nghỉ tới phút sau khi gần chạm
+// loadCandles bỏ qua source đang cool-down thay vì chờ timeout 10s cho mỗi symbol.
+
+const WINDOW_MS = 10 * 60 * 1000; // rolling window for error rate / latency
+const MAX_SAMPLES = 500;
+const FAILURES_BEFORE_COOLDOWN = 3; // consecutive failures
+const BASE_COOLDOWN_MS = 30 * 1000; // doubles per extra failure ...
+const MAX_COOLDOWN_MS = 10 * 60 * 1000; // ... up to this
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000; // 429 without Retry-After
+const BAN_COOLDOWN_MS = 5 * 60 * 1000; // 418 without Retry-After
+const WEIGHT_SAFETY_RATIO = 0.9; // stop using a source at 90% of its per-minute weight
+
+const states = new Map(); // source name -> state
+
+function getState(name) {
+    if (!states.has(name)) {
+        states.set(name, {
+            name,
+            samples: [], // { time, ok, latencyMs }
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            cooldownReason: null,
+            lastError: null,
+            usedWeight: null,
+            weightLimit: null,
+            weightMinute: null
+        });
+    }
+    return states.get(name);
+}
+
+function addSample(state, sample) {
+    state.samples.push(sample);
+    const cutoff = sample.time - WINDOW_MS;
+    while (state.samples.length && (state.samples[0].time < cutoff || state.samples.length > MAX_SAMPLES)) state.samples.shift();
+}
+
+function startCooldown(state, ms, reason, now) {
+    state.cooldownUntil = Math.max(state.cooldownUntil, now + ms);
+    state.cooldownReason = reason;
+    console.log(`⏸ Data source ${state.name} cooling down for ${Math.round(ms / 1000)}s (${reason})`);
+}
+
+// headers: axios response headers; weightLimit: per-minute request weight limit of the source (Binance only)
+function recordSuccess(name, latencyMs, headers = {}, weightLimit = null, now = Date.now()) {
+    const state = getState(name);
+    addSample(state, { time: now, ok: true, latencyMs });
+    state.consecutiveFailures = 0;
+
+    const used = parseInt(headers['x-mbx-used-weight-1m']);
+    if (!isNaN(used) && weightLimit) {
+        state.usedWeight = used;
+        state.weightLimit = weightLimit;
+        state.weightMinute = Math.floor(now / 60000);
+        if (used >= weightLimit * WEIGHT_SAFETY_RATIO) {
+            const nextMinute = (state.weightMinute + 1) * 60000;
+            startCooldown(state, nextMinute - now, `request weight ${used}/${weightLimit}`, now);
+        }
+    }
+}
+
+function retryAfterMs(err) {
+    const header = err && err.response && err.response.headers && err.response.headers['retry-after'];
+    const seconds = parseInt(header);
+    return isNaN(seconds) ? null : seconds * 1000;
+}
+
+// Errors that say something about the source itself: no response (network / timeout), 5xx, 418, 429
+// Other 4xx (e.g. Binance -1121 Invalid symbol for a coin that venue does not list) only concern the request
+function isSourceFailure(err) {
+    const status = err && err.response && err.response.status;
+    if (!status) return true;
+    return status >= 500 || status === 418 || status === 429;
+}
+
+function recordFailure(name, err, latencyMs = null, now = Date.now()) {
+    const state = getState(name);
+    const status = err && err.response && err.response.status;
+    addSample(state, { time: now, ok: false, latencyMs });
+    state.consecutiveFailures++;
+    state.lastError = { time: now, status: status || null, message: (err && (err.code || err.message)) || String(err) };
+
+    if (status === 418) {
+        startCooldown(state, retryAfterMs(err) || BAN_COOLDOWN_MS, 'IP banned (418)', now);
+    } else if (status === 429) {
+        startCooldown(state, retryAfterMs(err) || RATE_LIMIT_COOLDOWN_MS, 'rate limited (429)', now);
+    } else if (state.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+        const ms = Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * Math.pow(2, state.consecutiveFailures - FAILURES_BEFORE_COOLDOWN));
+        startCooldown(state, ms, `${state.consecutiveFailures} consecutive failures`, now);
+    }
+}
+
+function isAvailable(name, now = Date.now()) {
+    return getState(name).cooldownUntil <= now;
+}
+
+// Summary per source for /status and the HTTP endpoint
+function getHealth(now = Date.now()) {
+    return Array.from(states.values()).map(state => {
+        const recent = state.samples.filter(s => s.time >= now - WINDOW_MS);
+        const errors = recent.filter(s => !s.ok).length;
+        const latencies = recent.filter(s => s.ok && s.latencyMs !== null).map(s => s.latencyMs);
+        const weightCurrent = state.weightMinute === Math.floor(now / 60000);
+        return {
+            name: state.name,
+            available: state.cooldownUntil <= now,
+            cooldownUntil: state.cooldownUntil > now ? new Date(state.cooldownUntil).toISOString() : null,
+            cooldownReason: state.cooldownUntil > now ? state.cooldownReason : null,
+            requests: recent.length,
+            errorRate: recent.length ? Number(((errors / recent.length) * 100).toFixed(1)) : 0,
+            avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            consecutiveFailures: state.consecutiveFailures,
+            usedWeight: weightCurrent ? state.usedWeight : 0,
+            weightLimit: state.weightLimit,
+            lastError: state.lastError
+        };
+    });
+}
+
+module.exports = {
+    getState,
+    recordSuccess,
+    recordFailure,
+    isSourceFailure,
+    isAvailable,
+    getHealth
+};
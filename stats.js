@@ -0,0 +1,169 @@
+// stats.js
+// Performance statistics over archived (closed) signals: win rate, R, hold time, streaks, best/worst symbols
+// Dùng cho lệnh /stats; các record lấy từ history (tín hiệu đã đóng TP / PARTIAL / SL / EXPIRED)
+
+const moment = require('moment-timezone');
+
+const VN_TZ = 'Asia/Ho_Chi_Minh';
+const PERIODS = {
+    today: null, // since 00:00 Vietnam time
+    '7d': 7,
+    '30d': 30,
+    all: null
+};
+
+// Average exit price over the partial fills (signal.fills, tradeManager.js) and the rest of the position at exitPrice
+function averageExitPrice(signal, exitPrice) {
+    const fills = signal.fills || [];
+    const remaining = Math.max(0, 100 - fills.reduce((a, f) => a + f.pct, 0));
+    return fills.reduce((a, f) => a + f.price * f.pct, 0) / 100 + exitPrice * remaining / 100;
+}
+
+// Realized result of a closed signal at exitPrice: R multiple (risk = |entry - sl|) and raw price P/L%,
+// weighted by allocation when part of the position was taken at TP1 / TP2
+function computeOutcome(signal, exitPrice) {
+    const direction = signal.side === 'LONG' ? 1 : -1;
+    const risk = Math.abs(signal.entry - signal.sl);
+    const move = (averageExitPrice(signal, exitPrice) - signal.entry) * direction;
+    return {
+        exitPrice,
+        realizedR: risk > 0 ? Number((move / risk).toFixed(2)) : 0,
+        pnlPct: Number(((move / signal.entry) * 100).toFixed(2))
+    };
+}
+
+// Archive record for a closed signal (no monitor internals)
+function toHistoryRecord(signal, exitPrice) {
+    const closedAt = signal.hitCandleTime || signal.resolvedAt;
+    const holdMinutes = Math.max(0, Math.round((new Date(closedAt).getTime() - new Date(signal.createdAt).getTime()) / 60000));
+    return Object.assign({
+        id: signal.id,
+        symbol: signal.symbol,
+        side: signal.side,
+        strategy: signal.strategy,
+        strategyName: signal.strategyName,
+        entry: signal.entry,
+        sl: signal.sl,
+        tp: signal.tp,
+        targets: signal.targets || null,
+        fills: signal.fills || [],
+        stop: signal.stop !== undefined ? signal.stop : signal.sl,
+        steps: signal.steps || [],
+        rr: signal.rr,
+        confidence: signal.confidence,
+        meta: signal.meta || {},
+        signalIndex: signal.signalIndex,
+        status: signal.status,
+        createdAt: signal.createdAt,
+        resolvedAt: signal.resolvedAt,
+        hitCandleTime: signal.hitCandleTime || null,
+        resolution: signal.resolution || null,
+        monitorChecks: signal.monitorChecks || 0,
+        paper: signal.paper || null,
+        execution: signal.execution || null,
+        configVersion: signal.configVersion || null,
+        holdMinutes
+    }, computeOutcome(signal, exitPrice));
+}
+
+// Exit price of a closed signal: final TP / current stop level, or the last seen price for EXPIRED (entry if unknown)
+function exitPriceOf(signal) {
+    if (signal.status === 'TP') return signal.tp;
+    if (signal.status === 'SL' || signal.status === 'PARTIAL') return signal.stop !== undefined ? signal.stop : signal.sl;
+    return signal.lastPrice !== undefined && signal.lastPrice !== null ? signal.lastPrice : signal.entry;
+}
+
+// PARTIAL = some targets filled, then the (moved) stop took the rest: a win or a loss by its weighted R
+function isWin(r) {
+    return r.status === 'TP' || (r.status === 'PARTIAL' && (r.realizedR || 0) > 0);
+}
+
+function isLoss(r) {
+    return r.status === 'SL' || (r.status === 'PARTIAL' && !((r.realizedR || 0) > 0));
+}
+
+// filters: { period: 'today'|'7d'|'30d'|'all', symbol, side }
+function filterRecords(records, filters = {}, now = moment()) {
+    let from = null;
+    if (filters.period === 'today') from = now.clone().tz(VN_TZ).startOf('day').valueOf();
+    else if (PERIODS[filters.period]) from = now.valueOf() - PERIODS[filters.period] * 24 * 60 * 60 * 1000;
+
+    return records.filter(r => {
+        if (from !== null && new Date(r.createdAt).getTime() < from) return false;
+        if (filters.symbol && r.symbol !== filters.symbol) return false;
+        if (filters.side && r.side !== filters.side) return false;
+        return true;
+    });
+}
+
+function computeStats(records) {
+    const sorted = records.slice().sort((a, b) => new Date(a.resolvedAt) - new Date(b.resolvedAt));
+    const wins = sorted.filter(isWin).length;
+    const losses = sorted.filter(isLoss).length;
+    const partial = sorted.filter(r => r.status === 'PARTIAL').length;
+    const expired = sorted.filter(r => r.status === 'EXPIRED').length;
+    const totalR = sorted.reduce((a, r) => a + (r.realizedR || 0), 0);
+    const totalPnlPct = sorted.reduce((a, r) => a + (r.pnlPct || 0), 0);
+    const avgHoldMinutes = sorted.length ? sorted.reduce((a, r) => a + (r.holdMinutes || 0), 0) / sorted.length : 0;
+
+    // streaks over decided trades (EXPIRED does not break a streak)
+    let maxWinStreak = 0, maxLossStreak = 0, current = 0;
+    for (const r of sorted) {
+        if (isWin(r)) current = current > 0 ? current + 1 : 1;
+        else if (isLoss(r)) current = current < 0 ? current - 1 : -1;
+        else continue;
+        maxWinStreak = Math.max(maxWinStreak, current);
+        maxLossStreak = Math.max(maxLossStreak, -current);
+    }
+
+    const bySymbol = {};
+    for (const r of sorted) {
+        const s = bySymbol[r.symbol] || (bySymbol[r.symbol] = { symbol: r.symbol, trades: 0, totalR: 0 });
+        s.trades++;
+        s.totalR += r.realizedR || 0;
+    }
+    const symbols = Object.values(bySymbol).sort((a, b) => b.totalR - a.totalR);
+
+    return {
+        trades: sorted.length,
+        wins,
+        losses,
+        partial,
+        expired,
+        winRate: wins + losses ? (wins / (wins + losses)) * 100 : 0,
+        totalR,
+        avgR: sorted.length ? totalR / sorted.length : 0,
+        totalPnlPct,
+        avgHoldMinutes,
+        maxWinStreak,
+        maxLossStreak,
+        currentStreak: current,
+        best: symbols.filter(s => s.totalR > 0).slice(0, 3),
+        worst: symbols.filter(s => s.totalR < 0).reverse().slice(0, 3)
+    };
+}
+
+// Parse "/stats 7d BTC LONG" style arguments (any order)
+function parseStatsArgs(text) {
+    const filters = { period: 'all', symbol: null, side: null };
+    for (const raw of (text || '').trim().split(/\s+/).filter(Boolean)) {
+        const tok = raw.toUpperCase();
+        if (PERIODS.hasOwnProperty(raw.toLowerCase())) filters.period = raw.toLowerCase();
+        else if (tok === 'LONG' || tok === 'SHORT') filters.side = tok;
+        else filters.symbol = tok.endsWith('USDT') ? tok : tok + 'USDT';
+    }
+    return filters;
+}
+
+module.exports = {
+    PERIODS,
+    averageExitPrice,
+    computeOutcome,
+    toHistoryRecord,
+    exitPriceOf,
+    isWin,
+    isLoss,
+    filterRecords,
+    computeStats,
+    parseStatsArgs
+};
@@ -0,0 +1,345 @@
+// storage.js
+// SQLite storage layer (better-sqlite3) cho users, signals, check events, broadcasts và delivery receipts
+// Mọi lần ghi đều nằm trong transaction nên crash giữa chừng không làm hỏng dữ liệu.
+// Lần đầu mở DB sẽ tự migrate users.json / signals.json / signals_history.json cũ (một lần duy nhất).
+
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+CREATE TABLE IF NOT EXISTS users (
+    chat_id INTEGER PRIMARY KEY,
+    username TEXT,
+    first_name TEXT,
+    subscribed_at TEXT,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS signals (
+    id TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    side TEXT NOT NULL,
+    strategy TEXT,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    resolved_at TEXT,
+    realized_r REAL,
+    pnl_pct REAL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_signals_status ON signals(status);
+CREATE INDEX IF NOT EXISTS idx_signals_symbol_created ON signals(symbol, created_at);
+CREATE TABLE IF NOT EXISTS signal_checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signal_id TEXT NOT NULL,
+    checked_at TEXT NOT NULL,
+    result_status TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_signal_checks_signal ON signal_checks(signal_id);
+CREATE TABLE IF NOT EXISTS broadcasts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signal_id TEXT,
+    kind TEXT NOT NULL,
+    message TEXT NOT NULL,
+    success INTEGER NOT NULL DEFAULT 0,
+    fail INTEGER NOT NULL DEFAULT 0,
+    sent_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_broadcasts_signal ON broadcasts(signal_id);
+CREATE TABLE IF NOT EXISTS delivery_receipts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    broadcast_id INTEGER,
+    signal_id TEXT,
+    chat_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    message_id INTEGER,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    sent_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_delivery_receipts_signal ON delivery_receipts(signal_id);
+CREATE TABLE IF NOT EXISTS equity_curve (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    time TEXT NOT NULL,
+    balance REAL NOT NULL,
+    equity REAL NOT NULL,
+    signal_id TEXT,
+    event TEXT
+);
+`;
+
+let db = null;
+let stmts = null;
+
+// Runtime-only fields (timer handles, anything prefixed with _) and the legacy per-signal check log
+// never go into the database
+function serializeSignal(signal) {
+    return JSON.stringify(signal, (key, value) => {
+        if (key.startsWith('_') || key === 'monitorHistory') return undefined;
+        return value;
+    });
+}
+
+function prepareStatements() {
+    stmts = {
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        upsertUser: db.prepare(`
+            INSERT INTO users (chat_id, username, first_name, subscribed_at, data)
+            VALUES (@chatId, @username, @firstName, @subscribedAt, @data)
+            ON CONFLICT(chat_id) DO UPDATE SET
+                username = excluded.username, first_name = excluded.first_name,
+                subscribed_at = excluded.subscribed_at, data = excluded.data`),
+        allUserIds: db.prepare('SELECT chat_id FROM users'),
+        deleteUser: db.prepare('DELETE FROM users WHERE chat_id = ?'),
+        allUsers: db.prepare('SELECT data FROM users ORDER BY subscribed_at'),
+        upsertSignal: db.prepare(`
+            INSERT INTO signals (id, symbol, side, strategy, status, created_at, resolved_at, realized_r, pnl_pct, data)
+            VALUES (@id, @symbol, @side, @strategy, @status, @createdAt, @resolvedAt, @realizedR, @pnlPct, @data)
+            ON CONFLICT(id) DO UPDATE SET
+                status = excluded.status, resolved_at = excluded.resolved_at,
+                realized_r = excluded.realized_r, pnl_pct = excluded.pnl_pct, data = excluded.data`),
+        openSignals: db.prepare("SELECT data FROM signals WHERE status = 'OPEN' ORDER BY created_at"),
+        closedSignals: db.prepare("SELECT data FROM signals WHERE status != 'OPEN' ORDER BY created_at"),
+        signalById: db.prepare('SELECT data FROM signals WHERE id = ?'),
+        insertCheck: db.prepare('INSERT INTO signal_checks (signal_id, checked_at, result_status) VALUES (?, ?, ?)'),
+        checksForSignal: db.prepare('SELECT checked_at AS checkedAt, result_status AS resultStatus FROM signal_checks WHERE signal_id = ? ORDER BY id'),
+        insertBroadcast: db.prepare(`
+            INSERT INTO broadcasts (signal_id, kind, message, success, fail, sent_at)
+            VALUES (@signalId, @kind, @message, @success, @fail, @sentAt)`),
+        insertReceipt: db.prepare(`
+            INSERT INTO delivery_receipts (broadcast_id, signal_id, chat_id, status, message_id, attempts, error, sent_at)
+            VALUES (@broadcastId, @signalId, @chatId, @status, @messageId, @attempts, @error, @sentAt)`),
+        receiptsForSignal: db.prepare(`
+            SELECT r.broadcast_id AS broadcastId, b.kind, r.chat_id AS chatId, r.status, r.message_id AS messageId,
+                   r.attempts, r.error, r.sent_at AS sentAt
+            FROM delivery_receipts r LEFT JOIN broadcasts b ON b.id = r.broadcast_id
+            WHERE r.signal_id = ? ORDER BY r.id`),
+        insertEquity: db.prepare(`
+            INSERT INTO equity_curve (time, balance, equity, signal_id, event)
+            VALUES (@time, @balance, @equity, @signalId, @event)`),
+        latestEquity: db.prepare('SELECT time, balance, equity, signal_id AS signalId, event FROM equity_curve ORDER BY id DESC LIMIT ?')
+    };
+}
+
+function open(dbFile, legacyFiles = {}) {
+    db = new Database(dbFile);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(SCHEMA);
+    prepareStatements();
+    migrateFromJSON(legacyFiles);
+    return db;
+}
+
+function close() {
+    if (db) db.close();
+    db = null;
+    stmts = null;
+}
+
+// ----- Key/value bot settings (JSON encoded), e.g. scan paused flag, runtime coin list -----
+function getMeta(key, defaultValue = null) {
+    const row = stmts.getMeta.get(key);
+    return row ? JSON.parse(row.value) : defaultValue;
+}
+
+function setMeta(key, value) {
+    stmts.setMeta.run(key, JSON.stringify(value));
+}
+
+// ----- Users -----
+function userParams(user) {
+    return {
+        chatId: user.chatId,
+        username: user.username || '',
+        firstName: user.first_name || '',
+        subscribedAt: user.subscribedAt || null,
+        data: JSON.stringify(user)
+    };
+}
+
+// Replace the stored subscriber set with `users` in one transaction
+function saveUsersTx(users) {
+    const keep = new Set(users.map(u => u.chatId));
+    for (const u of users) stmts.upsertUser.run(userParams(u));
+    for (const row of stmts.allUserIds.all()) {
+        if (!keep.has(row.chat_id)) stmts.deleteUser.run(row.chat_id);
+    }
+}
+
+function saveUsers(users) {
+    db.transaction(saveUsersTx)(users);
+}
+
+function loadUsers() {
+    return stmts.allUsers.all().map(row => JSON.parse(row.data));
+}
+
+// ----- Signals -----
+function signalParams(signal) {
+    return {
+        id: signal.id,
+        symbol: signal.symbol,
+        side: signal.side,
+        strategy: signal.strategy || null,
+        status: signal.status,
+        createdAt: signal.createdAt,
+        resolvedAt: signal.resolvedAt || null,
+        realizedR: signal.realizedR !== undefined ? signal.realizedR : null,
+        pnlPct: signal.pnlPct !== undefined ? signal.pnlPct : null,
+        data: serializeSignal(signal)
+    };
+}
+
+function saveSignals(signals) {
+    db.transaction(list => {
+        for (const s of list) stmts.upsertSignal.run(signalParams(s));
+    })(signals);
+}
+
+function loadOpenSignals() {
+    return stmts.openSignals.all().map(row => JSON.parse(row.data));
+}
+
+function loadClosedSignals() {
+    return stmts.closedSignals.all().map(row => JSON.parse(row.data));
+}
+
+function getSignal(id) {
+    const row = stmts.signalById.get(id);
+    return row ? JSON.parse(row.data) : null;
+}
+
+// Users and open signals written together so a crash never leaves them out of sync
+function saveState(users, openSignals) {
+    db.transaction(() => {
+        saveUsersTx(users);
+        for (const s of openSignals) stmts.upsertSignal.run(signalParams(s));
+    })();
+}
+
+// ----- Check events / broadcasts -----
+// One row per monitor pass that changed the signal (the caller skips passes with nothing new)
+function recordCheck(signalId, checkedAt, resultStatus) {
+    stmts.insertCheck.run(signalId, checkedAt, resultStatus || null);
+}
+
+function getChecks(signalId) {
+    return stmts.checksForSignal.all(signalId);
+}
+
+// entry: { signalId, kind, message, success, fail }
+function recordBroadcast(entry) {
+    const info = stmts.insertBroadcast.run({
+        signalId: entry.signalId || null,
+        kind: entry.kind || 'message',
+        message: entry.message,
+        success: entry.success || 0,
+        fail: entry.fail || 0,
+        sentAt: entry.sentAt || (new Date()).toISOString()
+    });
+    return info.lastInsertRowid;
+}
+
+// Per-chat receipts of one broadcast (deliveryQueue output): { chatId, status, messageId, attempts, error }
+function recordDeliveries(broadcastId, signalId, receipts) {
+    const sentAt = (new Date()).toISOString();
+    db.transaction(() => {
+        for (const r of receipts) {
+            stmts.insertReceipt.run({
+                broadcastId: broadcastId || null,
+                signalId: signalId || null,
+                chatId: r.chatId,
+                status: r.status,
+                messageId: r.messageId || null,
+                attempts: r.attempts || 1,
+                error: r.error || null,
+                sentAt
+            });
+        }
+    })();
+}
+
+function getDeliveries(signalId) {
+    return stmts.receiptsForSignal.all(signalId);
+}
+
+// ----- Paper-trading equity curve -----
+// point: { time, balance, equity, signalId, event }
+function recordEquity(point) {
+    stmts.insertEquity.run({
+        time: point.time || (new Date()).toISOString(),
+        balance: point.balance,
+        equity: point.equity,
+        signalId: point.signalId || null,
+        event: point.event || null
+    });
+}
+
+// last `limit` points, oldest first
+function getEquityCurve(limit = 500) {
+    return stmts.latestEquity.all(limit).reverse();
+}
+
+// ----- One-time migration from the JSON files -----
+function readJSON(filePath) {
+    try {
+        if (!filePath || !fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8') || 'null');
+    } catch (err) {
+        console.error(`storage: cannot read ${filePath} for migration:`, err.message);
+        return null;
+    }
+}
+
+// legacyFiles: { users, signals, history } paths
+function migrateFromJSON(legacyFiles) {
+    if (stmts.getMeta.get('json_migrated')) return;
+
+    const users = readJSON(legacyFiles.users) || [];
+    const signals = readJSON(legacyFiles.signals) || [];
+    const history = readJSON(legacyFiles.history) || [];
+
+    db.transaction(() => {
+        for (const u of users) stmts.upsertUser.run(userParams(u));
+        for (const s of history) stmts.upsertSignal.run(signalParams(s));
+        for (const s of signals) {
+            for (const h of s.monitorHistory || []) stmts.insertCheck.run(s.id, h.checkedAt, h.resultStatus || null);
+            stmts.upsertSignal.run(signalParams(s));
+        }
+        stmts.setMeta.run('json_migrated', JSON.stringify((new Date()).toISOString()));
+    })();
+
+    // keep the old files around but out of the way
+    for (const file of Object.values(legacyFiles)) {
+        if (file && fs.existsSync(file)) fs.renameSync(file, `${file}.migrated`);
+    }
+    if (users.length || signals.length || history.length) {
+        console.log(`storage: migrated ${users.length} users, ${signals.length} signals and ${history.length} closed signals from JSON files`);
+    }
+}
+
+module.exports = {
+    open,
+    close,
+    getMeta,
+    setMeta,
+    saveUsers,
+    loadUsers,
+    saveSignals,
+    loadOpenSignals,
+    loadClosedSignals,
+    getSignal,
+    saveState,
+    recordCheck,
+    getChecks,
+    recordBroadcast,
+    recordDeliveries,
+    getDeliveries,
+    recordEquity,
+    getEquityCurve
+};
@@ -0,0 +1,58 @@
+// strategies/index.js
+// Strategy registry: mỗi strategy là một object
+//   { id, name, timeframe, candleLimit, minConfidence, params, evaluate(symbol, candles, params) }
+// params: schema { name: { type, min, max, default } } của các tham số chỉnh được trong config.json
+// evaluate nhận nến tăng dần theo thời gian và trả về null hoặc
+//   { symbol, side, entry, sl, tp, rr, confidence, meta }
+// runAutoAnalysis chạy lần lượt mọi strategy đang bật cho từng coin.
+
+const physicsMomentum = require('./physicsMomentum');
+
+const DEFAULT_STRATEGY_ID = physicsMomentum.id;
+
+const registry = new Map(); // id -> strategy
+
+function registerStrategy(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.evaluate !== 'function') {
+        throw new Error('Strategy must have an id and an evaluate(symbol, candles) function');
+    }
+    if (registry.has(strategy.id)) {
+        throw new Error(`Strategy already registered: ${strategy.id}`);
+    }
+    registry.set(strategy.id, Object.assign({
+        name: strategy.id,
+        timeframe: '5m',
+        candleLimit: 200,
+        minConfidence: 60,
+        params: {}
+    }, strategy));
+}
+
+function getStrategy(id) {
+    return registry.get(id || DEFAULT_STRATEGY_ID) || null;
+}
+
+function getAllStrategies() {
+    return Array.from(registry.values());
+}
+
+// STRATEGIES env: comma separated ids to enable (default: all registered)
+function getEnabledStrategies() {
+    const wanted = (process.env.STRATEGIES || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (wanted.length === 0) return getAllStrategies();
+    return wanted.map(id => {
+        const s = registry.get(id);
+        if (!s) console.warn(`Unknown strategy in STRATEGIES env: ${id}`);
+        return s;
+    }).filter(Boolean);
+}
+
+registerStrategy(physicsMomentum);
+
+module.exports = {
+    DEFAULT_STRATEGY_ID,
+    registerStrategy,
+    getStrategy,
+    getAllStrategies,
+    getEnabledStrategies
+};
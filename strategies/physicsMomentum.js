@@ -0,0 +1,124 @@
+// strategies/physicsMomentum.js
+// Physics Momentum: RSI 30/70 + Bollinger breakout + acceleration filter trên nến 5m
+// SL = 1.5 ATR, TP = 3.0 ATR (mặc định; chỉnh trong config.json, có thể theo từng symbol)
+
+const { rsiFromCloses, sma, atrFromCandles } = require('../indicators');
+
+// Physics Momentum parameters (schema + defaults, validated by config.js)
+const PARAMS = {
+    rsiLength: { type: 'integer', min: 2, max: 100, default: 14 },
+    bbLength: { type: 'integer', min: 2, max: 150, default: 20 },
+    bbStd: { type: 'number', min: 0.1, max: 10, default: 2 },
+    vSma: { type: 'integer', min: 1, max: 50, default: 3 }, // velocity SMA length
+    atrLength: { type: 'integer', min: 2, max: 100, default: 14 },
+    rsiOversold: { type: 'number', min: 0, max: 100, default: 30 },
+    rsiOverbought: { type: 'number', min: 0, max: 100, default: 70 },
+    slAtr: { type: 'number', min: 0.1, max: 20, default: 1.5 },
+    tpAtr: { type: 'number', min: 0.1, max: 50, default: 3.0 }
+};
+
+const DEFAULT_PARAMS = Object.fromEntries(Object.entries(PARAMS).map(([key, spec]) => [key, spec.default]));
+
+// Entry rules evaluated on the last candle of an ascending 5m candle array.
+// Pure (no network) so the live analyzer and the backtester share exactly the same rules.
+function evaluate(symbol, ohlcv, params = DEFAULT_PARAMS) {
+    const { rsiLength, bbLength, bbStd, vSma, atrLength, rsiOversold, rsiOverbought, slAtr, tpAtr } = Object.assign({}, DEFAULT_PARAMS, params);
+    if (!ohlcv || ohlcv.length < Math.max(30, bbLength, 2 * atrLength, rsiLength + 1)) {
+        return null;
+    }
+
+    const closes = ohlcv.map(c => c.close);
+    const highs = ohlcv.map(c => c.high);
+    const lows = ohlcv.map(c => c.low);
+
+    // RSI
+    const rsiArr = rsiFromCloses(closes, rsiLength);
+
+    // Bollinger Bands - simple implementation using SMA & stdDev
+    const basis = sma(closes, bbLength);
+    const bb_upper = new Array(closes.length).fill(NaN);
+    const bb_lower = new Array(closes.length).fill(NaN);
+    for (let i = bbLength - 1; i < closes.length; i++) {
+        const slice = closes.slice(i - bbLength + 1, i + 1);
+        const mean = basis[i];
+        let variance = 0;
+        for (const v of slice) variance += Math.pow(v - mean, 2);
+        variance /= bbLength;
+        const std = Math.sqrt(variance);
+        bb_upper[i] = mean + bbStd * std;
+        bb_lower[i] = mean - bbStd * std;
+    }
+
+    // Velocity v = SMA(3) of price change
+    const priceChange = new Array(closes.length).fill(0);
+    for (let i = 1; i < closes.length; i++) priceChange[i] = closes[i] - closes[i - 1];
+    const vArr = sma(priceChange, vSma);
+
+    // Acceleration a = v_t - v_{t-1}
+    const aArr = new Array(vArr.length).fill(NaN);
+    for (let i = 1; i < vArr.length; i++) {
+        if (!isNaN(vArr[i]) && !isNaN(vArr[i - 1])) aArr[i] = vArr[i] - vArr[i - 1];
+    }
+
+    // ATR
+    const atrArr = atrFromCandles(ohlcv, atrLength);
+
+    const i = closes.length - 1;
+    const rsi = rsiArr[i];
+    const close = closes[i];
+    const lowerBB = bb_lower[i];
+    const upperBB = bb_upper[i];
+    const acc = aArr[i];
+    const atr = atrArr[i];
+
+    if ([rsi, lowerBB, upperBB, acc, atr].some(v => v === undefined || v === null || isNaN(v))) {
+        return null;
+    }
+
+    // Entry rules
+    let side = null;
+    if (rsi < rsiOversold && close < lowerBB && acc > 0) side = 'LONG';
+    else if (rsi > rsiOverbought && close > upperBB && acc < 0) side = 'SHORT';
+    else return null;
+
+    const entry = close;
+    let sl, tp;
+    if (side === 'LONG') {
+        sl = entry - slAtr * atr;
+        tp = entry + tpAtr * atr;
+    } else {
+        sl = entry + slAtr * atr;
+        tp = entry - tpAtr * atr;
+    }
+
+    const rr = Math.abs(tp - entry) / Math.abs(entry - sl);
+    const confidence = 60 + Math.min(35, Math.max(0, (Math.abs(acc) / (Math.abs(atr) || 1)) * 10)); // heuristic
+
+    return {
+        symbol,
+        side,
+        entry: parseFloat(entry.toFixed(8)),
+        sl: parseFloat(sl.toFixed(8)),
+        tp: parseFloat(tp.toFixed(8)),
+        rr: parseFloat(rr.toFixed(2)),
+        confidence: Math.round(Math.min(100, confidence)),
+        meta: {
+            rsi: parseFloat(rsi.toFixed(2)),
+            acc: parseFloat(acc.toFixed(8)),
+            atr: parseFloat(atr.toFixed(8)),
+            lowerBB: parseFloat(lowerBB.toFixed(8)),
+            upperBB: parseFloat(upperBB.toFixed(8)),
+            timeframe: '5m'
+        }
+    };
+}
+
+module.exports = {
+    id: 'physics_momentum',
+    name: 'Physics Momentum',
+    timeframe: '5m',
+    candleLimit: 200,
+    minConfidence: 60,
+    params: PARAMS,
+    evaluate
+};
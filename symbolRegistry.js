@@ -0,0 +1,255 @@
+// symbolRegistry.js
+// Symbol metadata từ exchangeInfo: Binance spot, Binance USDⓈ-M futures, Bybit linear instruments
+// Cho mỗi symbol: tick size / step size, trạng thái giao dịch và source nào đang list symbol đó.
+// Dùng để: bỏ symbol không tồn tại khỏi danh sách quét, chuẩn hoá input của /analyze, làm tròn giá theo tick thật,
+// và (tuỳ chọn) dựng universe từ top N theo volume 24h.
+
+const axios = require('axios');
+
+const fetchTimeout = 15000; // ms (exchangeInfo responses are large)
+const STABLE_BASES = ['USDC', 'FDUSD', 'TUSD', 'BUSD', 'DAI', 'USDP', 'USDD', 'PYUSD', 'EUR', 'AEUR', 'EURI', 'USDE', 'XUSD'];
+
+const LISTING_SOURCES = [
+    {
+        id: 'binance_spot',
+        load: async () => {
+            const data = await getJSON('https://api.binance.com/api/v3/exchangeInfo?permissions=SPOT');
+            return (data.symbols || []).map(s => ({
+                symbol: s.symbol,
+                baseAsset: s.baseAsset,
+                quoteAsset: s.quoteAsset,
+                trading: s.status === 'TRADING',
+                tickSize: filterValue(s.filters, 'PRICE_FILTER', 'tickSize'),
+                stepSize: filterValue(s.filters, 'LOT_SIZE', 'stepSize'),
+                minQty: filterValue(s.filters, 'LOT_SIZE', 'minQty'),
+                minNotional: filterValue(s.filters, 'NOTIONAL', 'minNotional')
+            }));
+        }
+    },
+    {
+        id: 'binance_futures',
+        load: async () => {
+            const data = await getJSON('https://fapi.binance.com/fapi/v1/exchangeInfo');
+            return (data.symbols || []).filter(s => s.contractType === 'PERPETUAL').map(s => ({
+                symbol: s.symbol,
+                baseAsset: s.baseAsset,
+                quoteAsset: s.quoteAsset,
+                trading: s.status === 'TRADING',
+                tickSize: filterValue(s.filters, 'PRICE_FILTER', 'tickSize'),
+                stepSize: filterValue(s.filters, 'LOT_SIZE', 'stepSize'),
+                minQty: filterValue(s.filters, 'LOT_SIZE', 'minQty'),
+                minNotional: filterValue(s.filters, 'MIN_NOTIONAL', 'notional')
+            }));
+        }
+    },
+    {
+        id: 'bybit_linear',
+        load: async () => {
+            const list = [];
+            let cursor = '';
+            do {
+                const data = await getJSON(`https://api.bybit.com/v5/market/instruments-info?category=linear&limit=1000${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+                const result = data.result || {};
+                (result.list || []).forEach(s => list.push({
+                    symbol: s.symbol,
+                    baseAsset: s.baseCoin,
+                    quoteAsset: s.quoteCoin,
+                    trading: s.status === 'Trading',
+                    tickSize: s.priceFilter ? s.priceFilter.tickSize : null,
+                    stepSize: s.lotSizeFilter ? s.lotSizeFilter.qtyStep : null,
+                    minQty: s.lotSizeFilter ? s.lotSizeFilter.minOrderQty : null,
+                    minNotional: s.lotSizeFilter ? s.lotSizeFilter.minNotionalValue : null
+                }));
+                cursor = result.nextPageCursor || '';
+            } while (cursor);
+            return list;
+        }
+    }
+];
+
+// symbol -> { symbol, baseAsset, quoteAsset, tickSize, stepSize, minQty,
+//            listings: { sourceId: 'TRADING'|'HALTED' }, filters: { sourceId: { tickSize, stepSize, minQty, minNotional } } }
+let registry = new Map();
+let loadedSources = [];
+let loadedAt = null;
+
+async function getJSON(url) {
+    const res = await axios.get(url, {
+        timeout: fetchTimeout,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; NemesisBot/1.0)',
+            'Accept': 'application/json'
+        }
+    });
+    return res.data;
+}
+
+function filterValue(filters, type, key) {
+    const f = (filters || []).find(x => x.filterType === type);
+    return f ? f[key] : null;
+}
+
+// Load every listing source; a source that fails is left out (its listings unknown) instead of failing the load
+// Tick/step size come from the first source that lists the symbol, in LISTING_SOURCES order (spot = primary candles)
+// sources: [{ id, load }] to load other listings than the exchanges (e.g. executionCheck.js)
+async function loadSymbols(sources = LISTING_SOURCES) {
+    const next = new Map();
+    const loaded = [];
+    for (const source of sources) {
+        try {
+            const list = await source.load();
+            for (const s of list) {
+                const info = next.get(s.symbol) || {
+                    symbol: s.symbol,
+                    baseAsset: s.baseAsset,
+                    quoteAsset: s.quoteAsset,
+                    tickSize: s.tickSize,
+                    stepSize: s.stepSize,
+                    minQty: s.minQty,
+                    listings: {},
+                    filters: {}
+                };
+                info.listings[source.id] = s.trading ? 'TRADING' : 'HALTED';
+                info.filters[source.id] = { tickSize: s.tickSize, stepSize: s.stepSize, minQty: s.minQty, minNotional: s.minNotional || null };
+                next.set(s.symbol, info);
+            }
+            loaded.push(source.id);
+        } catch (err) {
+            console.error(`symbolRegistry: ${source.id} exchangeInfo failed:`, err?.response?.status || err.code || err.message);
+        }
+    }
+    if (loaded.length === 0) {
+        console.error('symbolRegistry: no exchangeInfo source reachable, symbol validation disabled');
+        return false;
+    }
+    registry = next;
+    loadedSources = loaded;
+    loadedAt = new Date().toISOString();
+    console.log(`symbolRegistry: ${registry.size} symbols from ${loaded.join(', ')}`);
+    return true;
+}
+
+function isLoaded() {
+    return loadedSources.length > 0;
+}
+
+function getSymbolInfo(symbol) {
+    return registry.get(symbol) || null;
+}
+
+// Trading on at least one source (always true while the registry is not loaded)
+function isListed(symbol) {
+    if (!isLoaded()) return true;
+    const info = registry.get(symbol);
+    return !!info && Object.values(info.listings).includes('TRADING');
+}
+
+// Split a symbol list into listed / not listed (with the reason) symbols
+function validateSymbols(list) {
+    const valid = [];
+    const invalid = [];
+    for (const symbol of list) {
+        if (isListed(symbol)) {
+            valid.push(symbol);
+            continue;
+        }
+        const info = registry.get(symbol);
+        invalid.push({ symbol, reason: info ? `not trading (${Object.entries(info.listings).map(([k, v]) => `${k}: ${v}`).join(', ')})` : 'not listed' });
+    }
+    return { valid, invalid };
+}
+
+// "/analyze btc" -> 'BTCUSDT'; full symbols (e.g. 'ETHBTC') are kept when listed; null when nothing matches
+function normalizeSymbol(input) {
+    const raw = (input || '').trim().toUpperCase();
+    if (!raw) return null;
+    if (!isLoaded()) return raw.endsWith('USDT') ? raw : raw + 'USDT';
+    if (isListed(raw)) return raw;
+    if (isListed(raw + 'USDT')) return raw + 'USDT';
+    return null;
+}
+
+function decimalsOf(step) {
+    const str = String(step);
+    if (str.includes('e-')) return parseInt(str.split('e-')[1]);
+    const trimmed = str.includes('.') ? str.replace(/0+$/, '') : str;
+    return trimmed.includes('.') ? trimmed.split('.')[1].length : 0;
+}
+
+// Price / quantity filters of a symbol: those of `sourceId` (e.g. 'binance_futures' for order placement)
+// when that source lists it, otherwise the primary ones. null when unknown
+function getFilters(symbol, sourceId = null) {
+    const info = registry.get(symbol);
+    if (!info) return null;
+    return (sourceId && info.filters[sourceId]) || { tickSize: info.tickSize, stepSize: info.stepSize, minQty: info.minQty };
+}
+
+function getTickSize(symbol, sourceId) {
+    const filters = getFilters(symbol, sourceId);
+    const tick = filters && parseFloat(filters.tickSize);
+    return tick > 0 ? tick : null;
+}
+
+// Round a price to the symbol's real tick size (unchanged when the tick size is unknown)
+function roundToTick(symbol, price, sourceId = null) {
+    const tick = getTickSize(symbol, sourceId);
+    if (!tick || price === null || price === undefined || isNaN(price)) return price;
+    return parseFloat((Math.round(price / tick) * tick).toFixed(decimalsOf(getFilters(symbol, sourceId).tickSize)));
+}
+
+// Number of decimals of the tick size, null when unknown
+function priceDecimals(symbol) {
+    const tick = getTickSize(symbol);
+    return tick ? decimalsOf(getFilters(symbol).tickSize) : null;
+}
+
+// Round a quantity down to the symbol's step size (unchanged when unknown)
+function roundQty(symbol, qty, sourceId = null) {
+    const filters = getFilters(symbol, sourceId);
+    const step = filters && parseFloat(filters.stepSize);
+    if (!step || step <= 0 || isNaN(qty)) return qty;
+    return parseFloat((Math.floor(qty / step + 1e-9) * step).toFixed(decimalsOf(filters.stepSize)));
+}
+
+// Entry / SL / TP of a strategy result rounded to tick size, RR recomputed on the rounded levels
+function roundSignalToTick(signal) {
+    if (!signal || !getTickSize(signal.symbol)) return signal;
+    signal.entry = roundToTick(signal.symbol, signal.entry);
+    signal.sl = roundToTick(signal.symbol, signal.sl);
+    signal.tp = roundToTick(signal.symbol, signal.tp);
+    const risk = Math.abs(signal.entry - signal.sl);
+    if (risk > 0) signal.rr = parseFloat((Math.abs(signal.tp - signal.entry) / risk).toFixed(2));
+    return signal;
+}
+
+// Top N USDT symbols by 24h quote volume on Binance spot (stablecoin pairs and non-trading symbols excluded)
+async function getTopSymbolsByVolume(n = 50, quoteAsset = 'USDT') {
+    const tickers = await getJSON('https://api.binance.com/api/v3/ticker/24hr');
+    return tickers
+        .filter(t => t.symbol.endsWith(quoteAsset))
+        .filter(t => !STABLE_BASES.includes(t.symbol.slice(0, -quoteAsset.length)))
+        .filter(t => isListed(t.symbol))
+        .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
+        .slice(0, n)
+        .map(t => t.symbol);
+}
+
+function getStatus() {
+    return { loaded: isLoaded(), symbols: registry.size, sources: loadedSources, loadedAt };
+}
+
+module.exports = {
+    loadSymbols,
+    isLoaded,
+    getSymbolInfo,
+    getFilters,
+    isListed,
+    validateSymbols,
+    normalizeSymbol,
+    roundToTick,
+    priceDecimals,
+    roundQty,
+    roundSignalToTick,
+    getTopSymbolsByVolume,
+    getStatus
+};
@@ -0,0 +1,219 @@
+// tradeManager.js
+// Multi-target trade management cho mỗi tín hiệu: TP1/TP2/TP3 chốt từng phần theo % vị thế,
+// dời SL về entry (hoà vốn) sau TP1 và (tuỳ chọn) trailing stop theo ATR.
+// Các bước được ghi trên signal (targets, fills, stop) và trả về dạng events để bot gửi tin cập nhật.
+// Pure (không gọi mạng) để monitor live và backtester chốt lệnh giống hệt nhau.
+// Config qua env:
+//   TP_TARGETS=0.5:40,1:30,1.5:30  -> bội số khoảng cách TP của strategy : % vị thế chốt ở mức đó
+//                                     (không đặt / off = 1 TP tại đúng TP của strategy, mặc định)
+//   BREAK_EVEN=on|off               -> dời SL về entry sau TP1
+//   TRAILING_STOP=off|atr, TRAILING_ATR_MULT=1.5 -> sau TP1, SL bám theo đỉnh/đáy nến 1m đã đóng ± mult × ATR
+
+const analysis = require('./analysis');
+const symbolRegistry = require('./symbolRegistry');
+
+const MINUTE_MS = 60 * 1000;
+
+// "0.5:40,1:30,1.5:30" -> [{ multiple, pct }] ascending by multiple, percentages scaled to 100; null = single TP
+function parseTargets(text) {
+    const raw = (text === undefined || text === null ? '' : String(text)).trim().toLowerCase();
+    if (!raw || raw === 'off') return null;
+    const targets = raw.split(',').map(part => {
+        const [multiple, pct] = part.split(':').map(v => parseFloat(v));
+        return { multiple, pct };
+    });
+    if (targets.some(t => !(t.multiple > 0) || !(t.pct > 0))) {
+        console.warn(`tradeManager: invalid TP_TARGETS "${text}", using a single TP`);
+        return null;
+    }
+    targets.sort((a, b) => a.multiple - b.multiple);
+    const total = targets.reduce((a, t) => a + t.pct, 0);
+    if (Math.abs(total - 100) > 1e-6) {
+        console.warn(`tradeManager: TP_TARGETS allocations add up to ${total}%, scaling to 100%`);
+        targets.forEach(t => { t.pct = parseFloat(((t.pct / total) * 100).toFixed(4)); });
+    }
+    return targets;
+}
+
+function getConfig() {
+    const mult = parseFloat(process.env.TRAILING_ATR_MULT);
+    return {
+        targets: parseTargets(process.env.TP_TARGETS),
+        breakEven: (process.env.BREAK_EVEN || 'on').trim().toLowerCase() !== 'off',
+        trailing: (process.env.TRAILING_STOP || 'off').trim().toLowerCase() === 'atr',
+        trailingAtrMult: mult > 0 ? mult : 1.5
+    };
+}
+
+// Set up targets / stop on a new signal. signal.tp becomes the last target, signal.sl stays the initial stop,
+// signal.rr the R of the whole position once every target is taken (weighted by the % closed at each)
+// The settings are copied onto the signal so a config change never alters trades already running
+function initManagement(signal, config = getConfig()) {
+    const distance = signal.tp - signal.entry;
+    const levels = config.targets || [{ multiple: 1, pct: 100 }];
+    signal.targets = levels.map((l, i) => ({
+        level: levels.length > 1 ? `TP${i + 1}` : 'TP',
+        price: symbolRegistry.roundToTick(signal.symbol, signal.entry + distance * l.multiple),
+        pct: l.pct,
+        hitTime: null
+    }));
+    signal.tp = signal.targets[signal.targets.length - 1].price;
+    const risk = Math.abs(signal.entry - signal.sl);
+    if (risk > 0) {
+        const reward = signal.targets.reduce((a, t) => a + Math.abs(t.price - signal.entry) * (t.pct / 100), 0);
+        signal.rr = parseFloat((reward / risk).toFixed(2));
+    }
+    signal.stop = signal.sl;
+    signal.stopActiveFrom = null;
+    signal.fills = [];
+    const atr = signal.meta ? parseFloat(signal.meta.atr) : NaN;
+    signal.management = {
+        breakEven: config.breakEven && signal.targets.length > 1,
+        trailing: config.trailing && atr > 0 ? { atr, mult: config.trailingAtrMult } : null
+    };
+    return signal;
+}
+
+// Signals created before trade management: one TP at 100%, fixed stop
+function ensureManagement(signal) {
+    if (signal.targets) return signal;
+    return initManagement(signal, { targets: null, breakEven: false, trailing: false });
+}
+
+function nextTarget(signal) {
+    return (signal.targets || []).find(t => t.hitTime === null || t.hitTime === undefined) || null;
+}
+
+// % of the position still open
+function remainingPct(signal) {
+    return Math.max(0, 100 - (signal.fills || []).reduce((a, f) => a + f.pct, 0));
+}
+
+// R multiple of a price level (risk = initial |entry - sl|)
+function rMultiple(signal, price) {
+    const risk = Math.abs(signal.entry - signal.sl);
+    const direction = signal.side === 'LONG' ? 1 : -1;
+    return risk > 0 ? Number((((price - signal.entry) * direction) / risk).toFixed(2)) : 0;
+}
+
+// Stops only ever move in the trade's favour
+function improvesStop(signal, level) {
+    return signal.side === 'LONG' ? level > signal.stop : level < signal.stop;
+}
+
+// A moved stop applies from the next 1m candle: inside the current one we cannot tell what traded first
+function moveStop(signal, level, candleTime) {
+    signal.stop = level;
+    signal.stopActiveFrom = candleTime + MINUTE_MS;
+}
+
+function resolutionOf(hit) {
+    return {
+        ambiguous: !!hit.ambiguous,
+        method: hit.ambiguous ? hit.method : 'single_touch',
+        evidence: hit.evidence || null,
+        note: hit.note || null
+    };
+}
+
+// Walk ascending 1m candles and apply target fills, break-even and trailing moves to the signal.
+// options: { policy, now, deferAmbiguous, resolved }
+//   deferAmbiguous: stop at a candle where stop and target both traded (policy drilldown) and return it as `pending`
+//   resolved: { t, level, hit } drill-down outcome for that candle, passed back in by manageSignal
+// returns { events, closed: { status: 'TP'|'SL'|'PARTIAL', exitPrice, hitTime, resolution } | null, pending? }
+function processCandles(signal, candles, options = {}) {
+    const policy = options.policy || 'conservative';
+    const now = options.now || Date.now();
+    const events = [];
+    // a stop level that can never be touched: used once a target filled inside the candle
+    const unreachable = signal.side === 'LONG' ? -Infinity : Infinity;
+
+    for (const c of candles) {
+        let stopLive = c.t >= (signal.stopActiveFrom || 0);
+        for (;;) {
+            const target = nextTarget(signal);
+            if (!target) break;
+            let hit = analysis.findHitInCandles([c], signal.side, stopLive ? signal.stop : unreachable, target.price, policy);
+            if (!hit.status) break;
+            if (hit.ambiguous && policy === 'drilldown') {
+                const resolved = options.resolved;
+                if (resolved && resolved.t === c.t && resolved.level === target.level) hit = Object.assign({}, hit, resolved.hit);
+                else if (options.deferAmbiguous) return { events, closed: null, pending: { candle: c, stop: signal.stop, target } };
+                else hit.note = 'both_in_same_candle, no finer data => SL (conservative fallback)';
+            }
+
+            if (hit.status === 'SL') {
+                return {
+                    events,
+                    closed: { status: signal.fills.length ? 'PARTIAL' : 'SL', exitPrice: signal.stop, hitTime: c.t, resolution: resolutionOf(hit) }
+                };
+            }
+
+            target.hitTime = c.t;
+            signal.fills.push({ level: target.level, price: target.price, pct: target.pct, time: c.t });
+            events.push({ type: 'TARGET', level: target.level, price: target.price, pct: target.pct, r: rMultiple(signal, target.price), time: c.t });
+            stopLive = false; // later targets may fill in the same candle, the stop only from the next one
+            if (!nextTarget(signal)) {
+                return { events, closed: { status: 'TP', exitPrice: target.price, hitTime: c.t, resolution: resolutionOf(hit) } };
+            }
+            if (signal.management.breakEven && signal.fills.length === 1 && improvesStop(signal, signal.entry)) {
+                moveStop(signal, signal.entry, c.t);
+                events.push({ type: 'BREAK_EVEN', stop: signal.stop, time: c.t });
+            }
+        }
+
+        // trailing only on closed candles, once the first target is in
+        const trailing = signal.management.trailing;
+        if (trailing && signal.fills.length && c.t + MINUTE_MS <= now) {
+            const raw = signal.side === 'LONG' ? c.high - trailing.mult * trailing.atr : c.low + trailing.mult * trailing.atr;
+            const level = symbolRegistry.roundToTick(signal.symbol, raw);
+            if (improvesStop(signal, level)) {
+                moveStop(signal, level, c.t);
+                events.push({ type: 'TRAIL', stop: level, time: c.t });
+            }
+        }
+    }
+    return { events, closed: null };
+}
+
+// processCandles with drill-down of ambiguous candles (policy drilldown, live monitor)
+// drillDown: async (candle, stop, targetPrice) => { status, method, evidence } | null
+async function manageSignal(signal, candles, options = {}) {
+    const policy = options.policy || 'conservative';
+    const events = [];
+    let rest = candles;
+    let resolved = null;
+    for (;;) {
+        const out = processCandles(signal, rest, {
+            policy,
+            now: options.now,
+            resolved,
+            deferAmbiguous: policy === 'drilldown' && !!options.drillDown
+        });
+        events.push(...out.events);
+        if (!out.pending) return { events, closed: out.closed };
+
+        const { candle, stop, target } = out.pending;
+        const drill = await options.drillDown(candle, stop, target.price);
+        resolved = {
+            t: candle.t,
+            level: target.level,
+            hit: drill
+                ? Object.assign({}, drill, { note: `both_in_same_candle, ${drill.method} => ${drill.status}` })
+                : { status: 'SL', note: 'both_in_same_candle, no finer data => SL (conservative fallback)' }
+        };
+        rest = rest.slice(rest.indexOf(candle));
+    }
+}
+
+module.exports = {
+    parseTargets,
+    getConfig,
+    initManagement,
+    ensureManagement,
+    nextTarget,
+    remainingPct,
+    rMultiple,
+    processCandles,
+    manageSignal
+};
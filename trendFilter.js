@@ -0,0 +1,107 @@
+// trendFilter.js
+// Higher-timeframe confirmation layer (mặc định 1h + 4h) áp lên tín hiệu 5m của mọi strategy
+// Mỗi khung lớn được phân loại UP / DOWN / NEUTRAL bằng EMA slope + RSI regime, ADX đo độ mạnh trend.
+// Mode (env HTF_FILTER):
+//   off    -> không lọc (mặc định)
+//   weight -> trừ confidence khi đi ngược trend khung lớn, cộng nhẹ khi cùng chiều
+//   veto   -> bỏ tín hiệu nếu có khung lớn đang trend mạnh ngược chiều
+// Kết quả được ghi vào signal.meta.htf để biết khung nào đồng thuận.
+
+const { rsiFromCloses, ema, adxFromCandles } = require('./indicators');
+
+const EMA_LENGTH = 50;
+const EMA_SLOPE_BARS = 5; // slope measured over the last 5 HTF bars
+const RSI_LENGTH = 14;
+const ADX_LENGTH = 14;
+const ADX_TREND_MIN = 20; // ADX below this = no real trend, never vetoes
+
+const AGAINST_PENALTY = 15; // confidence points removed per opposing timeframe (weight mode)
+const AGAINST_STRONG_PENALTY = 25; // ... when that timeframe's ADX confirms a strong trend
+const AGREE_BONUS = 5; // confidence points added per agreeing timeframe
+
+const HTF_CANDLE_LIMIT = 120;
+
+function getFilterMode() {
+    const mode = (process.env.HTF_FILTER || 'off').trim().toLowerCase();
+    return ['off', 'weight', 'veto'].includes(mode) ? mode : 'off';
+}
+
+function getFilterTimeframes() {
+    const tfs = (process.env.HTF_TIMEFRAMES || '1h,4h').split(',').map(s => s.trim()).filter(Boolean);
+    return tfs.length ? tfs : ['1h', '4h'];
+}
+
+// Classify the trend of one higher timeframe from its closed candles
+// returns { trend: 'UP'|'DOWN'|'NEUTRAL', strong, emaSlopePct, rsi, adx } or null if not enough data
+function classifyTrend(candles) {
+    if (!candles || candles.length < EMA_LENGTH + EMA_SLOPE_BARS) return null;
+
+    const closes = candles.map(c => c.close);
+    const emaArr = ema(closes, EMA_LENGTH);
+    const rsiArr = rsiFromCloses(closes, RSI_LENGTH);
+    const adxArr = adxFromCandles(candles, ADX_LENGTH);
+
+    const i = closes.length - 1;
+    const emaNow = emaArr[i];
+    const emaPrev = emaArr[i - EMA_SLOPE_BARS];
+    const rsi = rsiArr[i];
+    const adx = adxArr[i];
+    if ([emaNow, emaPrev, rsi].some(v => v === undefined || isNaN(v))) return null;
+
+    const emaSlopePct = ((emaNow - emaPrev) / emaPrev) * 100;
+    let trend = 'NEUTRAL';
+    if (closes[i] > emaNow && emaSlopePct > 0 && rsi >= 50) trend = 'UP';
+    else if (closes[i] < emaNow && emaSlopePct < 0 && rsi <= 50) trend = 'DOWN';
+
+    return {
+        trend,
+        strong: !isNaN(adx) && adx >= ADX_TREND_MIN,
+        emaSlopePct: parseFloat(emaSlopePct.toFixed(4)),
+        rsi: parseFloat(rsi.toFixed(2)),
+        adx: isNaN(adx) ? null : parseFloat(adx.toFixed(2))
+    };
+}
+
+// Apply the filter to a signal given HTF candles per timeframe ({ '1h': [...], '4h': [...] })
+// Pure: returns the (possibly re-weighted) signal, or null when vetoed
+function applyTrendFilter(signal, candlesByTimeframe, mode = getFilterMode()) {
+    if (!signal || mode === 'off') return signal;
+
+    const wanted = signal.side === 'LONG' ? 'UP' : 'DOWN';
+    const opposite = signal.side === 'LONG' ? 'DOWN' : 'UP';
+    const htf = { mode, agreed: [], against: [], neutral: [], trends: {} };
+    let adjust = 0;
+    let vetoed = false;
+
+    for (const [tf, candles] of Object.entries(candlesByTimeframe)) {
+        const info = classifyTrend(candles);
+        if (!info) continue;
+        htf.trends[tf] = info;
+        if (info.trend === wanted) {
+            htf.agreed.push(tf);
+            adjust += AGREE_BONUS;
+        } else if (info.trend === opposite) {
+            htf.against.push(tf);
+            adjust -= info.strong ? AGAINST_STRONG_PENALTY : AGAINST_PENALTY;
+            if (info.strong) vetoed = true;
+        } else {
+            htf.neutral.push(tf);
+        }
+    }
+
+    if (mode === 'veto' && vetoed) return null;
+
+    const confidence = Math.max(0, Math.min(100, Math.round(signal.confidence + adjust)));
+    htf.confidenceAdjust = confidence - signal.confidence;
+    signal.confidence = confidence;
+    signal.meta = Object.assign({}, signal.meta, { htf });
+    return signal;
+}
+
+module.exports = {
+    HTF_CANDLE_LIMIT,
+    getFilterMode,
+    getFilterTimeframes,
+    classifyTrend,
+    applyTrendFilter
+};